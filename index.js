@@ -5,11 +5,17 @@ const helmet = require("helmet");
 const compression = require("compression");
 const morgan = require("morgan");
 const rateLimit = require("express-rate-limit");
+const { requireAuth } = require("./middleware/auth");
 
 // Import routes
 const authRoutes = require("./routes/auth");
 const googleCalendarRoutes = require("./routes/googleCalendar");
 const calendarRoutes = require("./routes/calendar");
+const webhookRoutes = require("./routes/webhooks");
+const feedRoutes = require("./routes/feeds");
+const preferenceRoutes = require("./routes/preferences");
+const classRoutes = require("./routes/classes");
+const digestRoutes = require("./routes/digests");
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -29,11 +35,19 @@ app.use(
   })
 );
 
-// Rate limiting
+// Rate limiting. Google push notifications and calendar apps polling feeds
+// arrive from shared addresses, so those routes get their own, higher limit.
+const INTEGRATION_PATHS = ["/api/webhooks", "/api/feeds"];
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
+  skip: (req) => INTEGRATION_PATHS.some((path) => req.path.startsWith(path)),
 });
+const integrationLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10000, // limit each IP to 10000 requests per windowMs
+});
+app.use(INTEGRATION_PATHS, integrationLimiter);
 app.use(limiter);
 
 // Body parsing middleware
@@ -52,9 +66,14 @@ app.get("/health", (req, res) => {
 });
 
 // API routes
-app.use("/api/auth", authRoutes);
-app.use("/api/google-calendar", googleCalendarRoutes);
-app.use("/api/calendar", calendarRoutes);
+app.use("/api/auth", requireAuth, authRoutes);
+app.use("/api/google-calendar", requireAuth, googleCalendarRoutes);
+app.use("/api/calendar", requireAuth, calendarRoutes);
+app.use("/api/preferences", requireAuth, preferenceRoutes);
+app.use("/api/classes", requireAuth, classRoutes);
+app.use("/api/digests", requireAuth, digestRoutes);
+app.use("/api/webhooks", webhookRoutes);
+app.use("/api/feeds", feedRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -0,0 +1,68 @@
+const { createClient } = require("@supabase/supabase-js");
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+/**
+ * Extract the bearer token from the Authorization header
+ * @param {Object} req - Express request
+ * @returns {string|null} Access token
+ */
+function getBearerToken(req) {
+  const header = req.headers.authorization || "";
+  const [scheme, token] = header.split(" ");
+
+  if (!scheme || scheme.toLowerCase() !== "bearer" || !token) {
+    return null;
+  }
+
+  return token.trim();
+}
+
+/**
+ * Validate the Supabase access token and attach the user to the request
+ */
+async function requireAuth(req, res, next) {
+  try {
+    const token = getBearerToken(req);
+
+    if (!token) {
+      return res.status(401).json({ error: "Missing access token" });
+    }
+
+    const { data, error } = await supabase.auth.getUser(token);
+
+    if (error || !data || !data.user) {
+      return res.status(401).json({ error: "Invalid or expired access token" });
+    }
+
+    req.user = data.user;
+    next();
+  } catch (error) {
+    console.error("Authentication error:", error);
+    res.status(401).json({ error: "Invalid or expired access token" });
+  }
+}
+
+/**
+ * Param handler that rejects `:userId` values other than the authenticated user
+ */
+function requireMatchingUser(req, res, next, userId) {
+  if (!req.user || userId !== req.user.id) {
+    return res
+      .status(403)
+      .json({ error: "User ID does not match authenticated user" });
+  }
+
+  next();
+}
+
+module.exports = {
+  requireAuth,
+  requireMatchingUser,
+  getBearerToken,
+  supabase,
+};
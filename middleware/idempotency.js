@@ -0,0 +1,228 @@
+const crypto = require("crypto");
+const { createClient } = require("@supabase/supabase-js");
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// How long a stored response is replayed for a retried request
+const IDEMPOTENCY_KEY_TTL_MS = 24 * 60 * 60 * 1000;
+// How long a claim is held by a request that hasn't responded, matching the
+// longest a serverless function may run. A request that crashed, timed out
+// or lost its client frees its key after this, so retries can take over.
+const PENDING_CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Hash the parts of a request that must match for a key to be reused
+ * @param {Object} req - Express request
+ * @returns {string} Request hash
+ */
+function hashRequest(req) {
+  return crypto
+    .createHash("sha256")
+    .update(
+      JSON.stringify([req.method, req.originalUrl.split("?")[0], req.body])
+    )
+    .digest("hex");
+}
+
+/**
+ * Claim an Idempotency-Key for a request by inserting a pending row. The
+ * primary key on (user_id, idempotency_key) lets only one request claim it.
+ * @param {string} userId - User ID
+ * @param {string} key - Idempotency key
+ * @param {string} requestHash - Request hash
+ * @returns {Promise<Object>} claimedAt when claimed, otherwise the stored row
+ * of the request that already holds the key
+ */
+async function claimKey(userId, key, requestHash) {
+  const now = Date.now();
+
+  // An expired key may be reused, and an abandoned claim taken over
+  const { error: expireError } = await supabase
+    .from("idempotency_keys")
+    .delete()
+    .eq("user_id", userId)
+    .eq("idempotency_key", key)
+    .lt("created_at", new Date(now - IDEMPOTENCY_KEY_TTL_MS).toISOString());
+
+  if (expireError) {
+    throw new Error(`Failed to expire idempotency key: ${expireError.message}`);
+  }
+
+  const { error: abandonError } = await supabase
+    .from("idempotency_keys")
+    .delete()
+    .eq("user_id", userId)
+    .eq("idempotency_key", key)
+    .eq("status", "pending")
+    .lt("created_at", new Date(now - PENDING_CLAIM_TIMEOUT_MS).toISOString());
+
+  if (abandonError) {
+    throw new Error(
+      `Failed to expire idempotency claim: ${abandonError.message}`
+    );
+  }
+
+  const claimedAt = new Date(now).toISOString();
+  const { error } = await supabase.from("idempotency_keys").insert({
+    user_id: userId,
+    idempotency_key: key,
+    request_hash: requestHash,
+    status: "pending",
+    created_at: claimedAt,
+  });
+
+  if (!error) {
+    return { claimedAt };
+  }
+  if (error.code !== "23505") {
+    throw new Error(`Failed to claim idempotency key: ${error.message}`);
+  }
+
+  const { data: stored, error: loadError } = await supabase
+    .from("idempotency_keys")
+    .select("request_hash, status, response_status, response_body")
+    .eq("user_id", userId)
+    .eq("idempotency_key", key)
+    .maybeSingle();
+
+  if (loadError) {
+    throw new Error(`Failed to load idempotency key: ${loadError.message}`);
+  }
+
+  // The holder released the key between the insert and the load
+  return stored ? { stored } : claimKey(userId, key, requestHash);
+}
+
+/**
+ * Store the response to a request that claimed an Idempotency-Key
+ * @param {string} userId - User ID
+ * @param {string} key - Idempotency key
+ * @param {string} claimedAt - When the request claimed the key
+ * @param {number} status - Response status
+ * @param {Object} body - Response body
+ * @returns {Promise<void>}
+ */
+async function saveResponse(userId, key, claimedAt, status, body) {
+  try {
+    const { error } = await supabase
+      .from("idempotency_keys")
+      .update({
+        status: "completed",
+        response_status: status,
+        response_body: body,
+      })
+      .eq("user_id", userId)
+      .eq("idempotency_key", key)
+      .eq("created_at", claimedAt);
+
+    if (error) {
+      throw new Error(error.message);
+    }
+  } catch (error) {
+    // The response is still sent; the claim is abandoned and times out
+    console.error("Error saving idempotency key:", error);
+  }
+}
+
+/**
+ * Release a claimed Idempotency-Key so the request can be retried
+ * @param {string} userId - User ID
+ * @param {string} key - Idempotency key
+ * @param {string} claimedAt - When the request claimed the key
+ * @returns {Promise<void>}
+ */
+async function releaseKey(userId, key, claimedAt) {
+  try {
+    const { error } = await supabase
+      .from("idempotency_keys")
+      .delete()
+      .eq("user_id", userId)
+      .eq("idempotency_key", key)
+      .eq("created_at", claimedAt)
+      .eq("status", "pending");
+
+    if (error) {
+      throw new Error(error.message);
+    }
+  } catch (error) {
+    console.error("Error releasing idempotency key:", error);
+  }
+}
+
+/**
+ * Replay the stored response when a request is retried with the same
+ * Idempotency-Key header, and store the response the first time through.
+ * A retry that arrives while the first request is still running gets a 409.
+ * Requests without the header are handled normally.
+ */
+async function idempotency(req, res, next) {
+  const key = req.get("Idempotency-Key");
+
+  if (key === undefined) {
+    return next();
+  }
+
+  if (!key || key.length > 255) {
+    return res
+      .status(400)
+      .json({ error: "Idempotency-Key must be 1-255 characters" });
+  }
+
+  try {
+    const userId = req.user.id;
+    const requestHash = hashRequest(req);
+    const { claimedAt, stored } = await claimKey(userId, key, requestHash);
+
+    if (stored) {
+      if (stored.request_hash !== requestHash) {
+        return res.status(422).json({
+          error: "Idempotency-Key was already used for a different request",
+        });
+      }
+      if (stored.status === "pending") {
+        return res.status(409).json({
+          error: "A request with this Idempotency-Key is still in progress",
+        });
+      }
+      res.set("Idempotent-Replayed", "true");
+      return res.status(stored.response_status).json(stored.response_body);
+    }
+
+    // Store successful and client-error responses; server errors may be retried
+    let settled = false;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      settled = true;
+      const done =
+        res.statusCode >= 500
+          ? releaseKey(userId, key, claimedAt)
+          : saveResponse(userId, key, claimedAt, res.statusCode, body);
+      done.finally(() => json(body));
+      return res;
+    };
+
+    // Responses not sent as JSON aren't stored, so free the key
+    res.on("finish", () => {
+      if (!settled) {
+        releaseKey(userId, key, claimedAt);
+      }
+    });
+
+    next();
+  } catch (error) {
+    console.error("Idempotency error:", error);
+    res.status(500).json({
+      error: "Failed to check Idempotency-Key",
+      details: error.message,
+    });
+  }
+}
+
+module.exports = {
+  idempotency,
+  hashRequest,
+};
@@ -0,0 +1,11 @@
+-- Single-use tracking for signed Google OAuth state values
+
+CREATE TABLE IF NOT EXISTS google_oauth_states (
+  nonce TEXT PRIMARY KEY,
+  user_id UUID NOT NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS google_oauth_states_expires_at_idx
+  ON google_oauth_states (expires_at);
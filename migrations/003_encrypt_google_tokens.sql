@@ -0,0 +1,5 @@
+-- Track which key encrypted each row of google_calendar_tokens.
+-- Existing plaintext rows are re-encrypted with `npm run reencrypt-tokens`.
+
+ALTER TABLE google_calendar_tokens
+  ADD COLUMN IF NOT EXISTS key_version TEXT;
@@ -0,0 +1,21 @@
+-- Incremental Google Calendar sync: sync tokens per calendar and
+-- Google event IDs on synced calendar_events rows
+
+CREATE TABLE IF NOT EXISTS google_calendar_sync_state (
+  user_id UUID NOT NULL,
+  calendar_id TEXT NOT NULL,
+  sync_token TEXT,
+  last_synced_at TIMESTAMPTZ,
+  PRIMARY KEY (user_id, calendar_id)
+);
+
+ALTER TABLE calendar_events
+  ADD COLUMN IF NOT EXISTS google_event_id TEXT,
+  ADD COLUMN IF NOT EXISTS google_calendar_id TEXT,
+  ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ;
+
+ALTER TABLE calendar_events
+  ALTER COLUMN created_at SET DEFAULT NOW();
+
+CREATE UNIQUE INDEX IF NOT EXISTS calendar_events_google_event_idx
+  ON calendar_events (user_id, google_calendar_id, google_event_id);
@@ -0,0 +1,17 @@
+-- Google Calendar push notification channels
+
+CREATE TABLE IF NOT EXISTS google_calendar_channels (
+  id TEXT PRIMARY KEY,
+  user_id UUID NOT NULL,
+  calendar_id TEXT NOT NULL,
+  resource_id TEXT NOT NULL,
+  token TEXT NOT NULL,
+  expiration TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS google_calendar_channels_user_idx
+  ON google_calendar_channels (user_id, calendar_id);
+
+CREATE INDEX IF NOT EXISTS google_calendar_channels_expiration_idx
+  ON google_calendar_channels (expiration);
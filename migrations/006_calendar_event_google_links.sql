@@ -0,0 +1,7 @@
+-- Two-way links between calendar_events rows and Google events.
+-- google_updated_at is Google's `updated` time when the row last matched the
+-- Google event; google_synced_at is when that happened locally.
+
+ALTER TABLE calendar_events
+  ADD COLUMN IF NOT EXISTS google_updated_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS google_synced_at TIMESTAMPTZ;
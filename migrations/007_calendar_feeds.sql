@@ -0,0 +1,15 @@
+-- Tokenized iCalendar subscription feeds. Only a hash of each feed token is
+-- stored; the URL is shown once when the feed is created.
+
+CREATE TABLE IF NOT EXISTS calendar_feeds (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL,
+  class_id UUID,
+  token_hash TEXT NOT NULL UNIQUE,
+  timezone TEXT NOT NULL DEFAULT 'UTC',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_accessed_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS calendar_feeds_user_idx ON calendar_feeds (user_id);
@@ -0,0 +1,3 @@
+-- Page of the uploaded syllabus each extracted event was found on.
+
+ALTER TABLE calendar_events ADD COLUMN IF NOT EXISTS source_page INTEGER;
@@ -0,0 +1,10 @@
+-- Class meetings are stored as one recurring row each. due_date/due_time
+-- hold the first occurrence, recurrence_rule is an RFC 5545 RRULE value
+-- (e.g. FREQ=WEEKLY;BYDAY=MO,WE,FR;UNTIL=20260424) and
+-- recurrence_exceptions lists the dates skipped for breaks and holidays.
+
+ALTER TABLE calendar_events
+  ADD COLUMN IF NOT EXISTS end_time TIME,
+  ADD COLUMN IF NOT EXISTS location TEXT,
+  ADD COLUMN IF NOT EXISTS recurrence_rule TEXT,
+  ADD COLUMN IF NOT EXISTS recurrence_exceptions DATE[];
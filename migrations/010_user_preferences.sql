@@ -0,0 +1,9 @@
+-- Per-user settings. timezone is the IANA zone due_date/due_time are in,
+-- used when pushing to and syncing from Google Calendar.
+
+CREATE TABLE IF NOT EXISTS user_preferences (
+  user_id UUID PRIMARY KEY,
+  timezone TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
@@ -0,0 +1,32 @@
+-- Extracted events waiting for review. Drafts keep the extractor's
+-- confidence and source text; approving one copies it into calendar_events
+-- and records the new row in calendar_event_id.
+
+CREATE TABLE IF NOT EXISTS event_drafts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL,
+  class_id UUID,
+  title TEXT NOT NULL,
+  description TEXT,
+  event_type TEXT NOT NULL,
+  due_date DATE,
+  date_text TEXT,
+  date_status TEXT,
+  due_time TIME,
+  end_time TIME,
+  location TEXT,
+  recurrence_rule TEXT,
+  recurrence_exceptions DATE[],
+  confidence_score NUMERIC,
+  source_text TEXT,
+  source_page INTEGER,
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'approved', 'rejected')),
+  calendar_event_id UUID,
+  reviewed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS event_drafts_user_status_idx
+  ON event_drafts (user_id, status, confidence_score);
@@ -0,0 +1,23 @@
+-- Saved events are de-duplicated on a fingerprint of class, normalized
+-- title, date and type, so saving the same syllabus twice updates rows
+-- instead of adding copies. Rows synced from Google have no fingerprint.
+-- Fingerprints use the app's title normalization, so rows saved before this
+-- migration are filled in by `npm run backfill-fingerprints`.
+
+ALTER TABLE calendar_events ADD COLUMN IF NOT EXISTS fingerprint TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS calendar_events_fingerprint_idx
+  ON calendar_events (user_id, fingerprint);
+
+-- Responses to requests sent with an Idempotency-Key header, replayed when
+-- the same request is retried. request_hash covers the method, path and body.
+
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  user_id UUID NOT NULL,
+  idempotency_key TEXT NOT NULL,
+  request_hash TEXT NOT NULL,
+  response_status INTEGER NOT NULL,
+  response_body JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (user_id, idempotency_key)
+);
@@ -0,0 +1,9 @@
+-- Completion status for saved events. completed_at is set when an event is
+-- marked done and cleared when it is reopened.
+
+ALTER TABLE calendar_events
+  ADD COLUMN IF NOT EXISTS completed BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD COLUMN IF NOT EXISTS completed_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS calendar_events_user_class_idx
+  ON calendar_events (user_id, class_id);
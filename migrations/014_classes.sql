@@ -0,0 +1,26 @@
+-- Classes that calendar_events.class_id points at. term holds the term
+-- metadata accepted by extraction (startDate, endDate, breaks, holidays)
+-- and meeting_pattern the weekly meetings (days, start_time, end_time,
+-- location). Archiving a class archives its events with the same
+-- archived_at, so restoring it only brings back the events it archived.
+
+CREATE TABLE IF NOT EXISTS classes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL,
+  name TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE classes
+  ADD COLUMN IF NOT EXISTS professor TEXT,
+  ADD COLUMN IF NOT EXISTS term JSONB,
+  ADD COLUMN IF NOT EXISTS meeting_pattern JSONB,
+  ADD COLUMN IF NOT EXISTS color TEXT,
+  ADD COLUMN IF NOT EXISTS google_calendar_id TEXT,
+  ADD COLUMN IF NOT EXISTS archived_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS classes_user_idx ON classes (user_id);
+
+ALTER TABLE calendar_events
+  ADD COLUMN IF NOT EXISTS archived_at TIMESTAMPTZ;
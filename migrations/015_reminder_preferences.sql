@@ -0,0 +1,6 @@
+-- Reminder rules for events pushed to Google Calendar, keyed by event_type
+-- with a "default" entry, e.g.
+-- {"exam": [{"method": "email", "days": 14}], "reading": [{"method": "popup", "days": 1, "at": "19:00"}]}
+-- NULL means the built-in defaults.
+
+ALTER TABLE user_preferences ADD COLUMN IF NOT EXISTS reminders JSONB;
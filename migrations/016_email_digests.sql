@@ -0,0 +1,26 @@
+-- Opt-in upcoming-deadline email digests. A user may subscribe to a daily
+-- and a weekly digest; each delivery is recorded once per period so cron
+-- retries don't send the same digest twice.
+
+CREATE TABLE IF NOT EXISTS digest_subscriptions (
+  user_id UUID NOT NULL,
+  frequency TEXT NOT NULL CHECK (frequency IN ('daily', 'weekly')),
+  email TEXT NOT NULL,
+  enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (user_id, frequency)
+);
+
+CREATE TABLE IF NOT EXISTS digest_deliveries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL,
+  frequency TEXT NOT NULL,
+  period_start DATE NOT NULL,
+  period_end DATE NOT NULL,
+  email TEXT NOT NULL,
+  event_ids UUID[] NOT NULL DEFAULT '{}',
+  message_id TEXT,
+  sent_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (user_id, frequency, period_start)
+);
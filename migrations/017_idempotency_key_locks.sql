@@ -0,0 +1,9 @@
+-- An Idempotency-Key is claimed with a pending row before its request runs,
+-- so a concurrent retry with the same key is turned away instead of running
+-- the handler twice. The response is filled in when the request finishes.
+
+ALTER TABLE idempotency_keys
+  ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'completed'
+    CHECK (status IN ('pending', 'completed')),
+  ALTER COLUMN response_status DROP NOT NULL,
+  ALTER COLUMN response_body DROP NOT NULL;
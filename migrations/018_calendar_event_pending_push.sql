@@ -0,0 +1,9 @@
+-- Linked events whose local edit couldn't be pushed to Google. Sync pushes
+-- these rows again and clears google_push_pending_at once they match Google.
+
+ALTER TABLE calendar_events
+  ADD COLUMN IF NOT EXISTS google_push_pending_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS calendar_events_google_push_pending_idx
+  ON calendar_events (user_id, google_calendar_id)
+  WHERE google_push_pending_at IS NOT NULL;
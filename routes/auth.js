@@ -1,29 +1,26 @@
 const express = require("express");
-const { google } = require("googleapis");
 const { createClient } = require("@supabase/supabase-js");
+const { requireMatchingUser } = require("../middleware/auth");
+const { createOAuthState, consumeOAuthState } = require("../utils/oauthState");
+const {
+  createOAuthClient,
+  loadUserTokenRow,
+  storeUserTokens,
+  refreshUserTokensFromDatabase,
+} = require("../utils/tokenManager");
+const { watchCalendar, stopUserChannels } = require("../utils/googleWatch");
 
 const router = express.Router();
 
+// Only allow access to the authenticated user's own resources
+router.param("userId", requireMatchingUser);
+
 // Initialize Supabase client
 const supabase = createClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_SERVICE_ROLE_KEY
 );
 
-// Initialize Google OAuth2 client with dynamic redirect URI
-const getRedirectUri = () => {
-  if (process.env.NODE_ENV === 'production') {
-    return 'https://law-bandit-front.vercel.app/auth/google/callback';
-  }
-  return process.env.GOOGLE_REDIRECT_URI || 'http://localhost:3000/auth/google/callback';
-};
-
-const oauth2Client = new google.auth.OAuth2(
-  process.env.GOOGLE_CLIENT_ID,
-  process.env.GOOGLE_CLIENT_SECRET,
-  getRedirectUri()
-);
-
 // Test Supabase connection
 router.get("/test-supabase", async (req, res) => {
   try {
@@ -66,10 +63,15 @@ router.get("/test-supabase", async (req, res) => {
 // Generate OAuth URL
 router.get("/google/url", (req, res) => {
   try {
-    const url = oauth2Client.generateAuthUrl({
+    const { state, codeChallenge } = createOAuthState(req.user.id);
+
+    const url = createOAuthClient().generateAuthUrl({
       access_type: "offline",
       scope: ["https://www.googleapis.com/auth/calendar"],
       prompt: "consent",
+      state: state,
+      code_challenge: codeChallenge,
+      code_challenge_method: "S256",
     });
 
     res.json({ authUrl: url });
@@ -82,7 +84,8 @@ router.get("/google/url", (req, res) => {
 // Handle OAuth callback
 router.get("/google/callback", async (req, res) => {
   try {
-    const { code, state: userId } = req.query;
+    const { code, state } = req.query;
+    const userId = req.user.id;
 
     console.log("OAuth callback received:", {
       code: code?.substring(0, 20) + "...",
@@ -93,21 +96,26 @@ router.get("/google/callback", async (req, res) => {
       return res.status(400).json({ error: "Authorization code is required" });
     }
 
-    if (!userId) {
-      return res.status(400).json({ error: "User ID is required" });
+    // Verify the signed state issued by /google/url
+    const stateResult = await consumeOAuthState(state, userId);
+
+    if (!stateResult.valid) {
+      return res.status(stateResult.status).json({ error: stateResult.error });
     }
 
     // Exchange code for tokens
-    const { tokens } = await oauth2Client.getToken(code);
+    const { tokens } = await createOAuthClient().getToken({
+      code: code,
+      codeVerifier: stateResult.codeVerifier,
+    });
     console.log("Tokens received:", {
       hasAccessToken: !!tokens.access_token,
       hasRefreshToken: !!tokens.refresh_token,
       expiryDate: tokens.expiry_date,
     });
 
-    // Since we don't have admin permissions, we'll store tokens with the user ID
-    // The frontend will pass the user ID, so we can trust it
-    const userEmail = `user-${userId}@law-bandit.com`; // Generate a consistent email
+    // The user has been verified from the Supabase access token
+    const userEmail = req.user.email || `user-${userId}@law-bandit.com`;
 
     console.log("User lookup result:", {
       hasUser: true,
@@ -115,40 +123,32 @@ router.get("/google/callback", async (req, res) => {
       error: null,
     });
 
-    // Save tokens to Supabase
-    const tokenData = {
+    console.log("Saving token data:", {
       user_id: userId,
       email: userEmail,
-      access_token: tokens.access_token,
-      refresh_token: tokens.refresh_token,
-      expiry_date: tokens.expiry_date
-        ? new Date(tokens.expiry_date).toISOString()
-        : null,
-    };
-
-    console.log("Saving token data:", {
-      user_id: tokenData.user_id,
-      email: tokenData.email,
-      hasAccessToken: !!tokenData.access_token,
-      hasRefreshToken: !!tokenData.refresh_token,
-      expiry_date: tokenData.expiry_date,
+      hasAccessToken: !!tokens.access_token,
+      hasRefreshToken: !!tokens.refresh_token,
     });
 
-    const { error: upsertError } = await supabase
-      .from("google_calendar_tokens")
-      .upsert(tokenData, {
-        onConflict: "user_id",
-      });
-
-    if (upsertError) {
-      console.error("Error saving tokens to database:", upsertError);
+    // Save encrypted tokens to Supabase
+    try {
+      await storeUserTokens(userId, userEmail, tokens);
+    } catch (saveError) {
+      console.error("Error saving tokens to database:", saveError);
       return res.status(500).json({ error: "Failed to save tokens" });
     }
 
     console.log("Tokens saved successfully to database");
 
-    // Set credentials for future use
-    oauth2Client.setCredentials(tokens);
+    // Subscribe to changes on the primary calendar when push is configured
+    if (process.env.GOOGLE_WEBHOOK_URL) {
+      try {
+        await stopUserChannels(userId);
+        await watchCalendar(userId, "primary");
+      } catch (watchError) {
+        console.error("Error watching primary calendar:", watchError);
+      }
+    }
 
     res.json({
       success: true,
@@ -173,14 +173,10 @@ router.get("/google/tokens/:userId", async (req, res) => {
       return res.status(400).json({ error: "User ID is required" });
     }
 
-    // Get tokens from Supabase
-    const { data: tokenData, error: tokenError } = await supabase
-      .from("google_calendar_tokens")
-      .select("*")
-      .eq("user_id", userId)
-      .single();
+    // Get decrypted tokens from Supabase
+    const tokenData = await loadUserTokenRow(userId);
 
-    if (tokenError || !tokenData) {
+    if (!tokenData) {
       return res.status(404).json({ error: "No tokens found" });
     }
 
@@ -208,38 +204,16 @@ router.post("/google/refresh/:userId", async (req, res) => {
     }
 
     // Get current tokens from database
-    const { data: tokenData, error: tokenError } = await supabase
-      .from("google_calendar_tokens")
-      .select("*")
-      .eq("user_id", userId)
-      .single();
+    const tokenData = await loadUserTokenRow(userId);
 
-    if (tokenError || !tokenData || !tokenData.refresh_token) {
+    if (!tokenData || !tokenData.refresh_token) {
       return res.status(404).json({ error: "No refresh token found" });
     }
 
-    // Set credentials and refresh
-    oauth2Client.setCredentials({
-      refresh_token: tokenData.refresh_token,
-    });
-
-    const { credentials } = await oauth2Client.refreshAccessToken();
-
-    // Update tokens in database
-    const { error: updateError } = await supabase
-      .from("google_calendar_tokens")
-      .update({
-        access_token: credentials.access_token,
-        expiry_date: credentials.expiry_date
-          ? new Date(credentials.expiry_date).toISOString()
-          : null,
-      })
-      .eq("user_id", userId);
-
-    if (updateError) {
-      console.error("Error updating tokens in database:", updateError);
-      return res.status(500).json({ error: "Failed to update tokens" });
-    }
+    const credentials = await refreshUserTokensFromDatabase(
+      userId,
+      tokenData.refresh_token
+    );
 
     res.json({
       success: true,
@@ -261,6 +235,13 @@ router.delete("/google/disconnect/:userId", async (req, res) => {
       return res.status(400).json({ error: "User ID is required" });
     }
 
+    // Stop push notifications while the tokens can still authorize it
+    try {
+      await stopUserChannels(userId);
+    } catch (stopError) {
+      console.error("Error stopping calendar channels:", stopError);
+    }
+
     // Delete tokens from database
     const { error: deleteError } = await supabase
       .from("google_calendar_tokens")
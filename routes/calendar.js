@@ -1,11 +1,52 @@
 const express = require("express");
-const { GoogleGenerativeAI } = require("@google/generative-ai");
+const multer = require("multer");
 const { createClient } = require("@supabase/supabase-js");
+const { requireMatchingUser } = require("../middleware/auth");
+const { idempotency } = require("../middleware/idempotency");
+const { pushEventToGoogle } = require("../utils/googleCalendar");
+const { createFeed, listFeeds, revokeFeed } = require("../utils/calendarFeeds");
+const { isValidTimeZone } = require("../utils/ics");
+const { getUserTimeZone } = require("../utils/userPreferences");
+const { parseIcs, mapIcsEvents } = require("../utils/icsImport");
+const {
+  saveCalendarEvents,
+  getEventFingerprint,
+  deleteCalendarEvents,
+} = require("../utils/calendarEvents");
+const {
+  validateEventFields,
+  isValidDate,
+  isValidUuid,
+} = require("../utils/eventSchema");
+const { computeWorkload } = require("../utils/workload");
+const {
+  getDocumentType,
+  extractDocumentPages,
+} = require("../utils/documentText");
+const { extractEventsFromPages } = require("../utils/syllabusExtraction");
+const { getExtractionProvider } = require("../utils/extractionProviders");
+const { parseTerm } = require("../utils/termCalendar");
+const {
+  EDITABLE_DRAFT_FIELDS,
+  pickDraftEdits,
+  createEventDrafts,
+  listEventDrafts,
+  updateEventDraft,
+  approveEventDrafts,
+  rejectEventDrafts,
+} = require("../utils/eventDrafts");
 
 const router = express.Router();
 
-// Initialize Google AI
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+// Only allow access to the authenticated user's own resources
+router.param("userId", requireMatchingUser);
+
+// Keep uploads in memory; they are parsed and discarded
+const MAX_UPLOAD_MB = 5;
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_MB * 1024 * 1024 },
+});
 
 // Initialize Supabase client
 const supabase = createClient(
@@ -13,95 +54,84 @@ const supabase = createClient(
   process.env.SUPABASE_SERVICE_ROLE_KEY
 );
 
-// Extract calendar events from syllabus content
-router.post("/extract-events", async (req, res) => {
+// Extract calendar events from an uploaded syllabus or its text content
+router.post("/extract-events", upload.single("file"), async (req, res) => {
   try {
-    const { pdf_context } = req.body;
+    let pages;
+
+    if (req.file) {
+      if (!getDocumentType(req.file)) {
+        return res.status(400).json({
+          error: "Unsupported file type; upload a PDF or DOCX file",
+        });
+      }
 
-    if (!pdf_context) {
+      try {
+        pages = await extractDocumentPages(req.file);
+      } catch (parseError) {
+        return res.status(400).json({
+          error: "Failed to read syllabus file",
+          details: parseError.message,
+        });
+      }
+    } else if (req.body.pdf_context) {
+      pages = [{ pageNumber: 1, text: req.body.pdf_context }];
+    } else {
       return res.status(400).json({
-        error: "Missing required field: pdf_context",
+        error: "Missing required field: file or pdf_context",
       });
     }
 
-    console.log("Extracting calendar events from syllabus content...");
-
-    // Create the prompt for event extraction
-    const prompt = `
-    You are an expert at analyzing academic syllabi and extracting calendar events. 
-    Given the following syllabus content, extract all calendar events (assignments, exams, readings, etc.) 
-    and return them in a structured JSON format.
-
-    Syllabus Content:
-    ${pdf_context}
-
-    Please extract all calendar events and return them in the following JSON format:
-    {
-      "events": [
-        {
-          "title": "Event title",
-          "description": "Event description or details",
-          "event_type": "assignment|exam|reading|other",
-          "due_date": "YYYY-MM-DD",
-          "due_time": "HH:MM" (optional, null if not specified),
-          "confidence_score": 0.95 (confidence in extraction, 0-1),
-          "source_text": "exact text from syllabus that led to this extraction"
-        }
-      ]
+    if (!pages.some((page) => page.text.trim())) {
+      return res.status(400).json({
+        error: "No text could be extracted from the syllabus",
+      });
     }
 
-    Rules:
-    1. Only extract actual calendar events (assignments, exams, readings, etc.)
-    2. Convert all dates to YYYY-MM-DD format
-    3. If time is mentioned, include it in due_time (HH:MM format)
-    4. Set confidence_score based on how clear the event information is
-    5. Include the exact text from the syllabus that led to each extraction
-    6. If no clear events are found, return an empty events array
-    7. Be conservative - only extract events you're confident about
-
-    Return only the JSON object, no additional text.
-    `;
-
-    // Generate content using Google AI
-    const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const text = response.text();
-
-    console.log("AI response received, parsing JSON...");
-
-    // Parse the JSON response
-    let extractedData;
-    try {
-      // Clean the response to extract just the JSON
-      const jsonMatch = text.match(/\{[\s\S]*\}/);
-      if (!jsonMatch) {
-        throw new Error("No JSON found in AI response");
+    // Optional term calendar used to resolve dates like "Week 4, Class 2"
+    let term;
+    if (req.body.term) {
+      const parsedTerm = parseTerm(req.body.term);
+      if (!parsedTerm.valid) {
+        return res.status(400).json({
+          error: "Invalid term",
+          details: parsedTerm.error,
+        });
       }
-      extractedData = JSON.parse(jsonMatch[0]);
-    } catch (parseError) {
-      console.error("Error parsing AI response:", parseError);
-      console.error("Raw AI response:", text);
-      return res.status(500).json({
-        error: "Failed to parse AI response",
-        details: parseError.message,
-      });
+      term = parsedTerm.term;
     }
 
-    // Validate the extracted data
-    if (!extractedData.events || !Array.isArray(extractedData.events)) {
-      return res.status(500).json({
-        error: "Invalid response format from AI",
-        details: "Expected events array not found",
-      });
+    // Send each section of the syllabus to the configured model provider
+    const provider = getExtractionProvider();
+    console.log(
+      `Extracting calendar events from syllabus content with ${provider.name} (${provider.model})...`
+    );
+
+    const { events, warnings, chunkCount } = await extractEventsFromPages(
+      pages,
+      provider.generate,
+      { term }
+    );
+
+    console.log(
+      `Successfully extracted ${events.length} events with ${warnings.length} warnings`
+    );
+
+    // Optionally queue the events for review instead of returning them only
+    let drafts;
+    if (req.body.saveDrafts === "true" || req.body.saveDrafts === true) {
+      drafts = await createEventDrafts(req.user.id, events, req.body.classId);
     }
 
-    console.log(`Successfully extracted ${extractedData.events.length} events`);
-
     res.json({
-      message: `Successfully extracted ${extractedData.events.length} calendar events`,
-      events: extractedData.events,
-      count: extractedData.events.length,
+      message: `Successfully extracted ${events.length} calendar events`,
+      events: events,
+      count: events.length,
+      warnings: warnings,
+      pageCount: pages.length,
+      chunkCount: chunkCount,
+      provider: provider.name,
+      ...(drafts && { drafts: drafts }),
     });
   } catch (error) {
     console.error("Calendar extraction error:", error);
@@ -116,7 +146,14 @@ router.post("/extract-events", async (req, res) => {
 router.get("/events/:userId", async (req, res) => {
   try {
     const { userId } = req.params;
-    const { startDate, endDate, eventType } = req.query;
+    const {
+      startDate,
+      endDate,
+      eventType,
+      classId,
+      completed,
+      includeArchived,
+    } = req.query;
 
     if (!userId) {
       return res.status(400).json({ error: "User ID is required" });
@@ -140,6 +177,19 @@ router.get("/events/:userId", async (req, res) => {
       query = query.eq("event_type", eventType);
     }
 
+    if (classId) {
+      query = query.eq("class_id", classId);
+    }
+
+    if (completed === "true" || completed === "false") {
+      query = query.eq("completed", completed === "true");
+    }
+
+    // Events of archived classes are hidden unless asked for
+    if (includeArchived !== "true") {
+      query = query.is("archived_at", null);
+    }
+
     const { data: events, error } = await query;
 
     if (error) {
@@ -160,8 +210,9 @@ router.get("/events/:userId", async (req, res) => {
   }
 });
 
-// Save calendar events to database
-router.post("/save-events/:userId", async (req, res) => {
+// Save calendar events to database. Events already saved (same class,
+// title, date and type) are updated rather than added again.
+router.post("/save-events/:userId", idempotency, async (req, res) => {
   try {
     const { userId } = req.params;
     const { events, classId } = req.body;
@@ -176,44 +227,736 @@ router.post("/save-events/:userId", async (req, res) => {
 
     console.log(`Saving ${events.length} events for user ${userId}`);
 
-    // Prepare events for database insertion
-    const eventsToInsert = events.map((event) => ({
-      user_id: userId,
-      class_id: classId || null,
-      title: event.title,
-      description: event.description,
-      event_type: event.event_type,
-      due_date: event.due_date,
-      due_time: event.due_time,
-      confidence_score: event.confidence_score,
-      source_text: event.source_text,
-      created_at: new Date().toISOString(),
-    }));
-
-    const { data: insertedEvents, error } = await supabase
+    const saved = await saveCalendarEvents(userId, events, classId);
+
+    console.log(
+      `Successfully saved events: ${saved.createdCount} created, ${saved.updatedCount} updated, ${saved.unchangedCount} unchanged`
+    );
+
+    res.json({
+      success: true,
+      message: `Successfully saved ${events.length} events`,
+      events: saved.events,
+      results: saved.results.map(({ index, status, event }) => ({
+        index: index,
+        status: status,
+        eventId: event && event.id,
+      })),
+      createdCount: saved.createdCount,
+      updatedCount: saved.updatedCount,
+      unchangedCount: saved.unchangedCount,
+    });
+  } catch (error) {
+    console.error("Error saving calendar events:", error);
+    res.status(500).json({
+      error: "Failed to save calendar events",
+      details: error.message,
+    });
+  }
+});
+
+// Import an .ics file. Returns a preview unless save=true, in which case the
+// events are saved the same way as /save-events.
+router.post("/import-ics/:userId", upload.single("file"), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { classId, save, rangeStart, rangeEnd } = req.body;
+
+    if (!req.file) {
+      return res.status(400).json({ error: "An .ics file is required" });
+    }
+
+    const timeZone = req.body.timeZone || (await getUserTimeZone(userId));
+
+    if (!isValidTimeZone(timeZone)) {
+      return res.status(400).json({ error: `Invalid time zone: ${timeZone}` });
+    }
+
+    if (
+      (rangeStart && !isValidDate(rangeStart)) ||
+      (rangeEnd && !isValidDate(rangeEnd))
+    ) {
+      return res.status(400).json({
+        error: "rangeStart and rangeEnd must be dates in YYYY-MM-DD format",
+      });
+    }
+
+    if (rangeStart && rangeEnd && rangeStart > rangeEnd) {
+      return res
+        .status(400)
+        .json({ error: "rangeStart must be on or before rangeEnd" });
+    }
+
+    let events;
+    try {
+      events = mapIcsEvents(parseIcs(req.file.buffer.toString("utf8")), {
+        timeZone,
+        classId,
+        rangeStart,
+        rangeEnd,
+      });
+    } catch (parseError) {
+      return res.status(400).json({
+        error: "Failed to parse iCalendar file",
+        details: parseError.message,
+      });
+    }
+
+    if (save !== "true" && save !== true) {
+      return res.json({
+        success: true,
+        preview: true,
+        message: `Found ${events.length} events`,
+        events: events,
+        count: events.length,
+      });
+    }
+
+    const saved = await saveCalendarEvents(userId, events, classId);
+
+    res.json({
+      success: true,
+      preview: false,
+      message: `Successfully imported ${events.length} events`,
+      events: saved.events,
+      count: saved.events.length,
+      createdCount: saved.createdCount,
+      updatedCount: saved.updatedCount,
+      unchangedCount: saved.unchangedCount,
+    });
+  } catch (error) {
+    console.error("Error importing iCalendar file:", error);
+    res.status(500).json({
+      error: "Failed to import iCalendar file",
+      details: error.message,
+    });
+  }
+});
+
+// Get one saved calendar event
+router.get("/events/:userId/:eventId", async (req, res) => {
+  try {
+    const { userId, eventId } = req.params;
+
+    const { data: event, error } = await supabase
       .from("calendar_events")
-      .insert(eventsToInsert)
-      .select();
+      .select("*")
+      .eq("id", eventId)
+      .eq("user_id", userId)
+      .maybeSingle();
 
     if (error) {
       console.error("Database error:", error);
-      return res.status(500).json({ error: "Failed to save events" });
+      return res.status(500).json({ error: "Failed to fetch calendar event" });
     }
 
-    console.log(`Successfully saved ${insertedEvents.length} events`);
+    if (!event) {
+      return res.status(404).json({ error: "Calendar event not found" });
+    }
 
     res.json({
       success: true,
-      message: `Successfully saved ${insertedEvents.length} events`,
-      events: insertedEvents,
+      event: event,
     });
   } catch (error) {
-    console.error("Error saving calendar events:", error);
+    console.error("Error fetching calendar event:", error);
     res.status(500).json({
-      error: "Failed to save calendar events",
+      error: "Failed to fetch calendar event",
+      details: error.message,
+    });
+  }
+});
+
+// Update a saved calendar event and propagate the change to Google Calendar
+router.patch("/events/:userId/:eventId", async (req, res) => {
+  try {
+    const { userId, eventId } = req.params;
+    const editableFields = [
+      "title",
+      "description",
+      "event_type",
+      "due_date",
+      "due_time",
+      "end_time",
+      "location",
+      "completed",
+    ];
+
+    const updates = {};
+    editableFields.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        error: `No editable fields provided: ${editableFields.join(", ")}`,
+      });
+    }
+
+    const errors = validateEventFields(updates, { requireDate: true });
+    if (
+      updates.completed !== undefined &&
+      typeof updates.completed !== "boolean"
+    ) {
+      errors.push("completed: must be true or false");
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: "Invalid event fields",
+        details: errors.join("; "),
+      });
+    }
+
+    const { data: existing, error: loadError } = await supabase
+      .from("calendar_events")
+      .select("*")
+      .eq("id", eventId)
+      .eq("user_id", userId)
+      .maybeSingle();
+
+    if (loadError) {
+      console.error("Database error:", loadError);
+      return res.status(500).json({ error: "Failed to update event" });
+    }
+
+    if (!existing) {
+      return res.status(404).json({ error: "Calendar event not found" });
+    }
+
+    // Keep the first completion time when an event is marked done again
+    if (updates.completed !== undefined) {
+      updates.completed_at = updates.completed
+        ? existing.completed_at || new Date().toISOString()
+        : null;
+    }
+
+    // Saved events stay de-duplicated under their edited identity
+    if (
+      existing.fingerprint &&
+      ["title", "due_date", "event_type"].some((field) => field in updates)
+    ) {
+      updates.fingerprint = getEventFingerprint(
+        { ...existing, ...updates },
+        existing.class_id
+      );
+    }
+
+    const { data: event, error } = await supabase
+      .from("calendar_events")
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq("id", eventId)
+      .eq("user_id", userId)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      // Unique violation on the fingerprint index
+      if (error.code === "23505") {
+        return res.status(409).json({
+          error:
+            "Another event in this class already has this title, date and type",
+        });
+      }
+      console.error("Database error:", error);
+      return res.status(500).json({ error: "Failed to update event" });
+    }
+
+    if (!event) {
+      return res.status(404).json({ error: "Calendar event not found" });
+    }
+
+    // Linked events are pushed now; if that fails the row is marked pending
+    // and the next sync pushes it again. Completion is only tracked here, so
+    // it doesn't need a push.
+    const googleChanged = Object.keys(updates).some(
+      (field) => !["completed", "completed_at", "fingerprint"].includes(field)
+    );
+    let googleSyncError = null;
+    if (event.google_event_id && googleChanged) {
+      try {
+        await pushEventToGoogle(userId, event);
+      } catch (pushError) {
+        console.error("Error pushing event to Google Calendar:", pushError);
+        googleSyncError = pushError.message;
+
+        const { error: pendingError } = await supabase
+          .from("calendar_events")
+          .update({ google_push_pending_at: new Date().toISOString() })
+          .eq("id", eventId)
+          .eq("user_id", userId);
+
+        if (pendingError) {
+          console.error("Error marking event for Google push:", pendingError);
+        }
+      }
+    }
+
+    res.json({
+      success: true,
+      event: event,
+      googleSynced: !!event.google_event_id && !googleSyncError,
+      googleSyncError: googleSyncError,
+    });
+  } catch (error) {
+    console.error("Error updating calendar event:", error);
+    res.status(500).json({
+      error: "Failed to update calendar event",
+      details: error.message,
+    });
+  }
+});
+
+// Delete one saved calendar event
+router.delete("/events/:userId/:eventId", async (req, res) => {
+  try {
+    const { userId, eventId } = req.params;
+
+    const { data: event, error } = await supabase
+      .from("calendar_events")
+      .select("*")
+      .eq("id", eventId)
+      .eq("user_id", userId)
+      .maybeSingle();
+
+    if (error) {
+      console.error("Database error:", error);
+      return res.status(500).json({ error: "Failed to delete event" });
+    }
+
+    if (!event) {
+      return res.status(404).json({ error: "Calendar event not found" });
+    }
+
+    const { googleErrors } = await deleteCalendarEvents(userId, [event]);
+
+    // The event is kept so the delete can be retried
+    if (googleErrors.length > 0) {
+      return res.status(502).json({
+        error: "Failed to delete event from Google Calendar",
+        details: googleErrors[0].error,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Calendar event deleted",
+      googleSynced: !!event.google_event_id,
+    });
+  } catch (error) {
+    console.error("Error deleting calendar event:", error);
+    res.status(500).json({
+      error: "Failed to delete calendar event",
+      details: error.message,
+    });
+  }
+});
+
+// Delete all saved events for a class
+router.delete("/events/:userId", async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { classId } = req.query;
+
+    if (!classId) {
+      return res.status(400).json({ error: "classId is required" });
+    }
+
+    const { data: events, error } = await supabase
+      .from("calendar_events")
+      .select("id, google_event_id, google_calendar_id")
+      .eq("user_id", userId)
+      .eq("class_id", classId);
+
+    if (error) {
+      console.error("Database error:", error);
+      return res.status(500).json({ error: "Failed to delete events" });
+    }
+
+    const { deletedCount, googleErrors } = await deleteCalendarEvents(
+      userId,
+      events
+    );
+
+    // Events whose Google copies couldn't be removed are kept
+    res.json({
+      success: googleErrors.length === 0,
+      message: `Deleted ${deletedCount} calendar events`,
+      deletedCount: deletedCount,
+      keptCount: googleErrors.length,
+      googleErrors: googleErrors,
+    });
+  } catch (error) {
+    console.error("Error deleting calendar events:", error);
+    res.status(500).json({
+      error: "Failed to delete calendar events",
+      details: error.message,
+    });
+  }
+});
+
+// Queue extracted events for review
+router.post("/drafts/:userId", async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { events, classId } = req.body;
+
+    if (!events || !Array.isArray(events) || events.length === 0) {
+      return res.status(400).json({ error: "Events array is required" });
+    }
+
+    const drafts = await createEventDrafts(userId, events, classId);
+
+    res.status(201).json({
+      success: true,
+      drafts: drafts,
+      count: drafts.length,
+    });
+  } catch (error) {
+    console.error("Error saving event drafts:", error);
+    res.status(500).json({
+      error: "Failed to save event drafts",
+      details: error.message,
+    });
+  }
+});
+
+// List drafts awaiting review, least confident first
+router.get("/drafts/:userId", async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { status = "pending", classId } = req.query;
+
+    if (!["pending", "approved", "rejected"].includes(status)) {
+      return res.status(400).json({
+        error: "status must be one of pending, approved, rejected",
+      });
+    }
+
+    const drafts = await listEventDrafts(userId, { status, classId });
+
+    res.json({
+      success: true,
+      drafts: drafts,
+      count: drafts.length,
+    });
+  } catch (error) {
+    console.error("Error fetching event drafts:", error);
+    res.status(500).json({
+      error: "Failed to fetch event drafts",
+      details: error.message,
+    });
+  }
+});
+
+// Approve pending drafts in bulk
+router.post("/drafts/:userId/approve", async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { draftIds } = req.body;
+
+    if (!Array.isArray(draftIds) || draftIds.length === 0) {
+      return res.status(400).json({ error: "draftIds array is required" });
+    }
+
+    const results = await approveEventDrafts(userId, draftIds);
+    const approvedCount = results.filter(
+      (result) => result.status === "approved"
+    ).length;
+
+    res.json({
+      success: true,
+      message: `Approved ${approvedCount} of ${draftIds.length} drafts`,
+      approvedCount: approvedCount,
+      failedCount: draftIds.length - approvedCount,
+      results: results,
+    });
+  } catch (error) {
+    console.error("Error approving event drafts:", error);
+    res.status(500).json({
+      error: "Failed to approve event drafts",
+      details: error.message,
+    });
+  }
+});
+
+// Reject pending drafts in bulk
+router.post("/drafts/:userId/reject", async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { draftIds } = req.body;
+
+    if (!Array.isArray(draftIds) || draftIds.length === 0) {
+      return res.status(400).json({ error: "draftIds array is required" });
+    }
+
+    const rejectedIds = await rejectEventDrafts(userId, draftIds);
+
+    res.json({
+      success: true,
+      message: `Rejected ${rejectedIds.length} of ${draftIds.length} drafts`,
+      rejectedIds: rejectedIds,
+    });
+  } catch (error) {
+    console.error("Error rejecting event drafts:", error);
+    res.status(500).json({
+      error: "Failed to reject event drafts",
+      details: error.message,
+    });
+  }
+});
+
+// Edit a pending draft
+router.patch("/drafts/:userId/:draftId", async (req, res) => {
+  try {
+    const { userId, draftId } = req.params;
+    const edits = pickDraftEdits(req.body);
+
+    if (Object.keys(edits).length === 0) {
+      return res.status(400).json({
+        error: `No editable fields provided: ${EDITABLE_DRAFT_FIELDS.join(", ")}`,
+      });
+    }
+
+    const result = await updateEventDraft(userId, draftId, edits);
+
+    if (!result.valid) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    if (!result.draft) {
+      return res.status(404).json({ error: "Pending draft not found" });
+    }
+
+    res.json({
+      success: true,
+      draft: result.draft,
+    });
+  } catch (error) {
+    console.error("Error updating event draft:", error);
+    res.status(500).json({
+      error: "Failed to update event draft",
+      details: error.message,
+    });
+  }
+});
+
+// Approve one draft, applying any edits sent with it first
+router.post("/drafts/:userId/:draftId/approve", async (req, res) => {
+  try {
+    const { userId, draftId } = req.params;
+    const edits = pickDraftEdits(req.body);
+
+    if (Object.keys(edits).length > 0) {
+      const result = await updateEventDraft(userId, draftId, edits);
+
+      if (!result.valid) {
+        return res.status(400).json({ error: result.error });
+      }
+
+      if (!result.draft) {
+        return res.status(404).json({ error: "Pending draft not found" });
+      }
+    }
+
+    const [result] = await approveEventDrafts(userId, [draftId]);
+
+    if (result.status !== "approved") {
+      return res
+        .status(result.status === "not_found" ? 404 : 400)
+        .json({ error: result.error });
+    }
+
+    res.json({
+      success: true,
+      event: result.event,
+    });
+  } catch (error) {
+    console.error("Error approving event draft:", error);
+    res.status(500).json({
+      error: "Failed to approve event draft",
+      details: error.message,
+    });
+  }
+});
+
+// Reject one draft
+router.post("/drafts/:userId/:draftId/reject", async (req, res) => {
+  try {
+    const { userId, draftId } = req.params;
+
+    const rejectedIds = await rejectEventDrafts(userId, [draftId]);
+
+    if (rejectedIds.length === 0) {
+      return res.status(404).json({ error: "Pending draft not found" });
+    }
+
+    res.json({
+      success: true,
+      message: "Draft rejected",
+    });
+  } catch (error) {
+    console.error("Error rejecting event draft:", error);
+    res.status(500).json({
+      error: "Failed to reject event draft",
+      details: error.message,
+    });
+  }
+});
+
+// Workload per day, week and class for a date range, with crunch periods
+router.get("/workload/:userId", async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { startDate, endDate, classId } = req.query;
+
+    if (!isValidDate(startDate) || !isValidDate(endDate)) {
+      return res.status(400).json({
+        error: "startDate and endDate must be dates in YYYY-MM-DD format",
+      });
+    }
+
+    const days = (new Date(endDate) - new Date(startDate)) / 86400000 + 1;
+    if (days < 1 || days > 366) {
+      return res.status(400).json({
+        error: "endDate must be on or after startDate and within a year of it",
+      });
+    }
+
+    if (classId !== undefined && !isValidUuid(classId)) {
+      return res.status(400).json({ error: "classId must be a UUID" });
+    }
+
+    let query = supabase
+      .from("calendar_events")
+      .select("id, title, event_type, due_date, class_id")
+      .eq("user_id", userId)
+      .is("archived_at", null)
+      .gte("due_date", startDate)
+      .lte("due_date", endDate);
+
+    if (classId) {
+      query = query.eq("class_id", classId);
+    }
+
+    const { data: events, error } = await query;
+
+    if (error) {
+      console.error("Database error:", error);
+      return res.status(500).json({ error: "Failed to load calendar events" });
+    }
+
+    const { data: classes, error: classesError } = await supabase
+      .from("classes")
+      .select("id, name")
+      .eq("user_id", userId);
+
+    if (classesError) {
+      console.error("Database error:", classesError);
+      return res.status(500).json({ error: "Failed to load classes" });
+    }
+
+    res.json({
+      success: true,
+      ...computeWorkload(events, { startDate, endDate, classes }),
+    });
+  } catch (error) {
+    console.error("Error computing workload:", error);
+    res.status(500).json({
+      error: "Failed to compute workload",
       details: error.message,
     });
   }
 });
 
+// Create an iCalendar subscription feed for all events or one class
+router.post("/feeds/:userId", async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { classId } = req.body;
+    const timeZone = req.body.timeZone || (await getUserTimeZone(userId));
+
+    if (!isValidTimeZone(timeZone)) {
+      return res.status(400).json({ error: `Invalid time zone: ${timeZone}` });
+    }
+
+    const { feed, token } = await createFeed(userId, { classId, timeZone });
+    const baseUrl =
+      process.env.API_BASE_URL || `${req.protocol}://${req.get("host")}`;
+
+    res.status(201).json({
+      success: true,
+      message: "Calendar feed created; the URL is only shown once",
+      feed: feed,
+      url: `${baseUrl}/api/feeds/${token}.ics`,
+    });
+  } catch (error) {
+    console.error("Error creating calendar feed:", error);
+    res.status(500).json({
+      error: "Failed to create calendar feed",
+      details: error.message,
+    });
+  }
+});
+
+// List a user's active calendar feeds
+router.get("/feeds/:userId", async (req, res) => {
+  try {
+    const feeds = await listFeeds(req.params.userId);
+
+    res.json({
+      success: true,
+      feeds: feeds,
+    });
+  } catch (error) {
+    console.error("Error fetching calendar feeds:", error);
+    res.status(500).json({
+      error: "Failed to fetch calendar feeds",
+      details: error.message,
+    });
+  }
+});
+
+// Revoke a calendar feed
+router.delete("/feeds/:userId/:feedId", async (req, res) => {
+  try {
+    const { userId, feedId } = req.params;
+    const revoked = await revokeFeed(userId, feedId);
+
+    if (!revoked) {
+      return res.status(404).json({ error: "Feed not found" });
+    }
+
+    res.json({
+      success: true,
+      message: "Calendar feed revoked",
+    });
+  } catch (error) {
+    console.error("Error revoking calendar feed:", error);
+    res.status(500).json({
+      error: "Failed to revoke calendar feed",
+      details: error.message,
+    });
+  }
+});
+
+// Report rejected uploads as client errors instead of server errors
+router.use((error, req, res, next) => {
+  if (!(error instanceof multer.MulterError)) {
+    return next(error);
+  }
+
+  if (error.code === "LIMIT_FILE_SIZE") {
+    return res.status(413).json({
+      error: `File is too large; the limit is ${MAX_UPLOAD_MB}MB`,
+    });
+  }
+
+  res.status(400).json({
+    error: "Invalid file upload",
+    details: error.message,
+  });
+});
+
 module.exports = router;
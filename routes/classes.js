@@ -0,0 +1,227 @@
+const express = require("express");
+const { createClient } = require("@supabase/supabase-js");
+const { requireMatchingUser } = require("../middleware/auth");
+const {
+  CLASS_FIELDS,
+  pickClassFields,
+  createClass,
+  listClasses,
+  getClass,
+  updateClass,
+  setClassArchived,
+} = require("../utils/classes");
+
+const router = express.Router();
+
+// Only allow access to the authenticated user's own resources
+router.param("userId", requireMatchingUser);
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Create a class
+router.post("/:userId", async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const result = await createClass(userId, pickClassFields(req.body));
+
+    if (!result.valid) {
+      return res
+        .status(400)
+        .json({ error: "Invalid class fields", details: result.error });
+    }
+
+    res.status(201).json({
+      success: true,
+      class: result.class,
+    });
+  } catch (error) {
+    console.error("Error creating class:", error);
+    res.status(500).json({
+      error: "Failed to create class",
+      details: error.message,
+    });
+  }
+});
+
+// List a user's classes
+router.get("/:userId", async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const includeArchived = req.query.includeArchived === "true";
+
+    const classes = await listClasses(userId, { includeArchived });
+
+    res.json({
+      success: true,
+      classes: classes,
+    });
+  } catch (error) {
+    console.error("Error fetching classes:", error);
+    res.status(500).json({
+      error: "Failed to fetch classes",
+      details: error.message,
+    });
+  }
+});
+
+// Get one class
+router.get("/:userId/:classId", async (req, res) => {
+  try {
+    const { userId, classId } = req.params;
+
+    const classRow = await getClass(userId, classId);
+
+    if (!classRow) {
+      return res.status(404).json({ error: "Class not found" });
+    }
+
+    res.json({
+      success: true,
+      class: classRow,
+    });
+  } catch (error) {
+    console.error("Error fetching class:", error);
+    res.status(500).json({
+      error: "Failed to fetch class",
+      details: error.message,
+    });
+  }
+});
+
+// Update a class
+router.patch("/:userId/:classId", async (req, res) => {
+  try {
+    const { userId, classId } = req.params;
+    const fields = pickClassFields(req.body);
+
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({
+        error: `No editable fields provided: ${CLASS_FIELDS.join(", ")}`,
+      });
+    }
+
+    const result = await updateClass(userId, classId, fields);
+
+    if (!result.valid) {
+      return res
+        .status(400)
+        .json({ error: "Invalid class fields", details: result.error });
+    }
+
+    if (!result.class) {
+      return res.status(404).json({ error: "Class not found" });
+    }
+
+    res.json({
+      success: true,
+      class: result.class,
+    });
+  } catch (error) {
+    console.error("Error updating class:", error);
+    res.status(500).json({
+      error: "Failed to update class",
+      details: error.message,
+    });
+  }
+});
+
+// Archive a class along with its events
+router.post("/:userId/:classId/archive", async (req, res) => {
+  try {
+    const { userId, classId } = req.params;
+
+    const result = await setClassArchived(userId, classId, true);
+
+    if (!result) {
+      return res.status(404).json({ error: "Class not found" });
+    }
+
+    res.json({
+      success: true,
+      class: result.class,
+      archivedEventCount: result.eventCount,
+    });
+  } catch (error) {
+    console.error("Error archiving class:", error);
+    res.status(500).json({
+      error: "Failed to archive class",
+      details: error.message,
+    });
+  }
+});
+
+// Restore an archived class and the events archived with it
+router.post("/:userId/:classId/restore", async (req, res) => {
+  try {
+    const { userId, classId } = req.params;
+
+    const result = await setClassArchived(userId, classId, false);
+
+    if (!result) {
+      return res.status(404).json({ error: "Class not found" });
+    }
+
+    res.json({
+      success: true,
+      class: result.class,
+      restoredEventCount: result.eventCount,
+    });
+  } catch (error) {
+    console.error("Error restoring class:", error);
+    res.status(500).json({
+      error: "Failed to restore class",
+      details: error.message,
+    });
+  }
+});
+
+// List a class's events
+router.get("/:userId/:classId/events", async (req, res) => {
+  try {
+    const { userId, classId } = req.params;
+
+    const classRow = await getClass(userId, classId);
+
+    if (!classRow) {
+      return res.status(404).json({ error: "Class not found" });
+    }
+
+    let query = supabase
+      .from("calendar_events")
+      .select("*")
+      .eq("user_id", userId)
+      .eq("class_id", classId)
+      .order("due_date", { ascending: true });
+
+    // An archived class still shows the events archived with it
+    if (!classRow.archived_at && req.query.includeArchived !== "true") {
+      query = query.is("archived_at", null);
+    }
+
+    const { data: events, error } = await query;
+
+    if (error) {
+      console.error("Database error:", error);
+      return res.status(500).json({ error: "Failed to fetch class events" });
+    }
+
+    res.json({
+      success: true,
+      class: classRow,
+      events: events,
+    });
+  } catch (error) {
+    console.error("Error fetching class events:", error);
+    res.status(500).json({
+      error: "Failed to fetch class events",
+      details: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,119 @@
+const express = require("express");
+const { requireMatchingUser } = require("../middleware/auth");
+const {
+  DIGEST_FREQUENCIES,
+  buildDigest,
+  listDigestSubscriptions,
+  setDigestSubscription,
+} = require("../utils/digests");
+
+const router = express.Router();
+
+// Only allow access to the authenticated user's own resources
+router.param("userId", requireMatchingUser);
+
+// List a user's digest subscriptions
+router.get("/:userId", async (req, res) => {
+  try {
+    const subscriptions = await listDigestSubscriptions(req.params.userId);
+
+    res.json({
+      success: true,
+      subscriptions: subscriptions,
+    });
+  } catch (error) {
+    console.error("Error fetching digest subscriptions:", error);
+    res.status(500).json({
+      error: "Failed to fetch digest subscriptions",
+      details: error.message,
+    });
+  }
+});
+
+// Preview the digest for the current period without sending it
+router.get("/:userId/preview", async (req, res) => {
+  try {
+    const { frequency = "weekly", format = "json" } = req.query;
+
+    if (!DIGEST_FREQUENCIES.includes(frequency)) {
+      return res.status(400).json({
+        error: `frequency must be one of ${DIGEST_FREQUENCIES.join(", ")}`,
+      });
+    }
+
+    const digest = await buildDigest(req.params.userId, frequency);
+
+    if (format === "html") {
+      return res.type("html").send(digest.email.html);
+    }
+    if (format === "text") {
+      return res.type("text").send(digest.email.text);
+    }
+
+    res.json({
+      success: true,
+      period: digest.period,
+      groups: digest.groups,
+      email: digest.email,
+    });
+  } catch (error) {
+    console.error("Error previewing digest:", error);
+    res.status(500).json({
+      error: "Failed to preview digest",
+      details: error.message,
+    });
+  }
+});
+
+// Opt in to or out of the daily or weekly digest
+router.put("/:userId/:frequency", async (req, res) => {
+  try {
+    const { userId, frequency } = req.params;
+    const { enabled } = req.body;
+    const email = req.user.email;
+
+    if (!DIGEST_FREQUENCIES.includes(frequency)) {
+      return res.status(400).json({
+        error: `frequency must be one of ${DIGEST_FREQUENCIES.join(", ")}`,
+      });
+    }
+
+    if (typeof enabled !== "boolean") {
+      return res.status(400).json({ error: "enabled must be true or false" });
+    }
+
+    // Digests only go to the account's own verified address
+    if (!email) {
+      return res
+        .status(400)
+        .json({ error: "Your account has no email address to send to" });
+    }
+
+    if (
+      req.body.email !== undefined &&
+      String(req.body.email).toLowerCase() !== email.toLowerCase()
+    ) {
+      return res.status(400).json({
+        error: "Digests can only be sent to your account's email address",
+      });
+    }
+
+    const subscription = await setDigestSubscription(userId, frequency, {
+      email,
+      enabled,
+    });
+
+    res.json({
+      success: true,
+      subscription: subscription,
+    });
+  } catch (error) {
+    console.error("Error updating digest subscription:", error);
+    res.status(500).json({
+      error: "Failed to update digest subscription",
+      details: error.message,
+    });
+  }
+});
+
+module.exports = router;
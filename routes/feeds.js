@@ -0,0 +1,30 @@
+const express = require("express");
+const { renderFeed } = require("../utils/calendarFeeds");
+
+const router = express.Router();
+
+// Serve a read-only iCalendar feed; the token in the URL is the credential
+router.get("/:token.ics", async (req, res) => {
+  try {
+    const calendar = await renderFeed(req.params.token);
+
+    if (!calendar) {
+      return res.status(404).json({ error: "Feed not found" });
+    }
+
+    res.set({
+      "Content-Type": "text/calendar; charset=utf-8",
+      "Content-Disposition": 'inline; filename="law-bandit.ics"',
+      "Cache-Control": "private, max-age=900",
+    });
+    res.send(calendar);
+  } catch (error) {
+    console.error("Error rendering calendar feed:", error);
+    res.status(500).json({
+      error: "Failed to render calendar feed",
+      details: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -2,14 +2,26 @@ const express = require("express");
 const { google } = require("googleapis");
 const {
   getCalendarClientFromDatabase,
-  formatEventForGoogleCalendar,
+  buildGoogleEventResource,
+  pushEventToGoogle,
+  bulkPushEventsToGoogle,
+  getPageParams,
   syncEventsToDatabaseFromDatabase,
   getUserConnectionStatusFromDatabase,
   supabase,
 } = require("../utils/googleCalendar");
+const { watchCalendar, stopUserChannels } = require("../utils/googleWatch");
+const { requireMatchingUser } = require("../middleware/auth");
+const {
+  getUserPreferences,
+  getUserTimeZone,
+} = require("../utils/userPreferences");
 
 const router = express.Router();
 
+// Only allow access to the authenticated user's own resources
+router.param("userId", requireMatchingUser);
+
 // Get user's connection status
 router.get("/connection-status/:userId", async (req, res) => {
   try {
@@ -29,19 +41,21 @@ router.get("/connection-status/:userId", async (req, res) => {
   }
 });
 
-// Get user's calendars
+// Get user's calendars, one page at a time (pass nextPageToken as pageToken)
 router.get("/calendars/:userId", async (req, res) => {
   try {
     const { userId } = req.params;
+    const { pageToken, maxResults } = getPageParams(req.query, 100, 250);
     const calendar = await getCalendarClientFromDatabase(userId);
 
     const response = await calendar.calendarList.list({
-      maxResults: 100,
+      pageToken: pageToken,
+      maxResults: maxResults,
       showDeleted: false,
       showHidden: false,
     });
 
-    const calendars = response.data.items.map((cal) => ({
+    const calendars = (response.data.items || []).map((cal) => ({
       id: cal.id,
       summary: cal.summary,
       description: cal.description,
@@ -55,6 +69,7 @@ router.get("/calendars/:userId", async (req, res) => {
     res.json({
       success: true,
       calendars: calendars,
+      nextPageToken: response.data.nextPageToken || null,
     });
   } catch (error) {
     console.error("Error fetching calendars:", error);
@@ -65,16 +80,12 @@ router.get("/calendars/:userId", async (req, res) => {
   }
 });
 
-// Get events from a specific calendar
+// Get events from a specific calendar, one page at a time
 router.get("/events/:userId", async (req, res) => {
   try {
     const { userId } = req.params;
-    const {
-      calendarId = "primary",
-      startDate,
-      endDate,
-      maxResults = 50,
-    } = req.query;
+    const { calendarId = "primary", startDate, endDate } = req.query;
+    const { pageToken, maxResults } = getPageParams(req.query, 50, 2500);
 
     const calendar = await getCalendarClientFromDatabase(userId);
 
@@ -89,12 +100,13 @@ router.get("/events/:userId", async (req, res) => {
       calendarId: calendarId,
       timeMin: timeMin,
       timeMax: timeMax,
-      maxResults: parseInt(maxResults),
+      pageToken: pageToken,
+      maxResults: maxResults,
       singleEvents: true,
       orderBy: "startTime",
     });
 
-    const events = response.data.items.map((event) => ({
+    const events = (response.data.items || []).map((event) => ({
       id: event.id,
       summary: event.summary,
       description: event.description,
@@ -112,7 +124,7 @@ router.get("/events/:userId", async (req, res) => {
     res.json({
       success: true,
       events: events,
-      nextPageToken: response.data.nextPageToken,
+      nextPageToken: response.data.nextPageToken || null,
     });
   } catch (error) {
     console.error("Error fetching events:", error);
@@ -123,10 +135,43 @@ router.get("/events/:userId", async (req, res) => {
   }
 });
 
+// Add an event to Google Calendar. Pass calendarEventId to push a saved
+// calendar_events row and link it to the Google event.
 router.post("/add-to-google-calendar/:userId", async (req, res) => {
   try {
     const { userId } = req.params;
-    const { eventData, calendarId = "primary" } = req.body;
+    const { eventData, calendarEventId, calendarId = "primary" } = req.body;
+
+    if (calendarEventId) {
+      const { data: savedEvent, error: fetchError } = await supabase
+        .from("calendar_events")
+        .select("*")
+        .eq("id", calendarEventId)
+        .eq("user_id", userId)
+        .maybeSingle();
+
+      if (fetchError) {
+        throw new Error(fetchError.message);
+      }
+
+      if (!savedEvent) {
+        return res.status(404).json({ error: "Calendar event not found" });
+      }
+
+      const googleEvent = await pushEventToGoogle(
+        userId,
+        savedEvent,
+        calendarId
+      );
+
+      return res.json({
+        success: true,
+        message: "Event added to Google Calendar successfully",
+        eventId: googleEvent.id,
+        eventUrl: googleEvent.htmlLink,
+        data: googleEvent,
+      });
+    }
 
     if (!eventData || !eventData.title || !eventData.due_date) {
       return res.status(400).json({
@@ -136,8 +181,9 @@ router.post("/add-to-google-calendar/:userId", async (req, res) => {
     }
 
     const calendar = await getCalendarClientFromDatabase(userId);
+    const { timeZone, reminders } = await getUserPreferences(userId);
 
-    const event = formatEventForGoogleCalendar(eventData);
+    const event = buildGoogleEventResource(eventData, { timeZone, reminders });
 
     const response = await calendar.events.insert({
       calendarId: calendarId,
@@ -161,6 +207,54 @@ router.post("/add-to-google-calendar/:userId", async (req, res) => {
   }
 });
 
+// Push a class's saved events (or a list of saved events) to Google Calendar
+router.post("/bulk-push/:userId", async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { classId, eventIds, calendarId = "primary" } = req.body;
+
+    if (!classId && (!Array.isArray(eventIds) || eventIds.length === 0)) {
+      return res
+        .status(400)
+        .json({ error: "Either classId or an eventIds array is required" });
+    }
+
+    let query = supabase
+      .from("calendar_events")
+      .select("*")
+      .eq("user_id", userId)
+      .order("due_date", { ascending: true });
+
+    query = classId ? query.eq("class_id", classId) : query.in("id", eventIds);
+
+    const { data: events, error } = await query;
+
+    if (error) {
+      console.error("Database error:", error);
+      return res.status(500).json({ error: "Failed to load calendar events" });
+    }
+
+    const results = await bulkPushEventsToGoogle(userId, events, calendarId);
+    const count = (status) =>
+      results.filter((result) => result.status === status).length;
+
+    res.json({
+      success: true,
+      message: `Pushed ${count("created")} of ${events.length} events to Google Calendar`,
+      createdCount: count("created"),
+      skippedCount: count("skipped"),
+      failedCount: count("failed"),
+      results: results,
+    });
+  } catch (error) {
+    console.error("Error bulk pushing events:", error);
+    res.status(500).json({
+      error: "Failed to push events to Google Calendar",
+      details: error.message,
+    });
+  }
+});
+
 router.put("/update-event/:eventId/:userId", async (req, res) => {
   try {
     const { eventId, userId } = req.params;
@@ -170,31 +264,17 @@ router.put("/update-event/:eventId/:userId", async (req, res) => {
       return res.status(400).json({ error: "Event data is required" });
     }
 
+    if (!eventData.title || !eventData.due_date) {
+      return res.status(400).json({
+        error:
+          "Missing required fields: eventData.title and eventData.due_date",
+      });
+    }
+
     const calendar = await getCalendarClientFromDatabase(userId);
+    const { timeZone, reminders } = await getUserPreferences(userId);
 
-    // Parse the due date and time
-    const dueDate = new Date(eventData.due_date);
-    const startTime = eventData.due_time
-      ? new Date(`${eventData.due_date}T${eventData.due_time}`)
-      : dueDate;
-
-    const endTime = eventData.due_time
-      ? new Date(startTime.getTime() + 60 * 60 * 1000)
-      : new Date(dueDate.getTime() + 24 * 60 * 60 * 1000);
-
-    const event = {
-      summary: eventData.title,
-      description: eventData.description || "",
-      location: eventData.location || "",
-      start: {
-        dateTime: startTime.toISOString(),
-        timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
-      },
-      end: {
-        dateTime: endTime.toISOString(),
-        timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
-      },
-    };
+    const event = buildGoogleEventResource(eventData, { timeZone, reminders });
 
     const response = await calendar.events.update({
       calendarId: calendarId,
@@ -262,6 +342,12 @@ router.post("/sync-events/:userId", async (req, res) => {
       success: true,
       message: `Successfully synced ${result.syncedCount} events`,
       syncedCount: result.syncedCount,
+      insertedCount: result.insertedCount,
+      updatedCount: result.updatedCount,
+      pushedCount: result.pushedCount,
+      deletedCount: result.deletedCount,
+      conflicts: result.conflicts,
+      fullSync: result.fullSync,
     });
   } catch (error) {
     console.error("Error syncing events:", error);
@@ -272,6 +358,53 @@ router.post("/sync-events/:userId", async (req, res) => {
   }
 });
 
+// Subscribe to push notifications for a calendar
+router.post("/watch/:userId", async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { calendarId = "primary" } = req.body;
+
+    // Replace any existing channel for this calendar
+    await stopUserChannels(userId, calendarId);
+    const channel = await watchCalendar(userId, calendarId);
+
+    res.json({
+      success: true,
+      message: "Watching calendar for changes",
+      calendarId: channel.calendar_id,
+      expiration: channel.expiration,
+    });
+  } catch (error) {
+    console.error("Error watching calendar:", error);
+    res.status(500).json({
+      error: "Failed to watch calendar",
+      details: error.message,
+    });
+  }
+});
+
+// Unsubscribe from push notifications for a calendar
+router.delete("/watch/:userId", async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { calendarId = "primary" } = req.query;
+
+    const stoppedCount = await stopUserChannels(userId, calendarId);
+
+    res.json({
+      success: true,
+      message: "Stopped watching calendar",
+      stoppedCount: stoppedCount,
+    });
+  } catch (error) {
+    console.error("Error stopping calendar watch:", error);
+    res.status(500).json({
+      error: "Failed to stop watching calendar",
+      details: error.message,
+    });
+  }
+});
+
 // Get synced events from local database
 router.get("/synced-events/:userId", async (req, res) => {
   try {
@@ -330,7 +463,7 @@ router.post("/create-calendar/:userId", async (req, res) => {
     const calendarResource = {
       summary: summary,
       description: description || "",
-      timeZone: timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone,
+      timeZone: timeZone || (await getUserTimeZone(userId)),
     };
 
     const response = await calendar.calendars.insert({
@@ -0,0 +1,64 @@
+const express = require("express");
+const { requireMatchingUser } = require("../middleware/auth");
+const {
+  getUserPreferences,
+  updateUserPreferences,
+} = require("../utils/userPreferences");
+
+const router = express.Router();
+
+// Only allow access to the authenticated user's own resources
+router.param("userId", requireMatchingUser);
+
+// Get a user's preferences
+router.get("/:userId", async (req, res) => {
+  try {
+    const preferences = await getUserPreferences(req.params.userId);
+
+    res.json({
+      success: true,
+      preferences: preferences,
+    });
+  } catch (error) {
+    console.error("Error fetching preferences:", error);
+    res.status(500).json({
+      error: "Failed to fetch preferences",
+      details: error.message,
+    });
+  }
+});
+
+// Update a user's preferences
+router.put("/:userId", async (req, res) => {
+  try {
+    const { timeZone, reminders } = req.body;
+
+    if (timeZone === undefined && reminders === undefined) {
+      return res
+        .status(400)
+        .json({ error: "timeZone or reminders is required" });
+    }
+
+    const result = await updateUserPreferences(req.params.userId, {
+      timeZone,
+      reminders,
+    });
+
+    if (!result.valid) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json({
+      success: true,
+      preferences: result.preferences,
+    });
+  } catch (error) {
+    console.error("Error updating preferences:", error);
+    res.status(500).json({
+      error: "Failed to update preferences",
+      details: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,92 @@
+const express = require("express");
+const {
+  handleNotification,
+  renewExpiringChannels,
+  secretsMatch,
+} = require("../utils/googleWatch");
+const { getBearerToken } = require("../middleware/auth");
+const { DIGEST_FREQUENCIES, sendDueDigests } = require("../utils/digests");
+
+const router = express.Router();
+
+// Receive Google Calendar push notifications
+router.post("/google-calendar", async (req, res) => {
+  try {
+    const result = await handleNotification(req.headers);
+
+    if (!result.valid) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({ success: true, synced: result.synced });
+  } catch (error) {
+    console.error("Error handling Google Calendar notification:", error);
+    // A 5xx response makes Google retry the notification
+    res.status(500).json({
+      error: "Failed to handle notification",
+      details: error.message,
+    });
+  }
+});
+
+// Renew push notification channels before they expire (run by cron)
+router.get("/google-calendar/renew", async (req, res) => {
+  try {
+    if (
+      !process.env.CRON_SECRET ||
+      !secretsMatch(getBearerToken(req), process.env.CRON_SECRET)
+    ) {
+      return res.status(401).json({ error: "Invalid cron secret" });
+    }
+
+    const result = await renewExpiringChannels();
+
+    res.json({
+      success: true,
+      renewedCount: result.renewedCount,
+      failures: result.failures,
+    });
+  } catch (error) {
+    console.error("Error renewing channels:", error);
+    res.status(500).json({
+      error: "Failed to renew channels",
+      details: error.message,
+    });
+  }
+});
+
+// Send daily or weekly deadline digests to subscribers (run by cron)
+router.get("/digests/send", async (req, res) => {
+  try {
+    if (
+      !process.env.CRON_SECRET ||
+      !secretsMatch(getBearerToken(req), process.env.CRON_SECRET)
+    ) {
+      return res.status(401).json({ error: "Invalid cron secret" });
+    }
+
+    const { frequency } = req.query;
+
+    if (!DIGEST_FREQUENCIES.includes(frequency)) {
+      return res.status(400).json({
+        error: `frequency must be one of ${DIGEST_FREQUENCIES.join(", ")}`,
+      });
+    }
+
+    const result = await sendDueDigests(frequency);
+
+    res.json({
+      success: true,
+      sentCount: result.sentCount,
+      failures: result.failures,
+    });
+  } catch (error) {
+    console.error("Error sending digests:", error);
+    res.status(500).json({
+      error: "Failed to send digests",
+      details: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,15 @@
+require("dotenv").config();
+const { backfillEventFingerprints } = require("../utils/calendarEvents");
+
+// Fingerprint events saved before migration 012 so saving them again
+// doesn't add copies
+backfillEventFingerprints()
+  .then((result) => {
+    console.log(
+      `Fingerprinted ${result.updatedCount} of ${result.scannedCount} events; ${result.duplicateCount} duplicates left without one`
+    );
+  })
+  .catch((error) => {
+    console.error("Fingerprint backfill failed:", error);
+    process.exit(1);
+  });
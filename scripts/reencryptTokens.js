@@ -0,0 +1,14 @@
+require("dotenv").config();
+const { reencryptStoredTokens } = require("../utils/tokenManager");
+
+// Re-encrypt stored Google tokens with the current TOKEN_ENCRYPTION_KEY_VERSION
+reencryptStoredTokens()
+  .then((result) => {
+    console.log(
+      `Re-encrypted ${result.updatedCount} of ${result.scannedCount} token rows with key ${result.keyVersion}`
+    );
+  })
+  .catch((error) => {
+    console.error("Token re-encryption failed:", error);
+    process.exit(1);
+  });
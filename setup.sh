@@ -34,6 +34,8 @@ required_vars=(
     "GOOGLE_REDIRECT_URI"
     "SUPABASE_URL"
     "SUPABASE_SERVICE_ROLE_KEY"
+    "OAUTH_STATE_SECRET"
+    "TOKEN_ENCRYPTION_KEYS"
 )
 
 missing_vars=()
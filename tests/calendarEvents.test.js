@@ -0,0 +1,178 @@
+const { deleteEventsFromGoogle } = require("../utils/googleCalendar");
+const { normalizeTitle } = require("../utils/eventSchema");
+const {
+  getEventFingerprint,
+  getChangedFields,
+  deleteCalendarEvents,
+  backfillEventFingerprints,
+} = require("../utils/calendarEvents");
+
+jest.mock("../utils/googleCalendar", () => ({
+  deleteEventsFromGoogle: jest.fn(),
+}));
+
+// Records the ids passed to calendar_events deletes, and stands in for the
+// rows and fingerprint updates the backfill sees
+const mockDeletedIds = [];
+const mockUnfingerprinted = [];
+const mockFingerprints = new Map();
+jest.mock("@supabase/supabase-js", () => ({
+  createClient: () => ({
+    from: () => ({
+      select: () => {
+        let afterId = null;
+        const query = {
+          is: () => query,
+          neq: () => query,
+          order: () => query,
+          limit: () => query,
+          gt: (field, id) => {
+            afterId = id;
+            return query;
+          },
+          then: (resolve) =>
+            resolve({
+              data: mockUnfingerprinted
+                .filter((row) => afterId === null || row.id > afterId)
+                .slice(0, 2),
+              error: null,
+            }),
+        };
+        return query;
+      },
+      update: ({ fingerprint }) => ({
+        eq: async (field, id) => {
+          if ([...mockFingerprints.values()].includes(fingerprint)) {
+            return { error: { code: "23505", message: "duplicate key" } };
+          }
+          mockFingerprints.set(id, fingerprint);
+          return { error: null };
+        },
+      }),
+      delete: () => ({
+        eq: () => ({
+          in: (field, ids) => ({
+            select: async () => {
+              mockDeletedIds.push(...ids);
+              return { data: ids.map((id) => ({ id })), error: null };
+            },
+          }),
+        }),
+      }),
+    }),
+  }),
+}));
+
+describe("Saved Event De-duplication", () => {
+  const event = {
+    title: "Midterm Exam",
+    event_type: "exam",
+    due_date: "2026-03-02",
+    due_time: "09:00",
+    confidence_score: 0.9,
+    source_text: "Midterm Exam: March 2 at 9am",
+  };
+
+  test("Should ignore case, punctuation and spacing in titles", () => {
+    expect(normalizeTitle("  Midterm   EXAM!! ")).toBe("midterm exam");
+    expect(
+      getEventFingerprint({ ...event, title: "midterm exam." }, "c1")
+    ).toBe(getEventFingerprint(event, "c1"));
+  });
+
+  test("Should tell apart events in other classes, dates or types", () => {
+    const fingerprint = getEventFingerprint(event, "c1");
+
+    expect(getEventFingerprint(event, "c2")).not.toBe(fingerprint);
+    expect(getEventFingerprint(event)).not.toBe(fingerprint);
+    expect(
+      getEventFingerprint({ ...event, due_date: "2026-03-03" }, "c1")
+    ).not.toBe(fingerprint);
+    expect(
+      getEventFingerprint({ ...event, event_type: "reading" }, "c1")
+    ).not.toBe(fingerprint);
+  });
+
+  test("Should compare saved rows the way Postgres returns them", () => {
+    const saved = {
+      ...event,
+      due_time: "09:00:00",
+      confidence_score: "0.9",
+      description: null,
+    };
+
+    expect(getChangedFields(saved, { ...event, description: "" })).toEqual({});
+    expect(
+      getChangedFields(saved, { ...event, due_time: "10:00", location: "Rm 4" })
+    ).toEqual({ due_time: "10:00", location: "Rm 4" });
+  });
+});
+
+describe("Saved Event Deletion", () => {
+  const events = [
+    { id: "e1", google_event_id: "g1" },
+    { id: "e2", google_event_id: "g2" },
+    { id: "e3", google_event_id: null },
+  ];
+
+  beforeEach(() => {
+    mockDeletedIds.length = 0;
+  });
+
+  test("Should keep events whose Google copies weren't removed", async () => {
+    deleteEventsFromGoogle.mockResolvedValue([
+      { eventId: "e1", status: "deleted" },
+      { eventId: "e2", status: "failed", error: "Rate Limit Exceeded" },
+    ]);
+
+    const result = await deleteCalendarEvents("user-1", events);
+
+    expect(mockDeletedIds).toEqual(["e1", "e3"]);
+    expect(result).toEqual({
+      deletedCount: 2,
+      googleErrors: [
+        { eventId: "e2", status: "failed", error: "Rate Limit Exceeded" },
+      ],
+    });
+  });
+
+  test("Should keep every linked event when Google can't be reached", async () => {
+    deleteEventsFromGoogle.mockRejectedValue(new Error("invalid_grant"));
+
+    const result = await deleteCalendarEvents("user-1", events);
+
+    expect(mockDeletedIds).toEqual(["e3"]);
+    expect(result.deletedCount).toBe(1);
+    expect(result.googleErrors.map((item) => item.eventId)).toEqual([
+      "e1",
+      "e2",
+    ]);
+  });
+});
+
+describe("Fingerprint Backfill", () => {
+  test("Should fingerprint old rows and skip their duplicates", async () => {
+    const row = {
+      user_id: "user-1",
+      class_id: "c1",
+      title: "Midterm Exam",
+      due_date: "2026-03-02",
+      event_type: "exam",
+    };
+    mockUnfingerprinted.push(
+      { ...row, id: 1 },
+      { ...row, id: 2, title: "midterm exam!" },
+      { ...row, id: 3, title: "Final Exam" }
+    );
+
+    const result = await backfillEventFingerprints(2);
+
+    expect(result).toEqual({
+      scannedCount: 3,
+      updatedCount: 2,
+      duplicateCount: 1,
+    });
+    expect(mockFingerprints.get(1)).toBe(getEventFingerprint(row, "c1"));
+    expect(mockFingerprints.has(2)).toBe(false);
+  });
+});
@@ -0,0 +1,98 @@
+const {
+  validateExtractedMeeting,
+  buildMeetingSeries,
+} = require("../utils/classMeetings");
+const { parseTerm } = require("../utils/termCalendar");
+const { buildGoogleEventResource } = require("../utils/googleCalendar");
+const { extractEventsFromPages } = require("../utils/syllabusExtraction");
+
+describe("Recurring Class Meetings", () => {
+  const { term } = parseTerm({
+    startDate: "2026-01-12",
+    endDate: "2026-04-24",
+    breaks: [
+      { name: "Spring Break", startDate: "2026-03-09", endDate: "2026-03-13" },
+    ],
+    holidays: [{ name: "MLK Day", date: "2026-01-19" }],
+  });
+  const meeting = {
+    title: "Torts",
+    days: ["M", "Wed", "FR"],
+    start_time: "09:00",
+    end_time: "10:15",
+    location: "Room 204",
+    start_date: null,
+    end_date: null,
+    confidence_score: 0.95,
+    source_text: "Torts meets MWF 9:00-10:15 in Room 204",
+  };
+
+  test("Should validate meeting patterns", () => {
+    expect(validateExtractedMeeting(meeting).valid).toBe(true);
+    expect(
+      validateExtractedMeeting({
+        ...meeting,
+        days: ["Someday"],
+        end_time: "08:00",
+      }).errors
+    ).toEqual([
+      "days: must be a non-empty list of weekdays, e.g. MO, WE, FR",
+      "end_time: must be null or an HH:MM time after start_time",
+    ]);
+  });
+
+  test("Should build one recurring row with break exceptions", () => {
+    const { valid, row } = buildMeetingSeries(meeting, term);
+
+    expect(valid).toBe(true);
+    expect(row).toMatchObject({
+      title: "Torts",
+      event_type: "class",
+      due_date: "2026-01-12",
+      due_time: "09:00",
+      end_time: "10:15",
+      location: "Room 204",
+      recurrence_rule: "FREQ=WEEKLY;BYDAY=MO,WE,FR;UNTIL=20260424",
+      recurrence_exceptions: [
+        "2026-01-19",
+        "2026-03-09",
+        "2026-03-11",
+        "2026-03-13",
+      ],
+    });
+    expect(buildMeetingSeries(meeting).valid).toBe(false);
+  });
+
+  test("Should push the series to Google as one recurring event", () => {
+    const { row } = buildMeetingSeries(meeting, term);
+    const resource = buildGoogleEventResource(row, {
+      timeZone: "America/New_York",
+    });
+
+    expect(resource.start).toEqual({
+      dateTime: "2026-01-12T09:00:00",
+      timeZone: "America/New_York",
+    });
+    expect(resource.end.dateTime).toBe("2026-01-12T10:15:00");
+    expect(resource.location).toBe("Room 204");
+    expect(resource.recurrence).toEqual([
+      "RRULE:FREQ=WEEKLY;BYDAY=MO,WE,FR;UNTIL=20260425T035959Z",
+      "EXDATE;TZID=America/New_York:20260119T090000,20260309T090000,20260311T090000,20260313T090000",
+    ]);
+  });
+
+  test("Should return extracted meetings as recurring class events", async () => {
+    const { events } = await extractEventsFromPages(
+      [{ pageNumber: 1, text: "Torts meets MWF 9:00-10:15 in Room 204" }],
+      async () => JSON.stringify({ events: [], meetings: [meeting] }),
+      { term }
+    );
+
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({
+      event_type: "class",
+      source_page: 1,
+      date_status: "resolved",
+    });
+  });
+});
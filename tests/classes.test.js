@@ -0,0 +1,50 @@
+const { pickClassFields, validateClassFields } = require("../utils/classes");
+
+describe("Classes", () => {
+  const torts = {
+    name: "Torts",
+    professor: "Prof. Palsgraf",
+    term: {
+      name: "Spring 2026",
+      startDate: "2026-01-12",
+      endDate: "2026-04-24",
+    },
+    meeting_pattern: {
+      days: ["MO", "WE"],
+      start_time: "09:00",
+      end_time: "10:15",
+      location: "Room 204",
+    },
+    color: "#1a73e8",
+    google_calendar_id: null,
+  };
+
+  test("Should only pick class fields", () => {
+    expect(pickClassFields({ name: "Torts", user_id: "someone-else" })).toEqual(
+      { name: "Torts" }
+    );
+  });
+
+  test("Should accept a complete class", () => {
+    expect(validateClassFields(torts, { requireName: true })).toEqual([]);
+  });
+
+  test("Should report invalid class fields", () => {
+    expect(
+      validateClassFields(
+        {
+          color: "blue",
+          term: { startDate: "2026-04-24", endDate: "2026-01-12" },
+          meeting_pattern: { days: ["Someday"], start_time: "9am" },
+        },
+        { requireName: true }
+      )
+    ).toEqual([
+      "name: must be a non-empty string",
+      "color: must be null or a hex color like #1a73e8",
+      "term.startDate must be before term.endDate",
+      "meeting_pattern.days: must be a non-empty list of weekdays, e.g. MO, WE, FR",
+      "meeting_pattern.start_time: must be a 24-hour time in HH:MM format",
+    ]);
+  });
+});
@@ -0,0 +1,89 @@
+const {
+  getDigestPeriod,
+  groupDigestEvents,
+  renderDigest,
+} = require("../utils/digests");
+
+describe("Deadline Digests", () => {
+  const classes = [
+    { id: "c-torts", name: "Torts" },
+    { id: "c-contracts", name: "Contracts" },
+  ];
+  const events = [
+    {
+      id: "1",
+      class_id: "c-torts",
+      title: "Read Palsgraf",
+      event_type: "reading",
+      due_date: "2026-03-02",
+      due_time: null,
+    },
+    {
+      id: "2",
+      class_id: "c-torts",
+      title: "Midterm <Closed Book>",
+      event_type: "exam",
+      due_date: "2026-03-03",
+      due_time: "13:30:00",
+    },
+    {
+      id: "3",
+      class_id: null,
+      title: "Clinic application",
+      event_type: "assignment",
+      due_date: "2026-03-04",
+      due_time: null,
+    },
+    {
+      id: "4",
+      class_id: "c-contracts",
+      title: "Brief",
+      event_type: "assignment",
+      due_date: "2026-03-05",
+      due_time: "09:00",
+    },
+  ];
+
+  test("Should start the period today in the user's time zone", () => {
+    const now = new Date("2026-03-02T03:00:00Z");
+
+    expect(getDigestPeriod("weekly", now, "UTC")).toEqual({
+      start: "2026-03-02",
+      end: "2026-03-08",
+    });
+    expect(getDigestPeriod("daily", now, "America/New_York")).toEqual({
+      start: "2026-03-01",
+      end: "2026-03-01",
+    });
+  });
+
+  test("Should group by class and then type", () => {
+    const groups = groupDigestEvents(events, classes);
+
+    expect(groups.map((group) => group.className)).toEqual([
+      "Contracts",
+      "Torts",
+      "Other deadlines",
+    ]);
+    expect(groups[1].types.map((type) => type.label)).toEqual([
+      "Exam",
+      "Reading",
+    ]);
+  });
+
+  test("Should render text and escaped HTML", () => {
+    const email = renderDigest({
+      frequency: "weekly",
+      period: { start: "2026-03-02", end: "2026-03-08" },
+      groups: groupDigestEvents(events, classes),
+    });
+
+    expect(email.subject).toBe("Due Mon, Mar 2 – Sun, Mar 8: 4 items");
+    expect(email.text).toContain(
+      "Torts\n=====\nExam:\n  - Midterm <Closed Book> (Tue, Mar 3 at 1:30 PM)"
+    );
+    expect(email.html).toContain(
+      "<li><strong>Midterm &lt;Closed Book&gt;</strong> &middot; Tue, Mar 3 at 1:30 PM</li>"
+    );
+  });
+});
@@ -0,0 +1,72 @@
+const JSZip = require("jszip");
+const {
+  getDocumentType,
+  extractDocumentPages,
+  formatPagesForPrompt,
+  findSourcePage,
+} = require("../utils/documentText");
+
+/**
+ * Build a minimal DOCX with the given body XML
+ * @param {string} body - w:body contents
+ * @returns {Promise<Buffer>} DOCX contents
+ */
+async function buildDocx(body) {
+  const zip = new JSZip();
+  zip.file(
+    "word/document.xml",
+    '<?xml version="1.0" encoding="UTF-8"?>' +
+      '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">' +
+      `<w:body>${body}</w:body></w:document>`
+  );
+  return zip.generateAsync({ type: "nodebuffer" });
+}
+
+describe("Syllabus Text Extraction", () => {
+  test("Should detect supported document types", () => {
+    expect(getDocumentType({ mimetype: "application/pdf" })).toBe("pdf");
+    expect(
+      getDocumentType({
+        mimetype: "application/octet-stream",
+        originalname: "Torts.DOCX",
+      })
+    ).toBe("docx");
+    expect(getDocumentType({ mimetype: "text/plain" })).toBeNull();
+  });
+
+  test("Should split DOCX text on page breaks", async () => {
+    const buffer = await buildDocx(
+      "<w:p><w:r><w:t>Torts Syllabus</w:t></w:r></w:p>" +
+        "<w:p><w:r><w:t>Week 1: Intro &amp; Overview</w:t></w:r></w:p>" +
+        "<w:p><w:r><w:t>&#x201C;Caf&#233;&#x201D; &#x1F4DA; &amp;lt;</w:t></w:r></w:p>" +
+        '<w:p><w:r><w:br w:type="page"/><w:t>Midterm Exam:</w:t><w:tab/>' +
+        "<w:t>October 15</w:t></w:r></w:p>"
+    );
+
+    const pages = await extractDocumentPages({
+      mimetype:
+        "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+      buffer,
+    });
+
+    expect(pages).toEqual([
+      {
+        pageNumber: 1,
+        text: "Torts Syllabus\nWeek 1: Intro & Overview\n\u201cCafé\u201d 📚 &lt;",
+      },
+      { pageNumber: 2, text: "Midterm Exam:\tOctober 15" },
+    ]);
+    expect(formatPagesForPrompt(pages)).toContain("[Page 2]\nMidterm Exam:");
+  });
+
+  test("Should find the page quoted source text appears on", () => {
+    const pages = [
+      { pageNumber: 1, text: "Week 1\nRead Palsgraf" },
+      { pageNumber: 2, text: "Midterm Exam:\n  October 15" },
+    ];
+
+    expect(findSourcePage(pages, "midterm exam: october 15")).toBe(2);
+    expect(findSourcePage(pages, "Final Exam")).toBeNull();
+    expect(findSourcePage(pages, "")).toBeNull();
+  });
+});
@@ -0,0 +1,56 @@
+const { pickDraftEdits, getApprovalErrors } = require("../utils/eventDrafts");
+const { validateEventFields } = require("../utils/eventSchema");
+
+describe("Event Review Queue", () => {
+  const draft = {
+    id: "draft-1",
+    title: "Midterm Exam",
+    event_type: "exam",
+    due_date: "2026-03-02",
+    date_text: "March 2",
+    due_time: "09:00:00",
+    end_time: null,
+    confidence_score: 0.42,
+  };
+
+  test("Should only pick editable fields", () => {
+    expect(
+      pickDraftEdits({
+        title: "Midterm",
+        due_time: null,
+        status: "approved",
+        confidence_score: 1,
+      })
+    ).toEqual({ title: "Midterm", due_time: null });
+  });
+
+  test("Should validate edited fields", () => {
+    expect(validateEventFields({ due_time: "09:00:00" })).toEqual([]);
+    expect(
+      validateEventFields({
+        title: " ",
+        event_type: "party",
+        due_date: "2026-02-30",
+        end_time: "25:00",
+      })
+    ).toEqual([
+      "title: must be a non-empty string",
+      "event_type: must be one of assignment, exam, reading, other, class",
+      "due_date: must be a valid date in YYYY-MM-DD format",
+      "end_time: must be null or a 24-hour time in HH:MM or HH:MM:SS format",
+    ]);
+    expect(validateEventFields({ due_time: "09:00garbage" })).toEqual([
+      "due_time: must be null or a 24-hour time in HH:MM or HH:MM:SS format",
+    ]);
+    expect(validateEventFields({ due_time: 900 })).toHaveLength(1);
+  });
+
+  test("Should not approve drafts without a date", () => {
+    expect(getApprovalErrors(draft)).toEqual([]);
+    expect(
+      getApprovalErrors({ ...draft, due_date: null, date_text: "Week 4" })
+    ).toEqual([
+      'due_date: set a date before approving (syllabus says "Week 4")',
+    ]);
+  });
+});
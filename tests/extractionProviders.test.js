@@ -0,0 +1,70 @@
+const {
+  createFixtureProvider,
+  getExtractionProvider,
+} = require("../utils/extractionProviders");
+const { buildExtractionPrompt } = require("../utils/syllabusExtraction");
+
+describe("Extraction Providers", () => {
+  afterEach(() => {
+    delete process.env.EXTRACTION_PROVIDER;
+    delete process.env.EXTRACTION_MODEL;
+  });
+
+  test("Should select the provider from configuration", () => {
+    expect(getExtractionProvider().name).toBe("gemini");
+
+    process.env.EXTRACTION_PROVIDER = "openai";
+    process.env.EXTRACTION_MODEL = "local-model";
+    const provider = getExtractionProvider();
+    expect(provider.name).toBe("openai");
+    expect(provider.model).toBe("local-model");
+
+    process.env.EXTRACTION_PROVIDER = "huggingface";
+    expect(getExtractionProvider().name).toBe("huggingface");
+
+    process.env.EXTRACTION_PROVIDER = "unknown";
+    expect(() => getExtractionProvider()).toThrow(
+      "Unknown extraction provider: unknown"
+    );
+  });
+
+  test("Fixture provider should extract dated lines deterministically", async () => {
+    const provider = createFixtureProvider();
+    const prompt = buildExtractionPrompt([
+      {
+        pageNumber: 1,
+        text: [
+          "Week 3",
+          "Read Chapter 4 by 09/08/2025",
+          "Research memo due Sept. 19, 2025 at 11:59pm",
+          "Office hours every Tuesday",
+        ].join("\n"),
+      },
+    ]);
+
+    const response = await provider.generate(prompt);
+    expect(response).toBe(await provider.generate(prompt));
+    expect(JSON.parse(response).events).toEqual([
+      {
+        title: "Read Chapter 4",
+        description: null,
+        event_type: "reading",
+        due_date: "2025-09-08",
+        date_text: "09/08/2025",
+        due_time: null,
+        confidence_score: 0.9,
+        source_text: "Read Chapter 4 by 09/08/2025",
+      },
+      {
+        title: "Research memo due",
+        description: null,
+        event_type: "assignment",
+        due_date: "2025-09-19",
+        date_text: "Sept. 19, 2025",
+        due_time: "23:59",
+        confidence_score: 0.9,
+        source_text: "Research memo due Sept. 19, 2025 at 11:59pm",
+      },
+    ]);
+  });
+});
@@ -1,30 +1,94 @@
+process.env.OAUTH_STATE_SECRET =
+  process.env.OAUTH_STATE_SECRET || "test-oauth-state-secret";
+
+const path = require("path");
 const request = require("supertest");
 const app = require("../index");
+const { supabase: authSupabase } = require("../middleware/auth");
 
 describe("Google Calendar Integration", () => {
   const testUserId = "test-user-id";
+  const testToken = "test-access-token";
+
+  beforeAll(() => {
+    jest
+      .spyOn(authSupabase.auth, "getUser")
+      .mockImplementation(async (token) =>
+        token === testToken
+          ? {
+              data: { user: { id: testUserId, email: "student@example.edu" } },
+              error: null,
+            }
+          : { data: { user: null }, error: { message: "Invalid token" } }
+      );
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
 
   describe("Authentication", () => {
     test("GET /api/auth/google/url should return OAuth URL", async () => {
       const response = await request(app)
         .get("/api/auth/google/url")
+        .set("Authorization", `Bearer ${testToken}`)
         .expect(200);
 
       expect(response.body).toHaveProperty("authUrl");
       expect(response.body.authUrl).toContain("accounts.google.com");
+
+      const authUrl = new URL(response.body.authUrl);
+      expect(authUrl.searchParams.get("state")).toBeTruthy();
+      expect(authUrl.searchParams.get("code_challenge_method")).toBe("S256");
     });
 
-    test("GET /api/auth/google/callback should handle OAuth callback", async () => {
+    test("GET /api/auth/google/callback should reject a raw user ID as state", async () => {
       const response = await request(app)
         .get("/api/auth/google/callback?code=test-code&state=" + testUserId)
-        .expect(500); // Should fail with invalid code
+        .set("Authorization", `Bearer ${testToken}`)
+        .expect(400);
 
-      expect(response.body).toHaveProperty("error");
+      expect(response.body.error).toBe("Invalid OAuth state");
+    });
+
+    test("GET /api/auth/google/callback should require state", async () => {
+      const response = await request(app)
+        .get("/api/auth/google/callback?code=test-code")
+        .set("Authorization", `Bearer ${testToken}`)
+        .expect(400);
+
+      expect(response.body.error).toBe("OAuth state is required");
+    });
+
+    test("GET /api/auth/google/callback should reject tampered state", async () => {
+      const urlResponse = await request(app)
+        .get("/api/auth/google/url")
+        .set("Authorization", `Bearer ${testToken}`)
+        .expect(200);
+
+      const state = new URL(urlResponse.body.authUrl).searchParams.get("state");
+      const [payload, signature] = state.split(".");
+      const tampered = Buffer.from(
+        JSON.stringify({
+          ...JSON.parse(Buffer.from(payload, "base64url").toString("utf8")),
+          uid: "another-user-id",
+        })
+      ).toString("base64url");
+
+      const response = await request(app)
+        .get(
+          `/api/auth/google/callback?code=test-code&state=${tampered}.${signature}`
+        )
+        .set("Authorization", `Bearer ${testToken}`)
+        .expect(400);
+
+      expect(response.body.error).toBe("Invalid OAuth state");
     });
 
     test("GET /api/auth/google/tokens/:userId should return tokens from database", async () => {
       const response = await request(app)
         .get(`/api/auth/google/tokens/${testUserId}`)
+        .set("Authorization", `Bearer ${testToken}`)
         .expect(404); // No tokens in database
 
       expect(response.body).toHaveProperty("error");
@@ -36,6 +100,7 @@ describe("Google Calendar Integration", () => {
     test("GET /api/google-calendar/connection-status/:userId should return connection status", async () => {
       const response = await request(app)
         .get(`/api/google-calendar/connection-status/${testUserId}`)
+        .set("Authorization", `Bearer ${testToken}`)
         .expect(200);
 
       expect(response.body).toHaveProperty("success");
@@ -45,6 +110,7 @@ describe("Google Calendar Integration", () => {
     test("GET /api/google-calendar/calendars/:userId should require authentication", async () => {
       const response = await request(app)
         .get(`/api/google-calendar/calendars/${testUserId}`)
+        .set("Authorization", `Bearer ${testToken}`)
         .expect(500); // Should fail without tokens in database
 
       expect(response.body).toHaveProperty("error");
@@ -56,6 +122,7 @@ describe("Google Calendar Integration", () => {
     test("POST /api/google-calendar/add-to-google-calendar/:userId should require authentication", async () => {
       const response = await request(app)
         .post(`/api/google-calendar/add-to-google-calendar/${testUserId}`)
+        .set("Authorization", `Bearer ${testToken}`)
         .send({
           eventData: {
             title: "Test Event",
@@ -73,6 +140,7 @@ describe("Google Calendar Integration", () => {
     test("POST /api/google-calendar/add-to-google-calendar/:userId should require eventData", async () => {
       const response = await request(app)
         .post(`/api/google-calendar/add-to-google-calendar/${testUserId}`)
+        .set("Authorization", `Bearer ${testToken}`)
         .send({})
         .expect(400);
 
@@ -80,10 +148,37 @@ describe("Google Calendar Integration", () => {
     });
   });
 
+  describe("Bulk Push", () => {
+    test("POST /api/google-calendar/bulk-push/:userId should require classId or eventIds", async () => {
+      const response = await request(app)
+        .post(`/api/google-calendar/bulk-push/${testUserId}`)
+        .set("Authorization", `Bearer ${testToken}`)
+        .send({})
+        .expect(400);
+
+      expect(response.body.error).toBe(
+        "Either classId or an eventIds array is required"
+      );
+    });
+  });
+
+  describe("Preferences", () => {
+    test("PUT /api/preferences/:userId should reject an invalid time zone", async () => {
+      const response = await request(app)
+        .put(`/api/preferences/${testUserId}`)
+        .set("Authorization", `Bearer ${testToken}`)
+        .send({ timeZone: "Mars/Olympus_Mons" })
+        .expect(400);
+
+      expect(response.body.error).toBe("Invalid time zone: Mars/Olympus_Mons");
+    });
+  });
+
   describe("Synchronization", () => {
     test("POST /api/google-calendar/sync-events/:userId should require authentication", async () => {
       const response = await request(app)
         .post(`/api/google-calendar/sync-events/${testUserId}`)
+        .set("Authorization", `Bearer ${testToken}`)
         .send({
           calendarId: "primary",
         })
@@ -96,6 +191,7 @@ describe("Google Calendar Integration", () => {
     test("GET /api/google-calendar/synced-events/:userId should require userId", async () => {
       const response = await request(app)
         .get(`/api/google-calendar/synced-events/${testUserId}`)
+        .set("Authorization", `Bearer ${testToken}`)
         .expect(200);
 
       expect(response.body).toHaveProperty("success");
@@ -103,6 +199,292 @@ describe("Google Calendar Integration", () => {
     });
   });
 
+  describe("iCalendar Import", () => {
+    test("POST /api/calendar/import-ics/:userId should preview parsed events", async () => {
+      const response = await request(app)
+        .post(`/api/calendar/import-ics/${testUserId}`)
+        .set("Authorization", `Bearer ${testToken}`)
+        .field("timeZone", "America/New_York")
+        .attach("file", path.join(__dirname, "fixtures", "course-schedule.ics"))
+        .expect(200);
+
+      expect(response.body.preview).toBe(true);
+      expect(response.body.count).toBe(7);
+      expect(response.body.events[0]).toHaveProperty("due_date", "2025-09-01");
+    });
+
+    test("POST /api/calendar/import-ics/:userId should require a file", async () => {
+      const response = await request(app)
+        .post(`/api/calendar/import-ics/${testUserId}`)
+        .set("Authorization", `Bearer ${testToken}`)
+        .expect(400);
+
+      expect(response.body.error).toBe("An .ics file is required");
+    });
+
+    test("POST /api/calendar/import-ics/:userId should reject a malformed range", async () => {
+      const response = await request(app)
+        .post(`/api/calendar/import-ics/${testUserId}`)
+        .set("Authorization", `Bearer ${testToken}`)
+        .field("timeZone", "UTC")
+        .field("rangeStart", "2026-13-01")
+        .attach("file", path.join(__dirname, "fixtures", "course-schedule.ics"))
+        .expect(400);
+
+      expect(response.body.error).toBe(
+        "rangeStart and rangeEnd must be dates in YYYY-MM-DD format"
+      );
+    });
+
+    test("POST /api/calendar/import-ics/:userId should reject files over the size limit", async () => {
+      const response = await request(app)
+        .post(`/api/calendar/import-ics/${testUserId}`)
+        .set("Authorization", `Bearer ${testToken}`)
+        .attach("file", Buffer.alloc(5 * 1024 * 1024 + 1), "large.ics")
+        .expect(413);
+
+      expect(response.body.error).toBe("File is too large; the limit is 5MB");
+    });
+  });
+
+  describe("Syllabus Extraction", () => {
+    test("POST /api/calendar/extract-events should reject unsupported files", async () => {
+      const response = await request(app)
+        .post("/api/calendar/extract-events")
+        .set("Authorization", `Bearer ${testToken}`)
+        .attach("file", Buffer.from("plain text"), "syllabus.txt")
+        .expect(400);
+
+      expect(response.body.error).toBe(
+        "Unsupported file type; upload a PDF or DOCX file"
+      );
+    });
+
+    test("POST /api/calendar/extract-events should extract with the configured provider", async () => {
+      process.env.EXTRACTION_PROVIDER = "fixture";
+
+      try {
+        const response = await request(app)
+          .post("/api/calendar/extract-events")
+          .set("Authorization", `Bearer ${testToken}`)
+          .send({
+            pdf_context:
+              "Week 7\nMidterm Exam - October 15, 2025 at 9:00 AM\nRead Palsgraf",
+          })
+          .expect(200);
+
+        expect(response.body.provider).toBe("fixture");
+        expect(response.body.events).toEqual([
+          {
+            title: "Midterm Exam",
+            description: null,
+            event_type: "exam",
+            due_date: "2025-10-15",
+            date_text: "October 15, 2025",
+            due_time: "09:00",
+            confidence_score: 0.9,
+            source_text: "Midterm Exam - October 15, 2025 at 9:00 AM",
+            source_page: 1,
+            date_status: "explicit",
+          },
+        ]);
+      } finally {
+        delete process.env.EXTRACTION_PROVIDER;
+      }
+    });
+
+    test("POST /api/calendar/extract-events should reject invalid term metadata", async () => {
+      const response = await request(app)
+        .post("/api/calendar/extract-events")
+        .set("Authorization", `Bearer ${testToken}`)
+        .send({
+          pdf_context: "Week 4, Class 2: Memo due",
+          term: { startDate: "2026-01-12" },
+        })
+        .expect(400);
+
+      expect(response.body.error).toBe("Invalid term");
+    });
+
+    test("POST /api/calendar/extract-events should require a file or pdf_context", async () => {
+      const response = await request(app)
+        .post("/api/calendar/extract-events")
+        .set("Authorization", `Bearer ${testToken}`)
+        .send({})
+        .expect(400);
+
+      expect(response.body.error).toBe(
+        "Missing required field: file or pdf_context"
+      );
+    });
+  });
+
+  describe("Saving Events", () => {
+    test("POST /api/calendar/save-events/:userId should reject an empty Idempotency-Key", async () => {
+      const response = await request(app)
+        .post(`/api/calendar/save-events/${testUserId}`)
+        .set("Authorization", `Bearer ${testToken}`)
+        .set("Idempotency-Key", "")
+        .send({ events: [] })
+        .expect(400);
+
+      expect(response.body.error).toBe(
+        "Idempotency-Key must be 1-255 characters"
+      );
+    });
+  });
+
+  describe("Saved Events", () => {
+    test("PATCH /api/calendar/events/:userId/:eventId should validate fields", async () => {
+      const response = await request(app)
+        .patch(`/api/calendar/events/${testUserId}/event-1`)
+        .set("Authorization", `Bearer ${testToken}`)
+        .send({ due_date: null, completed: "yes" })
+        .expect(400);
+
+      expect(response.body.error).toBe("Invalid event fields");
+      expect(response.body.details).toBe(
+        "due_date: must be a valid date in YYYY-MM-DD format; completed: must be true or false"
+      );
+    });
+
+    test("DELETE /api/calendar/events/:userId should require classId", async () => {
+      const response = await request(app)
+        .delete(`/api/calendar/events/${testUserId}`)
+        .set("Authorization", `Bearer ${testToken}`)
+        .expect(400);
+
+      expect(response.body.error).toBe("classId is required");
+    });
+  });
+
+  describe("Classes", () => {
+    test("POST /api/classes/:userId should require a name", async () => {
+      const response = await request(app)
+        .post(`/api/classes/${testUserId}`)
+        .set("Authorization", `Bearer ${testToken}`)
+        .send({ professor: "Prof. Palsgraf" })
+        .expect(400);
+
+      expect(response.body.error).toBe("Invalid class fields");
+      expect(response.body.details).toBe("name: must be a non-empty string");
+    });
+
+    test("Class routes should return 404 for IDs that aren't UUIDs", async () => {
+      const base = `/api/classes/${testUserId}/not-a-uuid`;
+      const responses = await Promise.all([
+        request(app).get(base).set("Authorization", `Bearer ${testToken}`),
+        request(app)
+          .patch(base)
+          .set("Authorization", `Bearer ${testToken}`)
+          .send({ name: "Torts" }),
+        request(app)
+          .post(`${base}/archive`)
+          .set("Authorization", `Bearer ${testToken}`),
+        request(app)
+          .get(`${base}/events`)
+          .set("Authorization", `Bearer ${testToken}`),
+      ]);
+
+      responses.forEach((response) => {
+        expect(response.status).toBe(404);
+        expect(response.body.error).toBe("Class not found");
+      });
+    });
+  });
+
+  describe("Digests", () => {
+    test("PUT /api/digests/:userId/:frequency should reject unknown frequencies", async () => {
+      const response = await request(app)
+        .put(`/api/digests/${testUserId}/hourly`)
+        .set("Authorization", `Bearer ${testToken}`)
+        .send({ enabled: true })
+        .expect(400);
+
+      expect(response.body.error).toBe(
+        "frequency must be one of daily, weekly"
+      );
+    });
+
+    test("PUT /api/digests/:userId/:frequency should only send to the account's email", async () => {
+      const response = await request(app)
+        .put(`/api/digests/${testUserId}/daily`)
+        .set("Authorization", `Bearer ${testToken}`)
+        .send({ enabled: true, email: "someone-else@example.com" })
+        .expect(400);
+
+      expect(response.body.error).toBe(
+        "Digests can only be sent to your account's email address"
+      );
+    });
+  });
+
+  describe("Workload", () => {
+    test("GET /api/calendar/workload/:userId should require a date range", async () => {
+      const response = await request(app)
+        .get(`/api/calendar/workload/${testUserId}?startDate=2026-03-01`)
+        .set("Authorization", `Bearer ${testToken}`)
+        .expect(400);
+
+      expect(response.body.error).toBe(
+        "startDate and endDate must be dates in YYYY-MM-DD format"
+      );
+    });
+
+    test("GET /api/calendar/workload/:userId should reject a malformed classId", async () => {
+      const response = await request(app)
+        .get(
+          `/api/calendar/workload/${testUserId}?startDate=2026-03-01&endDate=2026-03-31&classId=not-a-uuid`
+        )
+        .set("Authorization", `Bearer ${testToken}`)
+        .expect(400);
+
+      expect(response.body.error).toBe("classId must be a UUID");
+    });
+  });
+
+  describe("Review Queue", () => {
+    test("POST /api/calendar/drafts/:userId/approve should require draftIds", async () => {
+      const response = await request(app)
+        .post(`/api/calendar/drafts/${testUserId}/approve`)
+        .set("Authorization", `Bearer ${testToken}`)
+        .send({})
+        .expect(400);
+
+      expect(response.body.error).toBe("draftIds array is required");
+    });
+
+    test("GET /api/calendar/drafts/:userId should reject an unknown status", async () => {
+      const response = await request(app)
+        .get(`/api/calendar/drafts/${testUserId}?status=deleted`)
+        .set("Authorization", `Bearer ${testToken}`)
+        .expect(400);
+
+      expect(response.body.error).toBe(
+        "status must be one of pending, approved, rejected"
+      );
+    });
+  });
+
+  describe("Push Notifications", () => {
+    test("POST /api/webhooks/google-calendar should require channel headers", async () => {
+      const response = await request(app)
+        .post("/api/webhooks/google-calendar")
+        .expect(400);
+
+      expect(response.body.error).toBe("Missing channel headers");
+    });
+
+    test("GET /api/webhooks/google-calendar/renew should require the cron secret", async () => {
+      const response = await request(app)
+        .get("/api/webhooks/google-calendar/renew")
+        .set("Authorization", "Bearer wrong-secret")
+        .expect(401);
+
+      expect(response.body.error).toBe("Invalid cron secret");
+    });
+  });
+
   describe("Health Check", () => {
     test("GET /health should return server status", async () => {
       const response = await request(app).get("/health").expect(200);
@@ -118,6 +500,7 @@ describe("Google Calendar Integration", () => {
       // Test OAuth URL generation
       const urlResponse = await request(app)
         .get("/api/auth/google/url")
+        .set("Authorization", `Bearer ${testToken}`)
         .expect(200);
 
       expect(urlResponse.body).toHaveProperty("authUrl");
@@ -125,6 +508,7 @@ describe("Google Calendar Integration", () => {
       // Test token refresh endpoint
       const refreshResponse = await request(app)
         .post(`/api/auth/google/refresh/${testUserId}`)
+        .set("Authorization", `Bearer ${testToken}`)
         .expect(404); // No refresh token in database
 
       expect(refreshResponse.body).toHaveProperty("error");
@@ -132,10 +516,41 @@ describe("Google Calendar Integration", () => {
       // Test disconnect endpoint
       const disconnectResponse = await request(app)
         .delete(`/api/auth/google/disconnect/${testUserId}`)
+        .set("Authorization", `Bearer ${testToken}`)
         .expect(200);
 
       expect(disconnectResponse.body).toHaveProperty("success");
       expect(disconnectResponse.body.success).toBe(true);
     });
   });
+
+  describe("Access Control", () => {
+    test("Should reject requests without an access token", async () => {
+      const response = await request(app)
+        .get(`/api/calendar/events/${testUserId}`)
+        .expect(401);
+
+      expect(response.body.error).toBe("Missing access token");
+    });
+
+    test("Should reject requests with an invalid access token", async () => {
+      const response = await request(app)
+        .get(`/api/auth/google/tokens/${testUserId}`)
+        .set("Authorization", "Bearer not-a-real-token")
+        .expect(401);
+
+      expect(response.body.error).toBe("Invalid or expired access token");
+    });
+
+    test("Should reject access to another user's resources", async () => {
+      const response = await request(app)
+        .get("/api/auth/google/tokens/another-user-id")
+        .set("Authorization", `Bearer ${testToken}`)
+        .expect(403);
+
+      expect(response.body.error).toBe(
+        "User ID does not match authenticated user"
+      );
+    });
+  });
 });
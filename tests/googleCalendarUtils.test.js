@@ -0,0 +1,200 @@
+const {
+  listAllGoogleItems,
+  getPageParams,
+  buildGoogleEventResource,
+  mapGoogleEventToCalendarEvent,
+} = require("../utils/googleCalendar");
+const {
+  buildBatchBody,
+  parseBatchResponse,
+  executeCalendarBatch,
+} = require("../utils/googleBatch");
+
+describe("Google Calendar Utilities", () => {
+  describe("Time Zones", () => {
+    test("buildGoogleEventResource should send date-only events as all-day events", () => {
+      const resource = buildGoogleEventResource(
+        { title: "Brief due", due_date: "2026-02-28", due_time: null },
+        { timeZone: "America/Los_Angeles" }
+      );
+
+      expect(resource.start).toEqual({ date: "2026-02-28" });
+      expect(resource.end).toEqual({ date: "2026-03-01" });
+    });
+
+    test("buildGoogleEventResource should anchor timed events to the user's zone", () => {
+      const resource = buildGoogleEventResource(
+        { title: "Exam", due_date: "2026-03-08", due_time: "23:30:00" },
+        { timeZone: "America/Los_Angeles" }
+      );
+
+      expect(resource.start).toEqual({
+        dateTime: "2026-03-08T23:30:00",
+        timeZone: "America/Los_Angeles",
+      });
+      expect(resource.end).toEqual({
+        dateTime: "2026-03-09T00:30:00",
+        timeZone: "America/Los_Angeles",
+      });
+    });
+
+    test("mapGoogleEventToCalendarEvent should convert back to the user's wall clock", () => {
+      const timed = mapGoogleEventToCalendarEvent(
+        {
+          id: "g1",
+          summary: "Exam",
+          start: {
+            dateTime: "2026-03-09T06:30:00Z",
+            timeZone: "UTC",
+          },
+        },
+        "user",
+        "primary",
+        "America/Los_Angeles"
+      );
+      const allDay = mapGoogleEventToCalendarEvent(
+        { id: "g2", summary: "Brief due", start: { date: "2026-02-28" } },
+        "user",
+        "primary",
+        "America/Los_Angeles"
+      );
+
+      expect(timed).toMatchObject({
+        due_date: "2026-03-08",
+        due_time: "23:30",
+      });
+      expect(allDay).toMatchObject({ due_date: "2026-02-28", due_time: null });
+    });
+  });
+
+  describe("Pagination", () => {
+    test("listAllGoogleItems should follow nextPageToken to the last page", async () => {
+      const pages = {
+        start: { items: [{ id: "1" }, { id: "2" }], nextPageToken: "p2" },
+        p2: { items: [{ id: "3" }], nextPageToken: "p3" },
+        p3: { items: [], nextSyncToken: "sync-token" },
+      };
+      const list = jest.fn(async (params) => ({
+        data: pages[params.pageToken || "start"],
+      }));
+
+      const result = await listAllGoogleItems(list, { calendarId: "primary" });
+
+      expect(list).toHaveBeenCalledTimes(3);
+      expect(list.mock.calls[1][0]).toEqual({
+        calendarId: "primary",
+        pageToken: "p2",
+      });
+      expect(result.items.map((item) => item.id)).toEqual(["1", "2", "3"]);
+      expect(result.nextSyncToken).toBe("sync-token");
+    });
+
+    test("getPageParams should clamp page size and pass the cursor through", () => {
+      expect(getPageParams({}, 50, 2500)).toEqual({
+        pageToken: undefined,
+        maxResults: 50,
+      });
+      expect(
+        getPageParams({ maxResults: "9999", pageToken: "abc" }, 50, 2500)
+      ).toEqual({ pageToken: "abc", maxResults: 2500 });
+      expect(getPageParams({ maxResults: "-3" }, 50, 2500).maxResults).toBe(1);
+    });
+  });
+
+  describe("Batch Requests", () => {
+    test("buildBatchBody should encode each request as an HTTP part", () => {
+      const body = buildBatchBody("b", [
+        {
+          method: "POST",
+          path: "/calendar/v3/calendars/primary/events",
+          body: { summary: "Exam" },
+        },
+        { method: "DELETE", path: "/calendar/v3/calendars/primary/events/1" },
+      ]);
+
+      expect(body).toContain("--b\r\nContent-Type: application/http");
+      expect(body).toContain("Content-ID: <item-0>");
+      expect(body).toContain(
+        "POST /calendar/v3/calendars/primary/events HTTP/1.1"
+      );
+      expect(body).toContain('{"summary":"Exam"}');
+      expect(body).toContain("Content-ID: <item-1>");
+      expect(body.endsWith("--b--\r\n")).toBe(true);
+    });
+
+    test("parseBatchResponse should return results in request order", () => {
+      const body = [
+        "--batch_xyz",
+        "Content-Type: application/http",
+        "Content-ID: <response-item-1>",
+        "",
+        "HTTP/1.1 403 Forbidden",
+        "Content-Type: application/json",
+        "",
+        '{"error":{"message":"Rate Limit Exceeded"}}',
+        "--batch_xyz",
+        "Content-Type: application/http",
+        "Content-ID: <response-item-0>",
+        "",
+        "HTTP/1.1 200 OK",
+        "Content-Type: application/json",
+        "",
+        '{"id":"google-event-1"}',
+        "--batch_xyz--",
+      ].join("\r\n");
+
+      const results = parseBatchResponse(
+        "multipart/mixed; boundary=batch_xyz",
+        body,
+        2
+      );
+
+      expect(results[0]).toEqual({
+        status: 200,
+        data: { id: "google-event-1" },
+      });
+      expect(results[1].status).toBe(403);
+      expect(results[1].data.error.message).toBe("Rate Limit Exceeded");
+    });
+
+    test("executeCalendarBatch should parse the response's multipart boundary", async () => {
+      const authClient = {
+        request: jest.fn(async (options) => {
+          const boundary = /boundary=(\S+)/.exec(
+            options.headers["Content-Type"]
+          )[1];
+          return {
+            headers: new Headers({
+              "content-type": `multipart/mixed; boundary=response_${boundary}`,
+            }),
+            data: [
+              `--response_${boundary}`,
+              "Content-Type: application/http",
+              "Content-ID: <response-item-0>",
+              "",
+              "HTTP/1.1 204 No Content",
+              "",
+              "",
+              `--response_${boundary}--`,
+            ].join("\r\n"),
+          };
+        }),
+      };
+
+      const results = await executeCalendarBatch(authClient, [
+        { method: "DELETE", path: "/calendar/v3/calendars/primary/events/1" },
+        { method: "DELETE", path: "/calendar/v3/calendars/primary/events/2" },
+      ]);
+
+      expect(authClient.request).toHaveBeenCalledTimes(1);
+      expect(authClient.request.mock.calls[0][0]).toMatchObject({
+        method: "POST",
+        responseType: "text",
+      });
+      expect(results).toEqual([
+        { status: 204, data: null },
+        { status: 500, data: { error: "Missing batch response" } },
+      ]);
+    });
+  });
+});
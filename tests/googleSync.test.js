@@ -0,0 +1,395 @@
+const {
+  applyGoogleChanges,
+  syncEventsToDatabaseFromDatabase,
+} = require("../utils/googleCalendar");
+
+// In-memory calendar_events and google_calendar_sync_state tables
+const mockTables = { calendar_events: [], google_calendar_sync_state: [] };
+jest.mock("@supabase/supabase-js", () => {
+  const query = (table, operation, values) => {
+    const filters = [];
+    const matches = (row) => filters.every((filter) => filter(row));
+    const run = () => {
+      const rows = mockTables[table].filter(matches);
+      if (operation === "delete") {
+        rows.forEach((row) =>
+          mockTables[table].splice(mockTables[table].indexOf(row), 1)
+        );
+      } else if (operation === "update") {
+        rows.forEach((row) => Object.assign(row, values));
+      }
+      return rows;
+    };
+    const builder = {
+      select: () => builder,
+      eq: (column, value) => {
+        filters.push((row) => row[column] === value);
+        return builder;
+      },
+      in: (column, values) => {
+        filters.push((row) => values.includes(row[column]));
+        return builder;
+      },
+      gte: (column, value) => {
+        filters.push((row) => row[column] >= value);
+        return builder;
+      },
+      lte: (column, value) => {
+        filters.push((row) => row[column] <= value);
+        return builder;
+      },
+      not: (column, operator, value) => {
+        filters.push((row) => row[column] != value);
+        return builder;
+      },
+      maybeSingle: async () => ({ data: run()[0] || null, error: null }),
+      then: (resolve) => resolve({ data: run(), error: null }),
+    };
+    return builder;
+  };
+
+  return {
+    createClient: () => ({
+      from: (table) => ({
+        select: () => query(table, "select"),
+        update: (values) => query(table, "update", values),
+        delete: () => query(table, "delete"),
+        upsert: async (rows, options) => {
+          const columns = options.onConflict.split(",");
+          [].concat(rows).forEach((row) => {
+            const existing = mockTables[table].find((stored) =>
+              columns.every((column) => stored[column] === row[column])
+            );
+            if (existing) {
+              Object.assign(existing, row);
+            } else {
+              mockTables[table].push({ id: `row-${Math.random()}`, ...row });
+            }
+          });
+          return { error: null };
+        },
+      }),
+    }),
+  };
+});
+
+const mockCalendar = {
+  events: { list: jest.fn(), patch: jest.fn(), insert: jest.fn() },
+};
+jest.mock("googleapis", () => ({
+  google: { calendar: () => mockCalendar },
+}));
+jest.mock("../utils/tokenManager", () => ({
+  getAuthorizedClient: async () => ({}),
+}));
+jest.mock("../utils/userPreferences", () => ({
+  getDefaultTimeZone: () => "UTC",
+  getUserTimeZone: async () => "UTC",
+  getUserPreferences: async () => ({ timeZone: "UTC", reminders: {} }),
+}));
+
+describe("Google Calendar Sync", () => {
+  const userId = "user-1";
+  const googleEvent = {
+    id: "g1",
+    status: "confirmed",
+    summary: "Moot court",
+    start: { date: "2026-03-02" },
+    updated: "2026-02-01T00:00:00.000Z",
+  };
+  const editedOnGoogle = {
+    ...googleEvent,
+    summary: "Moot court (Google)",
+    start: { date: "2026-03-03" },
+    updated: "2026-02-04T00:00:00.000Z",
+  };
+  // A row that last matched googleEvent
+  const linkedRow = (fields) => ({
+    id: "e1",
+    user_id: userId,
+    title: "Moot court (local)",
+    description: "",
+    event_type: "assignment",
+    due_date: "2026-03-02",
+    due_time: null,
+    google_calendar_id: "primary",
+    google_event_id: "g1",
+    google_updated_at: googleEvent.updated,
+    google_synced_at: googleEvent.updated,
+    updated_at: googleEvent.updated,
+    ...fields,
+  });
+
+  beforeEach(() => {
+    mockTables.calendar_events.length = 0;
+    mockTables.google_calendar_sync_state.length = 0;
+    mockCalendar.events.list.mockReset();
+    mockCalendar.events.patch.mockReset();
+    mockCalendar.events.insert.mockReset();
+  });
+
+  test("Should save the sync token and send it on the next sync", async () => {
+    mockCalendar.events.list
+      .mockResolvedValueOnce({
+        data: { items: [googleEvent], nextSyncToken: "token-1" },
+      })
+      .mockResolvedValueOnce({ data: { items: [], nextSyncToken: "token-2" } });
+
+    const first = await syncEventsToDatabaseFromDatabase(
+      userId,
+      "primary",
+      "2026-01-01",
+      "2026-06-30"
+    );
+
+    expect(first.fullSync).toBe(true);
+    expect(first.insertedCount).toBe(1);
+    expect(mockCalendar.events.list.mock.calls[0][0]).toMatchObject({
+      timeMin: "2026-01-01T00:00:00.000Z",
+      timeMax: "2026-06-30T00:00:00.000Z",
+    });
+    expect(mockTables.google_calendar_sync_state[0].sync_token).toBe("token-1");
+
+    const second = await syncEventsToDatabaseFromDatabase(userId, "primary");
+
+    expect(second.fullSync).toBe(false);
+    expect(mockCalendar.events.list.mock.calls[1][0]).toMatchObject({
+      syncToken: "token-1",
+      showDeleted: true,
+    });
+    expect(mockCalendar.events.list.mock.calls[1][0].timeMin).toBeUndefined();
+    expect(mockTables.google_calendar_sync_state).toHaveLength(1);
+    expect(mockTables.google_calendar_sync_state[0].sync_token).toBe("token-2");
+  });
+
+  test("Should fall back to a full sync when the sync token is gone", async () => {
+    mockTables.google_calendar_sync_state.push({
+      user_id: userId,
+      calendar_id: "primary",
+      sync_token: "stale-token",
+    });
+    // Deleted on Google while the token was invalid
+    mockTables.calendar_events.push({
+      id: "e-removed",
+      user_id: userId,
+      event_type: "google_calendar",
+      due_date: "2026-03-05",
+      google_calendar_id: "primary",
+      google_event_id: "g-removed",
+    });
+    mockCalendar.events.list.mockImplementation(async (params) => {
+      if (params.syncToken) {
+        throw Object.assign(new Error("Sync token is no longer valid"), {
+          code: 410,
+        });
+      }
+      return { data: { items: [googleEvent], nextSyncToken: "token-3" } };
+    });
+
+    const result = await syncEventsToDatabaseFromDatabase(
+      userId,
+      "primary",
+      "2026-01-01",
+      "2026-06-30"
+    );
+
+    expect(mockCalendar.events.list).toHaveBeenCalledTimes(2);
+    expect(mockCalendar.events.list.mock.calls[1][0]).toMatchObject({
+      timeMin: "2026-01-01T00:00:00.000Z",
+      timeMax: "2026-06-30T00:00:00.000Z",
+    });
+    expect(mockCalendar.events.list.mock.calls[1][0].syncToken).toBeUndefined();
+    expect(result.fullSync).toBe(true);
+    expect(result.deletedCount).toBe(1);
+    expect(
+      mockTables.calendar_events.map((row) => row.google_event_id)
+    ).toEqual(["g1"]);
+    expect(mockTables.google_calendar_sync_state[0].sync_token).toBe("token-3");
+  });
+
+  test("Should delete imported rows and unlink local rows for cancelled events", async () => {
+    mockTables.google_calendar_sync_state.push({
+      user_id: userId,
+      calendar_id: "primary",
+      sync_token: "token-1",
+    });
+    mockTables.calendar_events.push(
+      {
+        id: "e-imported",
+        user_id: userId,
+        event_type: "google_calendar",
+        google_calendar_id: "primary",
+        google_event_id: "g1",
+      },
+      {
+        id: "e-local",
+        user_id: userId,
+        event_type: "assignment",
+        google_calendar_id: "primary",
+        google_event_id: "g2",
+      }
+    );
+    mockCalendar.events.list.mockResolvedValue({
+      data: {
+        items: [
+          { id: "g1", status: "cancelled" },
+          { id: "g2", status: "cancelled" },
+        ],
+        nextSyncToken: "token-2",
+      },
+    });
+
+    const result = await syncEventsToDatabaseFromDatabase(userId, "primary");
+
+    expect(result.fullSync).toBe(false);
+    expect(result.deletedCount).toBe(1);
+    expect(mockTables.calendar_events).toHaveLength(1);
+    expect(mockTables.calendar_events[0]).toMatchObject({
+      id: "e-local",
+      google_event_id: null,
+      google_calendar_id: null,
+    });
+  });
+
+  test("Should push again local edits that failed to reach Google", async () => {
+    mockTables.google_calendar_sync_state.push({
+      user_id: userId,
+      calendar_id: "primary",
+      sync_token: "token-1",
+    });
+    mockTables.calendar_events.push(
+      linkedRow({
+        id: "e1",
+        google_event_id: "g1",
+        google_push_pending_at: "2026-02-03T00:00:00.000Z",
+      }),
+      linkedRow({
+        id: "e2",
+        google_event_id: "g2",
+        google_push_pending_at: "2026-02-03T00:00:00.000Z",
+      })
+    );
+    mockCalendar.events.list.mockResolvedValue({
+      data: { items: [], nextSyncToken: "token-2" },
+    });
+    mockCalendar.events.patch.mockImplementation(async (params) => {
+      if (params.eventId === "g2") {
+        throw Object.assign(new Error("Backend Error"), { code: 503 });
+      }
+      return {
+        data: { id: params.eventId, updated: new Date().toISOString() },
+      };
+    });
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    const result = await syncEventsToDatabaseFromDatabase(userId, "primary");
+
+    expect(result.pushedCount).toBe(1);
+    expect(mockTables.calendar_events[0].google_push_pending_at).toBeNull();
+    expect(mockTables.calendar_events[1].google_push_pending_at).toBe(
+      "2026-02-03T00:00:00.000Z"
+    );
+    console.error.mockRestore();
+  });
+
+  describe("Conflict Resolution", () => {
+    test("Should push a row that was only edited locally", async () => {
+      mockTables.calendar_events.push(
+        linkedRow({ updated_at: "2026-02-03T00:00:00.000Z" })
+      );
+      mockCalendar.events.patch.mockResolvedValue({
+        data: { id: "g1", updated: "2026-02-05T00:00:00.000Z" },
+      });
+
+      const result = await applyGoogleChanges(
+        userId,
+        "primary",
+        [googleEvent],
+        "UTC"
+      );
+
+      expect(result).toMatchObject({ pushedCount: 1, updatedCount: 0 });
+      expect(result.conflicts).toEqual([]);
+      expect(mockCalendar.events.patch.mock.calls[0][0]).toMatchObject({
+        eventId: "g1",
+        resource: { summary: "Moot court (local)" },
+      });
+      expect(mockTables.calendar_events[0].google_updated_at).toBe(
+        "2026-02-05T00:00:00.000Z"
+      );
+    });
+
+    test("Should keep the local edit when it is newer than Google's", async () => {
+      mockTables.calendar_events.push(
+        linkedRow({ updated_at: "2026-02-04T00:00:00.000Z" })
+      );
+      mockCalendar.events.patch.mockResolvedValue({
+        data: { id: "g1", updated: "2026-02-05T00:00:00.000Z" },
+      });
+
+      const result = await applyGoogleChanges(
+        userId,
+        "primary",
+        [{ ...editedOnGoogle, updated: "2026-02-03T00:00:00.000Z" }],
+        "UTC"
+      );
+
+      expect(result.pushedCount).toBe(1);
+      expect(result.conflicts).toEqual([
+        expect.objectContaining({
+          eventId: "e1",
+          googleEventId: "g1",
+          resolution: "local",
+        }),
+      ]);
+      expect(mockCalendar.events.patch).toHaveBeenCalledTimes(1);
+      expect(mockTables.calendar_events[0].title).toBe("Moot court (local)");
+    });
+
+    test("Should take Google's edit when it is newer than the local one", async () => {
+      mockTables.calendar_events.push(
+        linkedRow({ updated_at: "2026-02-03T00:00:00.000Z" })
+      );
+
+      const result = await applyGoogleChanges(
+        userId,
+        "primary",
+        [editedOnGoogle],
+        "UTC"
+      );
+
+      expect(result).toMatchObject({ pushedCount: 0, updatedCount: 1 });
+      expect(result.conflicts).toEqual([
+        expect.objectContaining({ eventId: "e1", resolution: "google" }),
+      ]);
+      expect(mockCalendar.events.patch).not.toHaveBeenCalled();
+      expect(mockTables.calendar_events[0]).toMatchObject({
+        title: "Moot court (Google)",
+        due_date: "2026-03-03",
+        event_type: "assignment",
+        google_updated_at: "2026-02-04T00:00:00.000Z",
+      });
+    });
+
+    test("Should save events that aren't linked yet as new rows", async () => {
+      const result = await applyGoogleChanges(
+        userId,
+        "primary",
+        [googleEvent],
+        "UTC"
+      );
+
+      expect(result).toMatchObject({ insertedCount: 1, updatedCount: 0 });
+      expect(mockTables.calendar_events).toEqual([
+        expect.objectContaining({
+          user_id: userId,
+          title: "Moot court",
+          event_type: "google_calendar",
+          google_calendar_id: "primary",
+          google_event_id: "g1",
+          google_updated_at: googleEvent.updated,
+        }),
+      ]);
+    });
+  });
+});
@@ -0,0 +1,127 @@
+const { generateCalendarFeed, escapeText, foldLine } = require("../utils/ics");
+
+describe("iCalendar Feed", () => {
+  const events = [
+    {
+      id: "event-1",
+      title: "Torts Midterm; Chapters 1, 2",
+      event_type: "exam",
+      due_date: "2025-10-15",
+      due_time: "23:30",
+      created_at: "2025-09-01T12:00:00Z",
+    },
+    {
+      id: "event-2",
+      title: "Read Palsgraf",
+      description: "Casebook pp. 120-135\nBring notes",
+      event_type: "reading",
+      due_date: "2025-11-03",
+      due_time: null,
+      updated_at: "2025-09-02T08:00:00Z",
+    },
+  ];
+
+  test("Should use stable UIDs and map event types to categories", () => {
+    const feed = generateCalendarFeed({
+      name: "Torts",
+      timeZone: "America/New_York",
+      events,
+    });
+
+    expect(feed).toContain("UID:event-1@law-bandit\r\n");
+    expect(feed).toContain("UID:event-2@law-bandit\r\n");
+    expect(feed).toContain("CATEGORIES:Exam\r\n");
+    expect(feed).toContain("CATEGORIES:Reading\r\n");
+    expect(feed).toBe(
+      generateCalendarFeed({
+        name: "Torts",
+        timeZone: "America/New_York",
+        events,
+      })
+    );
+  });
+
+  test("Should emit timed events in the feed time zone with a VTIMEZONE", () => {
+    const feed = generateCalendarFeed({
+      name: "Torts",
+      timeZone: "America/New_York",
+      events,
+    });
+
+    expect(feed).toContain("TZID:America/New_York\r\n");
+    expect(feed).toContain(
+      "BEGIN:DAYLIGHT\r\nDTSTART:20250309T020000\r\nTZOFFSETFROM:-0500\r\nTZOFFSETTO:-0400"
+    );
+    expect(feed).toContain(
+      "BEGIN:STANDARD\r\nDTSTART:20251102T020000\r\nTZOFFSETFROM:-0400\r\nTZOFFSETTO:-0500"
+    );
+    expect(feed).toContain("DTSTART;TZID=America/New_York:20251015T233000\r\n");
+    expect(feed).toContain("DTEND;TZID=America/New_York:20251016T003000\r\n");
+  });
+
+  test("Should limit the VTIMEZONE to the years around now", () => {
+    const feed = generateCalendarFeed({
+      name: "Torts",
+      timeZone: "America/New_York",
+      events: [
+        { ...events[0], id: "ancient", due_date: "0001-01-01" },
+        { ...events[0], id: "far-future", due_date: "9999-12-31" },
+      ],
+    });
+    const currentYear = new Date().getUTCFullYear();
+
+    expect(feed.match(/BEGIN:DAYLIGHT/g)).toHaveLength(11);
+    expect(feed).toContain(`DTSTART:${currentYear + 5}03`);
+    expect(feed).not.toContain(`DTSTART:${currentYear + 6}03`);
+    expect(feed).toContain("DTSTART;TZID=America/New_York:99991231T233000\r\n");
+  });
+
+  test("Should emit date-only events as all-day events", () => {
+    const feed = generateCalendarFeed({
+      name: "Torts",
+      timeZone: "UTC",
+      events,
+    });
+
+    expect(feed).toContain("DTSTART;VALUE=DATE:20251103\r\n");
+    expect(feed).toContain("DTEND;VALUE=DATE:20251104\r\n");
+  });
+
+  test("Should emit recurring class meetings as one event", () => {
+    const feed = generateCalendarFeed({
+      name: "Torts",
+      timeZone: "America/New_York",
+      events: [
+        {
+          id: "class-1",
+          title: "Torts",
+          event_type: "class",
+          due_date: "2026-01-12",
+          due_time: "09:00",
+          end_time: "10:15",
+          location: "Room 204",
+          recurrence_rule: "FREQ=WEEKLY;BYDAY=MO,WE,FR;UNTIL=20260424",
+          recurrence_exceptions: ["2026-01-19"],
+        },
+      ],
+    });
+
+    expect(feed).toContain("DTEND;TZID=America/New_York:20260112T101500\r\n");
+    expect(feed).toContain(
+      "RRULE:FREQ=WEEKLY;BYDAY=MO,WE,FR;UNTIL=20260425T035959Z\r\n"
+    );
+    expect(feed).toContain("EXDATE;TZID=America/New_York:20260119T090000\r\n");
+    expect(feed).toContain("LOCATION:Room 204\r\n");
+    expect(feed).toContain("CATEGORIES:Class\r\n");
+  });
+
+  test("Should escape and fold text values", () => {
+    expect(escapeText("a;b,c\\d\ne")).toBe("a\\;b\\,c\\\\d\\ne");
+
+    const folded = foldLine(`DESCRIPTION:${"x".repeat(200)}`);
+    folded.split("\r\n").forEach((line) => {
+      expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75);
+    });
+    expect(folded.replace(/\r\n /g, "")).toBe(`DESCRIPTION:${"x".repeat(200)}`);
+  });
+});
@@ -0,0 +1,120 @@
+const fs = require("fs");
+const path = require("path");
+const {
+  parseIcs,
+  mapIcsEvents,
+  inferEventType,
+} = require("../utils/icsImport");
+
+describe("iCalendar Import", () => {
+  const schedule = fs.readFileSync(
+    path.join(__dirname, "fixtures", "course-schedule.ics"),
+    "utf8"
+  );
+
+  test("Should expand RRULEs, drop EXDATEs and apply overridden instances", () => {
+    const events = mapIcsEvents(parseIcs(schedule), {
+      timeZone: "America/New_York",
+    });
+    const lectures = events.filter((event) =>
+      event.title.startsWith("Torts Lecture")
+    );
+
+    expect(
+      lectures.map((event) => `${event.due_date} ${event.due_time}`)
+    ).toEqual([
+      "2025-09-01 09:00",
+      "2025-09-08 14:00",
+      "2025-09-10 09:00",
+      "2025-09-15 09:00",
+      "2025-09-17 09:00",
+    ]);
+    expect(lectures[1].title).toBe("Torts Lecture (moved)");
+  });
+
+  test("Should convert times to the requested time zone", () => {
+    const events = mapIcsEvents(parseIcs(schedule), {
+      timeZone: "America/Los_Angeles",
+    });
+    const midterm = events.find((event) => event.event_type === "exam");
+
+    expect(midterm.title).toBe("Midterm Exam, Room 204");
+    expect(midterm.due_date).toBe("2025-10-15");
+    expect(midterm.due_time).toBe("06:00");
+
+    const firstLecture = events.find(
+      (event) => event.title === "Torts Lecture"
+    );
+    expect(firstLecture.due_time).toBe("06:00");
+  });
+
+  test("Should keep date-only events as all-day and apply classId", () => {
+    const events = mapIcsEvents(parseIcs(schedule), {
+      timeZone: "America/New_York",
+      classId: "class-1",
+    });
+    const reading = events.find((event) => event.event_type === "reading");
+
+    expect(reading.due_date).toBe("2025-11-03");
+    expect(reading.due_time).toBeNull();
+    expect(events.every((event) => event.class_id === "class-1")).toBe(true);
+  });
+
+  test("Should bound expansion of fine-grained rules and RDATEs", () => {
+    const calendar = [
+      "BEGIN:VCALENDAR",
+      "BEGIN:VEVENT",
+      "UID:flood",
+      "SUMMARY:Flood",
+      "DTSTART:19900101T000000Z",
+      "RRULE:FREQ=SECONDLY",
+      "RDATE:19900102T000000Z,20260305T090000Z,20990101T000000Z",
+      "END:VEVENT",
+      "END:VCALENDAR",
+    ].join("\r\n");
+
+    const startedAt = Date.now();
+    const events = mapIcsEvents(parseIcs(calendar), {
+      timeZone: "UTC",
+      rangeStart: "2026-01-01",
+      rangeEnd: "2026-12-31",
+    });
+
+    expect(Date.now() - startedAt).toBeLessThan(2000);
+    expect(events.map((event) => event.due_date)).toEqual(["2026-03-05"]);
+  });
+
+  test("Should map Windows zone names and fall back on unknown zones", () => {
+    const calendar = [
+      "BEGIN:VCALENDAR",
+      "BEGIN:VEVENT",
+      "SUMMARY:Midterm Exam",
+      'DTSTART;TZID="Eastern Standard Time":20260305T090000',
+      "END:VEVENT",
+      "BEGIN:VEVENT",
+      "SUMMARY:Final Exam",
+      "DTSTART;TZID=Nowhere Standard Time:20260505T090000",
+      "END:VEVENT",
+      "END:VCALENDAR",
+    ].join("\r\n");
+
+    const events = mapIcsEvents(parseIcs(calendar), { timeZone: "UTC" });
+
+    expect(
+      events.map((event) => `${event.due_date} ${event.due_time}`)
+    ).toEqual(["2026-03-05 14:00", "2026-05-05 09:00"]);
+  });
+
+  test("Should reject files that are not iCalendar documents", () => {
+    expect(() => parseIcs("not a calendar")).toThrow(
+      "File is not an iCalendar document"
+    );
+  });
+
+  test("inferEventType should classify common syllabus wording", () => {
+    expect(inferEventType("Final Exam")).toBe("exam");
+    expect(inferEventType("Read Chapter 4")).toBe("reading");
+    expect(inferEventType("Memo due")).toBe("assignment");
+    expect(inferEventType("Office hours")).toBe("other");
+  });
+});
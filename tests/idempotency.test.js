@@ -0,0 +1,145 @@
+const express = require("express");
+const request = require("supertest");
+const { idempotency } = require("../middleware/idempotency");
+
+// In-memory idempotency_keys table keyed like its primary key
+const mockRows = new Map();
+jest.mock("@supabase/supabase-js", () => {
+  const query = (operation, values) => {
+    const filters = [];
+    const matches = (row) => filters.every((filter) => filter(row));
+    const builder = {
+      select: () => builder,
+      eq: (column, value) => {
+        filters.push((row) => row[column] === value);
+        return builder;
+      },
+      lt: (column, value) => {
+        filters.push((row) => row[column] < value);
+        return builder;
+      },
+      maybeSingle: async () => ({
+        data: [...mockRows.values()].find(matches) || null,
+        error: null,
+      }),
+      then: (resolve) => {
+        mockRows.forEach((row, key) => {
+          if (!matches(row)) {
+            return;
+          }
+          if (operation === "delete") {
+            mockRows.delete(key);
+          } else if (operation === "update") {
+            Object.assign(row, values);
+          }
+        });
+        resolve({ error: null });
+      },
+    };
+    return builder;
+  };
+
+  return {
+    createClient: () => ({
+      from: () => ({
+        delete: () => query("delete"),
+        update: (values) => query("update", values),
+        select: () => query("select"),
+        insert: async (row) => {
+          const key = `${row.user_id}:${row.idempotency_key}`;
+          if (mockRows.has(key)) {
+            return { error: { code: "23505", message: "duplicate key" } };
+          }
+          mockRows.set(key, { ...row });
+          return { error: null };
+        },
+      }),
+    }),
+  };
+});
+
+describe("Idempotency-Key", () => {
+  let finishRequest;
+  let handlerCalls;
+  const app = express();
+
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { id: "user-1" };
+    next();
+  });
+  app.post("/save", idempotency, async (req, res) => {
+    handlerCalls++;
+    await new Promise((resolve) => {
+      finishRequest = resolve;
+    });
+    res.status(201).json({ saved: req.body.title });
+  });
+
+  beforeEach(() => {
+    mockRows.clear();
+    handlerCalls = 0;
+    finishRequest = null;
+  });
+
+  test("Should turn away a retry while the first request is running", async () => {
+    const first = request(app)
+      .post("/save")
+      .set("Idempotency-Key", "key-1")
+      .send({ title: "Midterm" })
+      .then((response) => response);
+
+    while (!finishRequest) {
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+
+    const retry = await request(app)
+      .post("/save")
+      .set("Idempotency-Key", "key-1")
+      .send({ title: "Midterm" })
+      .expect(409);
+
+    expect(retry.body.error).toBe(
+      "A request with this Idempotency-Key is still in progress"
+    );
+
+    finishRequest();
+    expect((await first).status).toBe(201);
+    expect(handlerCalls).toBe(1);
+
+    const replay = await request(app)
+      .post("/save")
+      .set("Idempotency-Key", "key-1")
+      .send({ title: "Midterm" })
+      .expect(201);
+
+    expect(replay.headers["idempotent-replayed"]).toBe("true");
+    expect(replay.body).toEqual({ saved: "Midterm" });
+    expect(handlerCalls).toBe(1);
+  });
+
+  test("Should let a retry take over a claim that was abandoned", async () => {
+    mockRows.set("user-1:key-2", {
+      user_id: "user-1",
+      idempotency_key: "key-2",
+      request_hash: "crashed-request",
+      status: "pending",
+      created_at: new Date(Date.now() - 10 * 60 * 1000).toISOString(),
+    });
+
+    const retry = request(app)
+      .post("/save")
+      .set("Idempotency-Key", "key-2")
+      .send({ title: "Final" })
+      .then((response) => response);
+
+    while (!finishRequest) {
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+    finishRequest();
+
+    expect((await retry).status).toBe(201);
+    expect(handlerCalls).toBe(1);
+    expect(mockRows.get("user-1:key-2").status).toBe("completed");
+  });
+});
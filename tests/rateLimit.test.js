@@ -0,0 +1,17 @@
+// Listen on a free port so this can run alongside other suites loading the app
+process.env.PORT = "0";
+
+const request = require("supertest");
+const app = require("../index");
+
+describe("Rate Limiting", () => {
+  test("Webhooks and feeds should not share the general per-IP limit", async () => {
+    for (let i = 0; i < 101; i++) {
+      await request(app).get("/api/webhooks/google-calendar/renew").expect(401);
+      await request(app).get("/api/feeds/not-a-feed").expect(404);
+    }
+
+    // The general limit is left for everything else
+    await request(app).get("/health").expect(200);
+  });
+});
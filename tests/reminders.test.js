@@ -0,0 +1,78 @@
+const {
+  validateReminderRules,
+  getReminderOverrides,
+} = require("../utils/reminders");
+const { buildGoogleEventResource } = require("../utils/googleCalendar");
+
+describe("Reminder Preferences", () => {
+  const rules = {
+    exam: [
+      { method: "email", days: 14 },
+      { method: "email", days: 3 },
+      { method: "popup", days: 1 },
+    ],
+    reading: [{ method: "popup", days: 1, at: "19:00" }],
+  };
+
+  test("Should keep the built-in reminders for unconfigured types", () => {
+    expect(
+      getReminderOverrides({ event_type: "assignment", due_time: null }, rules)
+    ).toEqual([
+      { method: "email", minutes: 1440 },
+      { method: "popup", minutes: 30 },
+    ]);
+  });
+
+  test("Should apply per-type rules", () => {
+    expect(
+      getReminderOverrides({ event_type: "exam", due_time: "09:00" }, rules)
+    ).toEqual([
+      { method: "email", minutes: 20160 },
+      { method: "email", minutes: 4320 },
+      { method: "popup", minutes: 1440 },
+    ]);
+  });
+
+  test("Should anchor evening-before reminders to the event's start", () => {
+    // All-day reading: 19:00 the day before is 5 hours before midnight
+    expect(
+      getReminderOverrides({ event_type: "reading", due_time: null }, rules)
+    ).toEqual([{ method: "popup", minutes: 300 }]);
+    // Reading at 10:00: 15 hours before
+    expect(
+      getReminderOverrides({ event_type: "reading", due_time: "10:00" }, rules)
+    ).toEqual([{ method: "popup", minutes: 900 }]);
+  });
+
+  test("Should validate rules", () => {
+    expect(validateReminderRules(rules)).toEqual([]);
+    expect(
+      validateReminderRules({
+        party: [],
+        exam: [{ method: "sms", minutes: 5, days: 1 }],
+        reading: [{ method: "popup", days: 1, at: "7pm" }],
+      })
+    ).toEqual([
+      "reminders: keys must be one of default, assignment, exam, reading, other, class, google_calendar",
+      "reminders.exam[0].method: must be one of email, popup",
+      "reminders.exam[0]: use either minutes or days, not both",
+      "reminders.reading[0].at: must be a 24-hour time in HH:MM format",
+    ]);
+  });
+
+  test("Should send the overrides with pushed events", () => {
+    const resource = buildGoogleEventResource(
+      { title: "Final Exam", event_type: "exam", due_date: "2026-05-04" },
+      { timeZone: "America/New_York", reminders: rules }
+    );
+
+    expect(resource.reminders).toEqual({
+      useDefault: false,
+      overrides: [
+        { method: "email", minutes: 20160 },
+        { method: "email", minutes: 4320 },
+        { method: "popup", minutes: 1440 },
+      ],
+    });
+  });
+});
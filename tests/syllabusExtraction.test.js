@@ -0,0 +1,227 @@
+const {
+  chunkPages,
+  mergeExtractedEvents,
+  extractEventsFromPages,
+} = require("../utils/syllabusExtraction");
+const { validateExtractedEvent } = require("../utils/eventSchema");
+
+/**
+ * Build a syllabus with one heading and a few lines per week
+ * @param {number} weeks - Number of weeks
+ * @returns {Object[]} Pages with one week per page
+ */
+function buildSyllabus(weeks) {
+  return Array.from({ length: weeks }, (value, index) => ({
+    pageNumber: index + 1,
+    text: [
+      `Week ${index + 1}: Topic ${index + 1}`,
+      `Read casebook pp. ${index * 20}-${index * 20 + 19}`,
+      "x".repeat(200),
+    ].join("\n"),
+  }));
+}
+
+describe("Syllabus Extraction", () => {
+  test("Should keep short syllabi in a single chunk", () => {
+    const pages = buildSyllabus(2);
+    expect(chunkPages(pages)).toEqual([pages]);
+  });
+
+  test("Should split long syllabi at week headings with overlap", () => {
+    const chunks = chunkPages(buildSyllabus(10), {
+      maxChars: 800,
+      overlapChars: 300,
+    });
+
+    expect(chunks.length).toBeGreaterThan(1);
+    chunks.forEach((chunk, index) => {
+      const text = chunk.map((page) => page.text).join("\n");
+      expect(text.length).toBeLessThanOrEqual(800 + 300);
+      if (index > 0) {
+        // Each chunk after the first starts with the tail of the previous one
+        const previous = chunks[index - 1];
+        expect(chunk[0].pageNumber).toBe(
+          previous[previous.length - 1].pageNumber
+        );
+      }
+    });
+
+    const lastChunk = chunks[chunks.length - 1];
+    expect(lastChunk[lastChunk.length - 1].text).toContain("x".repeat(200));
+    const weeks = new Set(
+      chunks.flat().map((page) => page.text.match(/Week (\d+)/)?.[1])
+    );
+    expect(weeks.has("10")).toBe(true);
+  });
+
+  test("Should merge duplicates keeping the highest-confidence source", () => {
+    const merged = mergeExtractedEvents([
+      {
+        title: "Midterm",
+        event_type: "exam",
+        due_date: "2025-10-15",
+        due_time: null,
+        confidence_score: 0.6,
+        source_text: "Midterm (see below)",
+      },
+      {
+        title: "Torts Midterm Exam",
+        event_type: "exam",
+        due_date: "2025-10-15",
+        due_time: "09:00",
+        confidence_score: 0.9,
+        source_text: "Oct 15 - Midterm Exam, 9:00am",
+      },
+      {
+        title: "Midterm",
+        event_type: "exam",
+        due_date: "2025-10-16",
+        confidence_score: 0.9,
+        source_text: "Make-up midterm Oct 16",
+      },
+    ]);
+
+    expect(merged).toHaveLength(2);
+    expect(merged[0].source_text).toBe("Oct 15 - Midterm Exam, 9:00am");
+    expect(merged[0].due_time).toBe("09:00");
+  });
+
+  test("Should keep events whose titles differ only by a number", () => {
+    const reading = {
+      event_type: "reading",
+      due_date: "2025-09-03",
+      due_time: null,
+      confidence_score: 0.8,
+    };
+    const merged = mergeExtractedEvents([
+      { ...reading, title: "Read Chapter 1" },
+      { ...reading, title: "Read Chapter 10" },
+      { ...reading, title: "Read chapter 10." },
+    ]);
+
+    expect(merged.map((event) => event.title)).toEqual([
+      "Read Chapter 1",
+      "Read Chapter 10",
+    ]);
+  });
+
+  test("Should extract each chunk and resolve source pages", async () => {
+    const pages = buildSyllabus(6);
+    const prompts = [];
+
+    const { events, chunkCount } = await extractEventsFromPages(
+      pages,
+      async (prompt) => {
+        prompts.push(prompt);
+        return JSON.stringify({
+          events: [
+            {
+              title: "Read Week 4",
+              event_type: "reading",
+              due_date: "2025-09-22",
+              confidence_score: 0.8 + prompts.length / 100,
+              source_text: "Read casebook pp. 60-79",
+              source_page: 1,
+            },
+          ],
+        });
+      },
+      { maxChars: 800, overlapChars: 300 }
+    );
+
+    expect(chunkCount).toBe(prompts.length);
+    expect(prompts.length).toBeGreaterThan(1);
+    expect(prompts[0]).toContain(`part 1 of ${chunkCount}`);
+    expect(events).toHaveLength(1);
+    expect(events[0].source_page).toBe(4);
+  });
+});
+
+describe("Extraction Validation", () => {
+  const pages = [
+    { pageNumber: 1, text: "Week 1\nOct 15 - Midterm Exam, 9:00am" },
+  ];
+  const validEvent = {
+    title: "Midterm Exam",
+    description: null,
+    event_type: "exam",
+    due_date: "2025-10-15",
+    due_time: "09:00",
+    confidence_score: 0.9,
+    source_text: "Oct 15 - Midterm Exam, 9:00am",
+  };
+
+  test("Should validate dates, times, types and confidence", () => {
+    expect(validateExtractedEvent(validEvent).valid).toBe(true);
+    expect(
+      validateExtractedEvent({
+        ...validEvent,
+        event_type: "quiz",
+        due_date: "2025-02-30",
+        due_time: "9am",
+        confidence_score: 1.5,
+      }).errors
+    ).toHaveLength(4);
+  });
+
+  test("Should send validation errors back to the model for repair", async () => {
+    const prompts = [];
+    const responses = [
+      'Here you go:\n```json\n{"events": [{"title": "Midterm Exam", "event_type": "exam", "due_date": "10/15/2025", "confidence_score": 0.9}]}\n```',
+      JSON.stringify({ events: [validEvent] }),
+    ];
+
+    const { events, warnings } = await extractEventsFromPages(
+      pages,
+      async (prompt) => {
+        prompts.push(prompt);
+        return responses[prompts.length - 1];
+      }
+    );
+
+    expect(prompts).toHaveLength(2);
+    expect(prompts[1]).toContain(
+      "events[0].due_date: must be a valid date in YYYY-MM-DD format"
+    );
+    expect(events).toEqual([
+      {
+        ...validEvent,
+        date_text: null,
+        source_page: 1,
+        date_status: "explicit",
+      },
+    ]);
+    expect(warnings).toEqual([]);
+  });
+
+  test("Should return valid events with warnings when repair fails", async () => {
+    const response = JSON.stringify({
+      events: [validEvent, { title: "Paper", event_type: "assignment" }],
+    });
+
+    const { events, warnings } = await extractEventsFromPages(
+      pages,
+      async () => response
+    );
+
+    expect(events).toHaveLength(1);
+    expect(warnings).toEqual([
+      {
+        part: 1,
+        list: "events",
+        index: 1,
+        title: "Paper",
+        errors: [
+          "due_date: must be a valid date in YYYY-MM-DD format, or null with date_text set",
+          "confidence_score: must be a number between 0 and 1",
+        ],
+      },
+    ]);
+  });
+
+  test("Should fail when no response can be parsed", async () => {
+    await expect(
+      extractEventsFromPages(pages, async () => "I could not find any events.")
+    ).rejects.toThrow("Failed to parse AI response");
+  });
+});
@@ -0,0 +1,91 @@
+const {
+  parseTerm,
+  resolveDateText,
+  resolveEventDates,
+} = require("../utils/termCalendar");
+
+describe("Term Calendar", () => {
+  const { term } = parseTerm({
+    startDate: "2026-01-12",
+    endDate: "2026-04-24",
+    meetingDays: ["Tuesday", "Thu"],
+    breaks: [
+      { name: "Spring Break", startDate: "2026-03-09", endDate: "2026-03-13" },
+    ],
+    holidays: [{ name: "Wellness Day", date: "2026-02-17" }],
+  });
+
+  test("Should validate term metadata", () => {
+    expect(parseTerm('{"startDate": "2026-01-12"}').valid).toBe(false);
+    expect(
+      parseTerm({
+        startDate: "2026-01-12",
+        endDate: "2026-04-24",
+        meetingDays: ["Funday"],
+      }).error
+    ).toBe("term.meetingDays must be a list of weekday names");
+    expect(
+      parseTerm({ startDate: "0001-01-01", endDate: "9999-12-31" }).error
+    ).toBe("term must be at most 366 days long");
+    expect(
+      parseTerm({ startDate: "2026-01-01", endDate: "2027-01-01" }).valid
+    ).toBe(true);
+    expect(term.meetingDays).toEqual([2, 4]);
+  });
+
+  test("Should resolve week and class references", () => {
+    expect(resolveDateText("Week 1, Class 2", term)).toBe("2026-01-15");
+    expect(resolveDateText("Week 4, Class 2", term)).toBe("2026-02-05");
+    expect(resolveDateText("Thursday of Week 4", term)).toBe("2026-02-05");
+    expect(resolveDateText("Class 3", term)).toBe("2026-01-20");
+    // Week 6 loses its Tuesday to the holiday
+    expect(resolveDateText("Week 6, Class 1", term)).toBe("2026-02-19");
+    // Teaching weeks skip Spring Break
+    expect(resolveDateText("Week 9", term)).toBe("2026-03-17");
+    expect(resolveDateText("last day of class", term)).toBe("2026-04-23");
+  });
+
+  test("Should resolve dates relative to breaks", () => {
+    expect(resolveDateText("the Tuesday after Spring Break", term)).toBe(
+      "2026-03-17"
+    );
+    expect(resolveDateText("Friday before spring break", term)).toBe(
+      "2026-03-06"
+    );
+    expect(resolveDateText("the Monday after Reading Week", term)).toBeNull();
+  });
+
+  test("Should place dates without a year in the term", () => {
+    expect(resolveDateText("Apr. 2", term)).toBe("2026-04-02");
+    expect(resolveDateText("12/3", term)).toBe("2025-12-03");
+    expect(resolveDateText("March 5, 2027", term)).toBe("2027-03-05");
+  });
+
+  test("Should override model dates and flag unresolved events", () => {
+    const { events, warnings } = resolveEventDates(
+      [
+        {
+          title: "Memo 1",
+          due_date: "2025-02-05",
+          date_text: "Week 4, Class 2",
+        },
+        { title: "Retake", due_date: null, date_text: "after the retake" },
+        { title: "Reading", due_date: "2026-03-01", date_text: "TBD" },
+      ],
+      term
+    );
+
+    expect(events.map((event) => [event.due_date, event.date_status])).toEqual([
+      ["2026-02-05", "resolved"],
+      [null, "unresolved"],
+      ["2026-03-01", "explicit"],
+    ]);
+    expect(warnings).toEqual([
+      {
+        title: "Retake",
+        date_text: "after the retake",
+        errors: ["due_date: could not be resolved against the term calendar"],
+      },
+    ]);
+  });
+});
@@ -0,0 +1,72 @@
+const crypto = require("crypto");
+const {
+  encryptToken,
+  decryptToken,
+  getKeyVersion,
+  needsReencryption,
+} = require("../utils/tokenCrypto");
+
+describe("Token Encryption", () => {
+  const originalEnv = { ...process.env };
+  const keyV1 = crypto.randomBytes(32).toString("base64");
+  const keyV2 = crypto.randomBytes(32).toString("base64");
+
+  beforeEach(() => {
+    process.env.TOKEN_ENCRYPTION_KEYS = `v1:${keyV1}`;
+    process.env.TOKEN_ENCRYPTION_KEY_VERSION = "v1";
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  test("Should round-trip a token", () => {
+    const encrypted = encryptToken("ya29.access-token");
+
+    expect(encrypted).not.toContain("ya29");
+    expect(getKeyVersion(encrypted)).toBe("v1");
+    expect(decryptToken(encrypted)).toBe("ya29.access-token");
+  });
+
+  test("Should pass through plaintext and empty values", () => {
+    expect(decryptToken("legacy-plaintext-token")).toBe(
+      "legacy-plaintext-token"
+    );
+    expect(encryptToken(null)).toBeNull();
+    expect(decryptToken(null)).toBeNull();
+  });
+
+  test("Should reject tampered ciphertext", () => {
+    const encrypted = encryptToken("refresh-token");
+    const parts = encrypted.split(":");
+    const sealed = Buffer.from(parts[3], "base64url");
+    sealed[sealed.length - 1] ^= 1;
+    parts[3] = sealed.toString("base64url");
+
+    expect(() => decryptToken(parts.join(":"))).toThrow();
+  });
+
+  test("Should decrypt old key versions after rotation", () => {
+    const encrypted = encryptToken("refresh-token");
+
+    process.env.TOKEN_ENCRYPTION_KEYS = `v1:${keyV1},v2:${keyV2}`;
+    process.env.TOKEN_ENCRYPTION_KEY_VERSION = "v2";
+
+    expect(needsReencryption(encrypted)).toBe(true);
+    expect(needsReencryption("legacy-plaintext-token")).toBe(true);
+    expect(decryptToken(encrypted)).toBe("refresh-token");
+
+    const reencrypted = encryptToken(decryptToken(encrypted));
+    expect(getKeyVersion(reencrypted)).toBe("v2");
+    expect(needsReencryption(reencrypted)).toBe(false);
+  });
+
+  test("Should require a configured key to encrypt", () => {
+    process.env.TOKEN_ENCRYPTION_KEYS = "";
+    delete process.env.TOKEN_ENCRYPTION_KEY_VERSION;
+
+    expect(() => encryptToken("token")).toThrow(
+      "Token encryption key is not configured"
+    );
+  });
+});
@@ -0,0 +1,125 @@
+const crypto = require("crypto");
+const { google } = require("googleapis");
+const { encryptToken, decryptToken } = require("../utils/tokenCrypto");
+const {
+  getUserTokensFromDatabase,
+  refreshUserTokensFromDatabase,
+} = require("../utils/tokenManager");
+
+// Stands in for the user's google_calendar_tokens row and records updates
+let mockTokenRow = null;
+const mockUpdates = [];
+jest.mock("@supabase/supabase-js", () => ({
+  createClient: () => ({
+    from: () => ({
+      select: () => ({
+        eq: () => ({
+          single: async () => ({ data: mockTokenRow, error: null }),
+        }),
+      }),
+      update: (values) => ({
+        eq: async () => {
+          mockUpdates.push(values);
+          return { error: null };
+        },
+      }),
+    }),
+  }),
+}));
+
+describe("Token Refresh", () => {
+  const originalEnv = { ...process.env };
+  let refreshAccessToken;
+
+  beforeAll(() => {
+    process.env.TOKEN_ENCRYPTION_KEYS = `v1:${crypto
+      .randomBytes(32)
+      .toString("base64")}`;
+    process.env.TOKEN_ENCRYPTION_KEY_VERSION = "v1";
+  });
+
+  beforeEach(() => {
+    mockUpdates.length = 0;
+    refreshAccessToken = jest
+      .spyOn(google.auth.OAuth2.prototype, "refreshAccessToken")
+      .mockImplementation(async () => {
+        await new Promise((resolve) => setTimeout(resolve, 10));
+        return {
+          credentials: {
+            access_token: "ya29.new-access-token",
+            refresh_token: "1//rotated-refresh-token",
+            expiry_date: Date.now() + 60 * 60 * 1000,
+          },
+        };
+      });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  test("Should share one refresh between concurrent callers", async () => {
+    const results = await Promise.all(
+      Array.from({ length: 5 }, () =>
+        refreshUserTokensFromDatabase("user-1", "1//old-refresh-token")
+      )
+    );
+
+    expect(refreshAccessToken).toHaveBeenCalledTimes(1);
+    expect(mockUpdates).toHaveLength(1);
+    results.forEach((result) =>
+      expect(result.access_token).toBe("ya29.new-access-token")
+    );
+
+    // A later refresh isn't served the finished one
+    await refreshUserTokensFromDatabase("user-1", "1//old-refresh-token");
+    expect(refreshAccessToken).toHaveBeenCalledTimes(2);
+  });
+
+  test("Should encrypt and save a rotated refresh token", async () => {
+    const result = await refreshUserTokensFromDatabase(
+      "user-1",
+      "1//old-refresh-token"
+    );
+    const [update] = mockUpdates;
+
+    expect(result.refresh_token).toBe("1//rotated-refresh-token");
+    expect(update.refresh_token).not.toContain("rotated");
+    expect(decryptToken(update.refresh_token)).toBe("1//rotated-refresh-token");
+    expect(decryptToken(update.access_token)).toBe("ya29.new-access-token");
+    expect(update.key_version).toBe("v1");
+  });
+
+  test("Should refresh tokens that expire within the margin", async () => {
+    mockTokenRow = {
+      user_id: "user-1",
+      access_token: encryptToken("ya29.old-access-token"),
+      refresh_token: encryptToken("1//old-refresh-token"),
+      expiry_date: new Date(Date.now() + 60 * 1000).toISOString(),
+    };
+
+    const tokens = await getUserTokensFromDatabase("user-1");
+
+    expect(refreshAccessToken).toHaveBeenCalledTimes(1);
+    expect(tokens.access_token).toBe("ya29.new-access-token");
+  });
+
+  test("Should reuse tokens that aren't close to expiring", async () => {
+    mockTokenRow = {
+      user_id: "user-1",
+      access_token: encryptToken("ya29.old-access-token"),
+      refresh_token: encryptToken("1//old-refresh-token"),
+      expiry_date: new Date(Date.now() + 30 * 60 * 1000).toISOString(),
+    };
+
+    const tokens = await getUserTokensFromDatabase("user-1");
+
+    expect(refreshAccessToken).not.toHaveBeenCalled();
+    expect(tokens.access_token).toBe("ya29.old-access-token");
+    expect(tokens.refresh_token).toBe("1//old-refresh-token");
+  });
+});
@@ -0,0 +1,87 @@
+const { computeWorkload, getWeekStart } = require("../utils/workload");
+
+describe("Workload Analytics", () => {
+  const event = (id, event_type, due_date, class_id = "c-torts") => ({
+    id,
+    title: `${event_type} ${id}`,
+    event_type,
+    due_date,
+    class_id,
+  });
+  const events = [
+    event("1", "reading", "2026-03-02"),
+    event("2", "exam", "2026-03-10"),
+    event("3", "exam", "2026-03-12", "c-contracts"),
+    event("4", "assignment", "2026-03-13", "c-contracts"),
+    event("5", "class", "2026-03-03"),
+    event("6", "assignment", "2026-03-25", null),
+  ];
+  const classes = [
+    { id: "c-torts", name: "Torts" },
+    { id: "c-contracts", name: "Contracts" },
+  ];
+
+  test("Should start weeks on Monday", () => {
+    expect(getWeekStart("2026-03-08")).toBe("2026-03-02");
+    expect(getWeekStart("2026-03-09")).toBe("2026-03-09");
+  });
+
+  test("Should score days and weeks by event type", () => {
+    const workload = computeWorkload(events, {
+      startDate: "2026-03-02",
+      endDate: "2026-03-29",
+      classes,
+    });
+
+    expect(workload.days).toHaveLength(28);
+    expect(workload.days[0]).toEqual({
+      date: "2026-03-02",
+      count: 1,
+      score: 1,
+      byType: { reading: 1 },
+    });
+    expect(workload.weeks.map((week) => [week.weekStart, week.score])).toEqual([
+      ["2026-03-02", 1],
+      ["2026-03-09", 13],
+      ["2026-03-16", 0],
+      ["2026-03-23", 3],
+    ]);
+    expect(workload.totals).toEqual({
+      count: 5,
+      score: 17,
+      byType: { reading: 1, exam: 2, assignment: 2 },
+    });
+  });
+
+  test("Should break the load down by class", () => {
+    const { classes: byClass } = computeWorkload(events, {
+      startDate: "2026-03-02",
+      endDate: "2026-03-29",
+      classes,
+    });
+
+    expect(
+      byClass.map((item) => [item.className, item.count, item.score])
+    ).toEqual([
+      ["Contracts", 2, 8],
+      ["Torts", 2, 6],
+      [null, 1, 3],
+    ]);
+  });
+
+  test("Should flag clusters of exams and assignments", () => {
+    const { crunchPeriods } = computeWorkload(events, {
+      startDate: "2026-03-02",
+      endDate: "2026-03-29",
+      classes,
+    });
+
+    expect(crunchPeriods).toHaveLength(1);
+    expect(crunchPeriods[0]).toMatchObject({
+      startDate: "2026-03-10",
+      endDate: "2026-03-13",
+      count: 3,
+      score: 13,
+    });
+  });
+});
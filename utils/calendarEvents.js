@@ -0,0 +1,336 @@
+const crypto = require("crypto");
+const { createClient } = require("@supabase/supabase-js");
+const { deleteEventsFromGoogle } = require("./googleCalendar");
+const { normalizeTitle } = require("./eventSchema");
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Fields compared to decide whether a matching saved event changed
+const COMPARED_FIELDS = [
+  "title",
+  "description",
+  "due_time",
+  "end_time",
+  "location",
+  "recurrence_rule",
+  "recurrence_exceptions",
+  "confidence_score",
+  "source_text",
+  "source_page",
+];
+
+/**
+ * Get the stable fingerprint of an event
+ * @param {Object} event - Event in the extraction/import shape
+ * @param {string} [classId] - Class the event belongs to
+ * @returns {string} Fingerprint
+ */
+function getEventFingerprint(event, classId) {
+  return crypto
+    .createHash("sha256")
+    .update(
+      [
+        classId || "",
+        normalizeTitle(event.title),
+        event.due_date || "",
+        event.event_type || "",
+      ].join("\n")
+    )
+    .digest("hex");
+}
+
+/**
+ * Build the calendar_events row for an event
+ * @param {string} userId - User ID
+ * @param {Object} event - Event in the extraction/import shape
+ * @param {string} [classId] - Class the event belongs to
+ * @returns {Object} calendar_events row
+ */
+function buildEventRow(userId, event, classId) {
+  return {
+    user_id: userId,
+    class_id: classId || null,
+    title: event.title,
+    description: event.description,
+    event_type: event.event_type,
+    due_date: event.due_date,
+    due_time: event.due_time,
+    end_time: event.end_time || null,
+    location: event.location || null,
+    recurrence_rule: event.recurrence_rule || null,
+    recurrence_exceptions: event.recurrence_exceptions || null,
+    confidence_score: event.confidence_score,
+    source_text: event.source_text,
+    source_page: event.source_page || null,
+    fingerprint: getEventFingerprint(event, classId),
+  };
+}
+
+/**
+ * Get the fields of a saved row that differ from a new row
+ * @param {Object} existing - Saved calendar_events row
+ * @param {Object} row - New calendar_events row
+ * @returns {Object} Changed fields and their new values
+ */
+function getChangedFields(existing, row) {
+  // Postgres returns times as HH:MM:SS and numerics as strings
+  const normalize = (field, value) => {
+    if (value === undefined || value === null || value === "") {
+      return null;
+    }
+    if (field === "due_time" || field === "end_time") {
+      return String(value).slice(0, 5);
+    }
+    if (field === "confidence_score") {
+      return Number(value);
+    }
+    return JSON.stringify(value);
+  };
+
+  const changes = {};
+  COMPARED_FIELDS.forEach((field) => {
+    if (normalize(field, existing[field]) !== normalize(field, row[field])) {
+      changes[field] = row[field] === undefined ? null : row[field];
+    }
+  });
+  return changes;
+}
+
+/**
+ * Save events to calendar_events for a user. Events are matched to saved
+ * rows by fingerprint, so saving the same events again updates or leaves
+ * them alone instead of adding copies.
+ * @param {string} userId - User ID
+ * @param {Object[]} events - Events in the extraction/import shape
+ * @param {string} [classId] - Class the events belong to
+ * @returns {Promise<Object>} Saved rows in input order, per-event results
+ * (created, updated or unchanged) and counts
+ */
+async function saveCalendarEvents(userId, events, classId) {
+  const rows = events.map((event) => buildEventRow(userId, event, classId));
+  const fingerprints = [...new Set(rows.map((row) => row.fingerprint))];
+  const saved = new Map();
+
+  for (let i = 0; i < fingerprints.length; i += 100) {
+    const { data, error } = await supabase
+      .from("calendar_events")
+      .select("*")
+      .eq("user_id", userId)
+      .in("fingerprint", fingerprints.slice(i, i + 100));
+
+    if (error) {
+      throw new Error(`Failed to load saved events: ${error.message}`);
+    }
+    data.forEach((row) => saved.set(row.fingerprint, row));
+  }
+
+  const statuses = new Map();
+  const newRows = [];
+
+  for (const row of rows) {
+    // Repeats within the request collapse into the first one
+    if (statuses.has(row.fingerprint)) {
+      continue;
+    }
+
+    const existing = saved.get(row.fingerprint);
+    if (!existing) {
+      statuses.set(row.fingerprint, "created");
+      newRows.push({ ...row, created_at: new Date().toISOString() });
+      continue;
+    }
+
+    const changes = getChangedFields(existing, row);
+    if (Object.keys(changes).length === 0) {
+      statuses.set(row.fingerprint, "unchanged");
+      continue;
+    }
+
+    const { data: updated, error: updateError } = await supabase
+      .from("calendar_events")
+      .update({ ...changes, updated_at: new Date().toISOString() })
+      .eq("id", existing.id)
+      .select()
+      .single();
+
+    if (updateError) {
+      throw new Error(`Failed to save events: ${updateError.message}`);
+    }
+    statuses.set(row.fingerprint, "updated");
+    saved.set(row.fingerprint, updated);
+  }
+
+  if (newRows.length > 0) {
+    // A concurrent save of the same events keeps whichever insert ran first
+    const { data: insertedEvents, error } = await supabase
+      .from("calendar_events")
+      .upsert(newRows, {
+        onConflict: "user_id,fingerprint",
+        ignoreDuplicates: true,
+      })
+      .select();
+
+    if (error) {
+      throw new Error(`Failed to save events: ${error.message}`);
+    }
+    insertedEvents.forEach((row) => saved.set(row.fingerprint, row));
+
+    const skipped = newRows.filter((row) => !saved.has(row.fingerprint));
+    if (skipped.length > 0) {
+      const { data, error: reloadError } = await supabase
+        .from("calendar_events")
+        .select("*")
+        .eq("user_id", userId)
+        .in(
+          "fingerprint",
+          skipped.map((row) => row.fingerprint)
+        );
+
+      if (reloadError) {
+        throw new Error(`Failed to load saved events: ${reloadError.message}`);
+      }
+      data.forEach((row) => {
+        saved.set(row.fingerprint, row);
+        statuses.set(row.fingerprint, "unchanged");
+      });
+    }
+  }
+
+  const results = rows.map((row, index) => ({
+    index: index,
+    status: statuses.get(row.fingerprint),
+    event: saved.get(row.fingerprint) || null,
+  }));
+  const count = (status) =>
+    [...statuses.values()].filter((value) => value === status).length;
+
+  return {
+    events: results.map((result) => result.event),
+    results: results,
+    createdCount: count("created"),
+    updatedCount: count("updated"),
+    unchangedCount: count("unchanged"),
+  };
+}
+
+/**
+ * Delete calendar_events rows and the Google events linked to them. A row is
+ * only deleted once its Google event is gone; rows whose Google event could
+ * not be removed are kept and reported, so they can be deleted again later.
+ * @param {string} userId - User ID
+ * @param {Object[]} events - calendar_events rows
+ * @returns {Promise<Object>} Deleted count and Google failures
+ */
+async function deleteCalendarEvents(userId, events) {
+  let googleErrors = [];
+  try {
+    googleErrors = (await deleteEventsFromGoogle(userId, events)).filter(
+      (result) => result.status === "failed"
+    );
+  } catch (googleError) {
+    console.error("Error deleting events from Google Calendar:", googleError);
+    googleErrors = events
+      .filter((event) => event.google_event_id)
+      .map((event) => ({
+        eventId: event.id,
+        status: "failed",
+        error: googleError.message,
+      }));
+  }
+
+  const failedIds = new Set(googleErrors.map((result) => result.eventId));
+  const deletable = events.filter((event) => !failedIds.has(event.id));
+
+  let deletedCount = 0;
+  for (let i = 0; i < deletable.length; i += 100) {
+    const { data: deletedRows, error } = await supabase
+      .from("calendar_events")
+      .delete()
+      .eq("user_id", userId)
+      .in(
+        "id",
+        deletable.slice(i, i + 100).map((event) => event.id)
+      )
+      .select("id");
+
+    if (error) {
+      throw new Error(`Failed to delete events: ${error.message}`);
+    }
+    deletedCount += deletedRows.length;
+  }
+
+  return { deletedCount, googleErrors };
+}
+
+/**
+ * Fill in the fingerprint of events saved before fingerprints existed, so
+ * saving them again matches them instead of adding copies. Rows synced from
+ * Google are left alone. When older rows already duplicate each other, the
+ * first one gets the fingerprint and the rest are counted as duplicates.
+ * @param {number} [batchSize] - Rows loaded per query
+ * @returns {Promise<Object>} Scanned, updated and duplicate counts
+ */
+async function backfillEventFingerprints(batchSize = 100) {
+  let scannedCount = 0;
+  let updatedCount = 0;
+  let duplicateCount = 0;
+  let lastId = null;
+
+  for (;;) {
+    // Updated rows drop out of the filter, so page by id instead of offset
+    let query = supabase
+      .from("calendar_events")
+      .select("id, user_id, class_id, title, due_date, event_type")
+      .is("fingerprint", null)
+      .neq("event_type", "google_calendar")
+      .order("id", { ascending: true })
+      .limit(batchSize);
+    if (lastId !== null) {
+      query = query.gt("id", lastId);
+    }
+
+    const { data: rows, error } = await query;
+
+    if (error) {
+      throw new Error(`Failed to load events: ${error.message}`);
+    }
+
+    for (const row of rows) {
+      scannedCount++;
+
+      const { error: updateError } = await supabase
+        .from("calendar_events")
+        .update({ fingerprint: getEventFingerprint(row, row.class_id) })
+        .eq("id", row.id);
+
+      if (updateError && updateError.code === "23505") {
+        duplicateCount++;
+      } else if (updateError) {
+        throw new Error(
+          `Failed to fingerprint event ${row.id}: ${updateError.message}`
+        );
+      } else {
+        updatedCount++;
+      }
+    }
+
+    if (rows.length < batchSize) {
+      break;
+    }
+    lastId = rows[rows.length - 1].id;
+  }
+
+  return { scannedCount, updatedCount, duplicateCount };
+}
+
+module.exports = {
+  getEventFingerprint,
+  getChangedFields,
+  saveCalendarEvents,
+  deleteCalendarEvents,
+  backfillEventFingerprints,
+};
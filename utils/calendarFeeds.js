@@ -0,0 +1,146 @@
+const crypto = require("crypto");
+const { createClient } = require("@supabase/supabase-js");
+const { generateCalendarFeed } = require("./ics");
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+/**
+ * Hash a feed token for storage and lookup
+ * @param {string} token - Feed token
+ * @returns {string} Token hash
+ */
+function hashFeedToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+/**
+ * Create a feed with a new unguessable token
+ * @param {string} userId - User ID
+ * @param {Object} options - Feed options
+ * @param {string} [options.classId] - Limit the feed to one class
+ * @param {string} options.timeZone - IANA time zone for timed events
+ * @returns {Promise<Object>} Feed row and the raw token
+ */
+async function createFeed(userId, { classId, timeZone }) {
+  const token = crypto.randomBytes(32).toString("base64url");
+
+  const { data: feed, error } = await supabase
+    .from("calendar_feeds")
+    .insert({
+      user_id: userId,
+      class_id: classId || null,
+      token_hash: hashFeedToken(token),
+      timezone: timeZone,
+    })
+    .select("id, class_id, timezone, created_at")
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to create feed: ${error.message}`);
+  }
+
+  return { feed, token };
+}
+
+/**
+ * List a user's active feeds
+ * @param {string} userId - User ID
+ * @returns {Promise<Object[]>} Feed rows
+ */
+async function listFeeds(userId) {
+  const { data: feeds, error } = await supabase
+    .from("calendar_feeds")
+    .select("id, class_id, timezone, created_at, last_accessed_at")
+    .eq("user_id", userId)
+    .is("revoked_at", null)
+    .order("created_at", { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to load feeds: ${error.message}`);
+  }
+
+  return feeds;
+}
+
+/**
+ * Revoke a feed so its URL stops working
+ * @param {string} userId - User ID
+ * @param {string} feedId - Feed ID
+ * @returns {Promise<boolean>} Whether an active feed was revoked
+ */
+async function revokeFeed(userId, feedId) {
+  const { data, error } = await supabase
+    .from("calendar_feeds")
+    .update({ revoked_at: new Date().toISOString() })
+    .eq("id", feedId)
+    .eq("user_id", userId)
+    .is("revoked_at", null)
+    .select("id");
+
+  if (error) {
+    throw new Error(`Failed to revoke feed: ${error.message}`);
+  }
+
+  return data.length > 0;
+}
+
+/**
+ * Render the iCalendar document for a feed token
+ * @param {string} token - Feed token from the URL
+ * @returns {Promise<string|null>} iCalendar document, or null if not found
+ */
+async function renderFeed(token) {
+  const { data: feed, error } = await supabase
+    .from("calendar_feeds")
+    .select("*")
+    .eq("token_hash", hashFeedToken(token))
+    .is("revoked_at", null)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load feed: ${error.message}`);
+  }
+
+  if (!feed) {
+    return null;
+  }
+
+  let query = supabase
+    .from("calendar_events")
+    .select("*")
+    .eq("user_id", feed.user_id)
+    .is("archived_at", null)
+    .order("due_date", { ascending: true });
+
+  if (feed.class_id) {
+    query = query.eq("class_id", feed.class_id);
+  }
+
+  const { data: events, error: eventsError } = await query;
+
+  if (eventsError) {
+    throw new Error(`Failed to load feed events: ${eventsError.message}`);
+  }
+
+  await supabase
+    .from("calendar_feeds")
+    .update({ last_accessed_at: new Date().toISOString() })
+    .eq("id", feed.id);
+
+  return generateCalendarFeed({
+    name: feed.class_id ? "Law Bandit - Class Deadlines" : "Law Bandit",
+    timeZone: feed.timezone,
+    events: events,
+  });
+}
+
+module.exports = {
+  createFeed,
+  listFeeds,
+  revokeFeed,
+  renderFeed,
+};
@@ -0,0 +1,164 @@
+const { isValidDate, isValidTime } = require("./eventSchema");
+
+// RFC 5545 weekday codes, indexed like Date#getUTCDay
+const WEEKDAY_CODES = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+/**
+ * Turn a weekday name, abbreviation or RFC 5545 code into its index
+ * @param {string} day - e.g. "Monday", "Tues", "TH", "R"
+ * @returns {number} 0 for Sunday through 6 for Saturday, or -1
+ */
+function parseMeetingDay(day) {
+  const key = String(day || "")
+    .trim()
+    .toUpperCase();
+
+  // Registrar shorthand: M T W R F S U
+  const letters = { M: 1, T: 2, W: 3, R: 4, F: 5, S: 6, U: 0 };
+  if (key.length === 1) {
+    return key in letters ? letters[key] : -1;
+  }
+  if (WEEKDAY_CODES.includes(key)) {
+    return WEEKDAY_CODES.indexOf(key);
+  }
+
+  const names = ["SUN", "MON", "TUE", "WED", "THU", "FRI", "SAT"];
+  return names.indexOf(key.slice(0, 3));
+}
+
+/**
+ * Validate a class meeting pattern produced by the extractor
+ * @param {Object} meeting - Extracted meeting
+ * @returns {Object} Whether the meeting is valid and its errors
+ */
+function validateExtractedMeeting(meeting) {
+  if (!meeting || typeof meeting !== "object" || Array.isArray(meeting)) {
+    return { valid: false, errors: ["must be an object"] };
+  }
+
+  const errors = [];
+  if (typeof meeting.title !== "string" || !meeting.title.trim()) {
+    errors.push("title: must be a non-empty string");
+  }
+  if (
+    !Array.isArray(meeting.days) ||
+    meeting.days.length === 0 ||
+    meeting.days.some((day) => parseMeetingDay(day) === -1)
+  ) {
+    errors.push("days: must be a non-empty list of weekdays, e.g. MO, WE, FR");
+  }
+  if (!isValidTime(meeting.start_time)) {
+    errors.push("start_time: must be a 24-hour time in HH:MM format");
+  }
+  if (
+    meeting.end_time != null &&
+    !(isValidTime(meeting.end_time) && meeting.end_time > meeting.start_time)
+  ) {
+    errors.push("end_time: must be null or an HH:MM time after start_time");
+  }
+  ["start_date", "end_date"].forEach((field) => {
+    if (meeting[field] != null && !isValidDate(meeting[field])) {
+      errors.push(`${field}: must be null or a date in YYYY-MM-DD format`);
+    }
+  });
+  if (meeting.location != null && typeof meeting.location !== "string") {
+    errors.push("location: must be a string or null");
+  }
+  if (
+    typeof meeting.confidence_score !== "number" ||
+    !(meeting.confidence_score >= 0 && meeting.confidence_score <= 1)
+  ) {
+    errors.push("confidence_score: must be a number between 0 and 1");
+  }
+
+  return { valid: errors.length === 0, errors: errors };
+}
+
+/**
+ * Turn a class meeting pattern into one recurring calendar_events row. The
+ * series runs from the meeting's own dates or the term's, and skips term
+ * breaks and holidays that fall on a meeting day.
+ * @param {Object} meeting - Valid extracted meeting
+ * @param {Object} [term] - Term from parseTerm
+ * @returns {Object} Whether a series could be built, an error, and the row
+ */
+function buildMeetingSeries(meeting, term) {
+  const startDate = meeting.start_date || (term && term.startDate);
+  const endDate = meeting.end_date || (term && term.endDate);
+
+  if (!startDate || !endDate) {
+    return {
+      valid: false,
+      error: "Class meetings need start and end dates; send term dates",
+    };
+  }
+  if (startDate > endDate) {
+    return { valid: false, error: "Class meetings end before they start" };
+  }
+
+  const days = [...new Set(meeting.days.map(parseMeetingDay))].sort();
+  const addDays = (date, count) => {
+    const result = new Date(`${date}T00:00:00Z`);
+    result.setUTCDate(result.getUTCDate() + count);
+    return result.toISOString().split("T")[0];
+  };
+  const getWeekday = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+  // The first occurrence anchors the series
+  let firstDate = startDate;
+  while (firstDate <= endDate && !days.includes(getWeekday(firstDate))) {
+    firstDate = addDays(firstDate, 1);
+  }
+  if (firstDate > endDate) {
+    return {
+      valid: false,
+      error: "No class meetings fall between the start and end dates",
+    };
+  }
+
+  const exceptions = [];
+  ((term && term.breaks) || []).forEach((item) => {
+    for (
+      let date = item.startDate;
+      date <= item.endDate;
+      date = addDays(date, 1)
+    ) {
+      if (
+        date >= firstDate &&
+        date <= endDate &&
+        days.includes(getWeekday(date)) &&
+        !exceptions.includes(date)
+      ) {
+        exceptions.push(date);
+      }
+    }
+  });
+
+  return {
+    valid: true,
+    row: {
+      title: meeting.title.trim(),
+      description: meeting.description || null,
+      event_type: "class",
+      due_date: firstDate,
+      due_time: meeting.start_time,
+      end_time: meeting.end_time || null,
+      location: meeting.location || null,
+      recurrence_rule: [
+        "FREQ=WEEKLY",
+        `BYDAY=${days.map((day) => WEEKDAY_CODES[day]).join(",")}`,
+        `UNTIL=${endDate.replace(/-/g, "")}`,
+      ].join(";"),
+      recurrence_exceptions: exceptions.sort(),
+      confidence_score: meeting.confidence_score,
+      source_text: meeting.source_text || null,
+      source_page: meeting.source_page || null,
+    },
+  };
+}
+
+module.exports = {
+  parseMeetingDay,
+  validateExtractedMeeting,
+  buildMeetingSeries,
+};
@@ -0,0 +1,298 @@
+const { createClient } = require("@supabase/supabase-js");
+const { isValidTime, isValidUuid } = require("./eventSchema");
+const { parseMeetingDay } = require("./classMeetings");
+const { parseTerm } = require("./termCalendar");
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Fields a user may set when creating or updating a class
+const CLASS_FIELDS = [
+  "name",
+  "professor",
+  "term",
+  "meeting_pattern",
+  "color",
+  "google_calendar_id",
+];
+
+/**
+ * Pick the class fields out of a request body
+ * @param {Object} body - Request body
+ * @returns {Object} Class fields
+ */
+function pickClassFields(body) {
+  const fields = {};
+  CLASS_FIELDS.forEach((field) => {
+    if (body && body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  });
+  return fields;
+}
+
+/**
+ * Validate class fields. Only the fields present are checked.
+ * @param {Object} fields - Class fields
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.requireName] - Reject a missing name
+ * @returns {string[]} Errors
+ */
+function validateClassFields(fields, { requireName = false } = {}) {
+  const errors = [];
+
+  if (
+    (requireName || fields.name !== undefined) &&
+    (typeof fields.name !== "string" || !fields.name.trim())
+  ) {
+    errors.push("name: must be a non-empty string");
+  }
+  ["professor", "google_calendar_id"].forEach((field) => {
+    if (fields[field] != null && typeof fields[field] !== "string") {
+      errors.push(`${field}: must be a string or null`);
+    }
+  });
+  if (fields.color != null && !/^#[0-9a-f]{6}$/i.test(fields.color)) {
+    errors.push("color: must be null or a hex color like #1a73e8");
+  }
+  if (fields.term != null) {
+    const parsed = parseTerm(fields.term);
+    if (!parsed.valid) {
+      errors.push(parsed.error);
+    }
+  }
+
+  const pattern = fields.meeting_pattern;
+  if (pattern != null) {
+    if (typeof pattern !== "object" || Array.isArray(pattern)) {
+      errors.push("meeting_pattern: must be an object or null");
+    } else {
+      if (
+        !Array.isArray(pattern.days) ||
+        pattern.days.length === 0 ||
+        pattern.days.some((day) => parseMeetingDay(day) === -1)
+      ) {
+        errors.push(
+          "meeting_pattern.days: must be a non-empty list of weekdays, e.g. MO, WE, FR"
+        );
+      }
+      if (!isValidTime(pattern.start_time)) {
+        errors.push(
+          "meeting_pattern.start_time: must be a 24-hour time in HH:MM format"
+        );
+      }
+      if (
+        pattern.end_time != null &&
+        !(
+          isValidTime(pattern.end_time) && pattern.end_time > pattern.start_time
+        )
+      ) {
+        errors.push(
+          "meeting_pattern.end_time: must be null or an HH:MM time after start_time"
+        );
+      }
+      if (pattern.location != null && typeof pattern.location !== "string") {
+        errors.push("meeting_pattern.location: must be a string or null");
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Turn validated class fields into column values
+ * @param {Object} fields - Class fields
+ * @returns {Object} Partial classes row
+ */
+function toClassRow(fields) {
+  const row = { ...fields };
+  if (typeof row.name === "string") {
+    row.name = row.name.trim();
+  }
+  // Terms may arrive as JSON strings from multipart forms
+  if (typeof row.term === "string") {
+    row.term = JSON.parse(row.term);
+  }
+  return row;
+}
+
+/**
+ * Create a class
+ * @param {string} userId - User ID
+ * @param {Object} fields - Class fields
+ * @returns {Promise<Object>} Whether the fields were valid, an error, and the
+ * new class
+ */
+async function createClass(userId, fields) {
+  const errors = validateClassFields(fields, { requireName: true });
+  if (errors.length > 0) {
+    return { valid: false, error: errors.join("; ") };
+  }
+
+  const { data, error } = await supabase
+    .from("classes")
+    .insert({
+      ...toClassRow(fields),
+      user_id: userId,
+      updated_at: new Date().toISOString(),
+    })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to create class: ${error.message}`);
+  }
+
+  return { valid: true, class: data };
+}
+
+/**
+ * List a user's classes by name
+ * @param {string} userId - User ID
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.includeArchived] - Include archived classes
+ * @returns {Promise<Object[]>} Classes
+ */
+async function listClasses(userId, { includeArchived = false } = {}) {
+  let query = supabase
+    .from("classes")
+    .select("*")
+    .eq("user_id", userId)
+    .order("name", { ascending: true });
+
+  if (!includeArchived) {
+    query = query.is("archived_at", null);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw new Error(`Failed to load classes: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Get one of a user's classes
+ * @param {string} userId - User ID
+ * @param {string} classId - Class ID
+ * @returns {Promise<Object|null>} Class
+ */
+async function getClass(userId, classId) {
+  // IDs that aren't UUIDs can't match, and Postgres would reject them
+  if (!isValidUuid(classId)) {
+    return null;
+  }
+
+  const { data, error } = await supabase
+    .from("classes")
+    .select("*")
+    .eq("id", classId)
+    .eq("user_id", userId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load class: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Update a class
+ * @param {string} userId - User ID
+ * @param {string} classId - Class ID
+ * @param {Object} fields - Class fields to change
+ * @returns {Promise<Object>} Whether the fields were valid, an error, and the
+ * updated class (null when no class matched)
+ */
+async function updateClass(userId, classId, fields) {
+  const errors = validateClassFields(fields);
+  if (errors.length > 0) {
+    return { valid: false, error: errors.join("; ") };
+  }
+  if (!isValidUuid(classId)) {
+    return { valid: true, class: null };
+  }
+
+  const { data, error } = await supabase
+    .from("classes")
+    .update({ ...toClassRow(fields), updated_at: new Date().toISOString() })
+    .eq("id", classId)
+    .eq("user_id", userId)
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to update class: ${error.message}`);
+  }
+
+  return { valid: true, class: data };
+}
+
+/**
+ * Archive a class and its events, or restore them. Events are archived with
+ * the class's archived_at so restoring leaves separately archived events
+ * alone.
+ * @param {string} userId - User ID
+ * @param {string} classId - Class ID
+ * @param {boolean} archived - Archive (true) or restore (false)
+ * @returns {Promise<Object|null>} Class and the number of events changed, or
+ * null when no class matched
+ */
+async function setClassArchived(userId, classId, archived) {
+  const existing = await getClass(userId, classId);
+  if (!existing) {
+    return null;
+  }
+  if (!!existing.archived_at === archived) {
+    return { class: existing, eventCount: 0 };
+  }
+
+  const archivedAt = archived ? new Date().toISOString() : null;
+
+  let eventQuery = supabase
+    .from("calendar_events")
+    .update({ archived_at: archivedAt })
+    .eq("user_id", userId)
+    .eq("class_id", classId);
+  eventQuery = archived
+    ? eventQuery.is("archived_at", null)
+    : eventQuery.eq("archived_at", existing.archived_at);
+
+  const { data: events, error: eventsError } = await eventQuery.select("id");
+
+  if (eventsError) {
+    throw new Error(`Failed to archive class events: ${eventsError.message}`);
+  }
+
+  const { data, error } = await supabase
+    .from("classes")
+    .update({ archived_at: archivedAt, updated_at: new Date().toISOString() })
+    .eq("id", classId)
+    .eq("user_id", userId)
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to archive class: ${error.message}`);
+  }
+
+  return { class: data, eventCount: events.length };
+}
+
+module.exports = {
+  CLASS_FIELDS,
+  pickClassFields,
+  validateClassFields,
+  createClass,
+  listClasses,
+  getClass,
+  updateClass,
+  setClassArchived,
+};
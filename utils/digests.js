@@ -0,0 +1,401 @@
+const nodemailer = require("nodemailer");
+const { createClient } = require("@supabase/supabase-js");
+const { EVENT_TYPE_CATEGORIES, getZonedParts } = require("./ics");
+const { getUserPreferences } = require("./userPreferences");
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Days covered by each digest, starting today in the user's time zone
+const DIGEST_DAYS = { daily: 1, weekly: 7 };
+const DIGEST_FREQUENCIES = Object.keys(DIGEST_DAYS);
+
+// Order of event types within a class
+const TYPE_ORDER = [
+  "exam",
+  "assignment",
+  "reading",
+  "other",
+  "google_calendar",
+];
+
+let transport = null;
+
+/**
+ * Get the SMTP transport configured by SMTP_* environment variables. Point
+ * SMTP_HOST/SMTP_PORT at a local catcher such as MailHog in development.
+ * @returns {Object} Nodemailer transport
+ */
+function getMailTransport() {
+  if (!transport) {
+    transport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST || "localhost",
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+  }
+  return transport;
+}
+
+/**
+ * Get the dates a digest covers
+ * @param {string} frequency - daily or weekly
+ * @param {Date} now - Current time
+ * @param {string} timeZone - IANA time zone of the user
+ * @returns {Object} start and end dates (YYYY-MM-DD, inclusive)
+ */
+function getDigestPeriod(frequency, now, timeZone) {
+  const parts = getZonedParts(now, timeZone);
+  const start = new Date(Date.UTC(parts.year, parts.month - 1, parts.day));
+  const end = new Date(start);
+  end.setUTCDate(end.getUTCDate() + DIGEST_DAYS[frequency] - 1);
+
+  return {
+    start: start.toISOString().split("T")[0],
+    end: end.toISOString().split("T")[0],
+  };
+}
+
+/**
+ * Group upcoming events by class and then by event type
+ * @param {Object[]} events - calendar_events rows, sorted by date
+ * @param {Object[]} classes - The user's classes
+ * @returns {Object[]} Class groups with type groups of events
+ */
+function groupDigestEvents(events, classes) {
+  const classNames = new Map(classes.map((item) => [item.id, item.name]));
+  const groups = new Map();
+
+  events.forEach((event) => {
+    const classId = classNames.has(event.class_id) ? event.class_id : null;
+    if (!groups.has(classId)) {
+      groups.set(classId, {
+        classId: classId,
+        className: classId ? classNames.get(classId) : "Other deadlines",
+        types: new Map(),
+      });
+    }
+
+    const types = groups.get(classId).types;
+    if (!types.has(event.event_type)) {
+      types.set(event.event_type, {
+        eventType: event.event_type,
+        label: EVENT_TYPE_CATEGORIES[event.event_type] || "Other",
+        events: [],
+      });
+    }
+    types.get(event.event_type).events.push(event);
+  });
+
+  const typeRank = (type) =>
+    TYPE_ORDER.includes(type) ? TYPE_ORDER.indexOf(type) : TYPE_ORDER.length;
+
+  // Classes by name, with unassigned events last
+  return [...groups.values()]
+    .sort((a, b) =>
+      !a.classId || !b.classId
+        ? !a.classId - !b.classId
+        : a.className.localeCompare(b.className)
+    )
+    .map((group) => ({
+      ...group,
+      types: [...group.types.values()].sort(
+        (a, b) => typeRank(a.eventType) - typeRank(b.eventType)
+      ),
+    }));
+}
+
+/**
+ * Format an event's due date and time for an email
+ * @param {Object} event - calendar_events row
+ * @returns {string} e.g. "Mon, Mar 2 at 9:00 AM"
+ */
+function formatDue(event) {
+  const date = new Date(`${event.due_date}T00:00:00Z`).toLocaleDateString(
+    "en-US",
+    { timeZone: "UTC", weekday: "short", month: "short", day: "numeric" }
+  );
+  if (!event.due_time) {
+    return date;
+  }
+
+  const [hour, minute] = event.due_time.split(":").map(Number);
+  const suffix = hour < 12 ? "AM" : "PM";
+  return `${date} at ${hour % 12 || 12}:${String(minute).padStart(2, "0")} ${suffix}`;
+}
+
+/**
+ * Escape text for HTML
+ * @param {string} value - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value || "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Render a digest as an email
+ * @param {Object} digest - Digest
+ * @param {string} digest.frequency - daily or weekly
+ * @param {Object} digest.period - start and end dates
+ * @param {Object[]} digest.groups - Groups from groupDigestEvents
+ * @returns {Object} subject, text and html
+ */
+function renderDigest({ frequency, period, groups }) {
+  const count = groups.reduce(
+    (total, group) =>
+      total + group.types.reduce((sum, type) => sum + type.events.length, 0),
+    0
+  );
+  const heading =
+    frequency === "daily"
+      ? "Due today"
+      : `Due ${formatDue({ due_date: period.start })} – ${formatDue({
+          due_date: period.end,
+        })}`;
+  const subject = `${heading}: ${count} ${count === 1 ? "item" : "items"}`;
+
+  const text = [heading, ""];
+  const html = [`<h1>${escapeHtml(heading)}</h1>`];
+
+  groups.forEach((group) => {
+    text.push(group.className, "=".repeat(group.className.length));
+    html.push(`<h2>${escapeHtml(group.className)}</h2>`);
+
+    group.types.forEach((type) => {
+      text.push(`${type.label}:`);
+      html.push(`<h3>${escapeHtml(type.label)}</h3>`, "<ul>");
+
+      type.events.forEach((event) => {
+        text.push(`  - ${event.title} (${formatDue(event)})`);
+        html.push(
+          `<li><strong>${escapeHtml(event.title)}</strong> &middot; ${escapeHtml(
+            formatDue(event)
+          )}</li>`
+        );
+      });
+
+      text.push("");
+      html.push("</ul>");
+    });
+  });
+
+  return { subject, text: text.join("\n"), html: html.join("\n") };
+}
+
+/**
+ * Build a user's digest for the current period
+ * @param {string} userId - User ID
+ * @param {string} frequency - daily or weekly
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Object>} Period, events, groups and rendered email
+ */
+async function buildDigest(userId, frequency, now = new Date()) {
+  const { timeZone } = await getUserPreferences(userId);
+  const period = getDigestPeriod(frequency, now, timeZone);
+
+  const { data: events, error } = await supabase
+    .from("calendar_events")
+    .select("*")
+    .eq("user_id", userId)
+    .eq("completed", false)
+    .is("archived_at", null)
+    .neq("event_type", "class")
+    .gte("due_date", period.start)
+    .lte("due_date", period.end)
+    .order("due_date", { ascending: true })
+    .order("due_time", { ascending: true, nullsFirst: true });
+
+  if (error) {
+    throw new Error(`Failed to load digest events: ${error.message}`);
+  }
+
+  const { data: classes, error: classesError } = await supabase
+    .from("classes")
+    .select("id, name")
+    .eq("user_id", userId);
+
+  if (classesError) {
+    throw new Error(`Failed to load classes: ${classesError.message}`);
+  }
+
+  const groups = groupDigestEvents(events, classes);
+
+  return {
+    frequency: frequency,
+    period: period,
+    events: events,
+    groups: groups,
+    email: renderDigest({ frequency, period, groups }),
+  };
+}
+
+/**
+ * List a user's digest subscriptions
+ * @param {string} userId - User ID
+ * @returns {Promise<Object[]>} Subscriptions
+ */
+async function listDigestSubscriptions(userId) {
+  const { data, error } = await supabase
+    .from("digest_subscriptions")
+    .select("frequency, email, enabled, updated_at")
+    .eq("user_id", userId);
+
+  if (error) {
+    throw new Error(`Failed to load digest subscriptions: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Opt in to or out of a digest
+ * @param {string} userId - User ID
+ * @param {string} frequency - daily or weekly
+ * @param {Object} options - Subscription
+ * @param {string} options.email - Address to send to
+ * @param {boolean} options.enabled - Whether to send the digest
+ * @returns {Promise<Object>} Subscription
+ */
+async function setDigestSubscription(userId, frequency, { email, enabled }) {
+  const { data, error } = await supabase
+    .from("digest_subscriptions")
+    .upsert(
+      {
+        user_id: userId,
+        frequency: frequency,
+        email: email,
+        enabled: enabled,
+        updated_at: new Date().toISOString(),
+      },
+      { onConflict: "user_id,frequency" }
+    )
+    .select("frequency, email, enabled, updated_at")
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to save digest subscription: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Send a subscriber's digest unless it was already sent this period or
+ * nothing is due. The delivery is recorded before sending and removed again
+ * if sending fails, so a retry sends at most one copy.
+ * @param {Object} subscription - digest_subscriptions row
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Object>} Delivery status
+ */
+async function sendDigest(subscription, now = new Date()) {
+  const { user_id: userId, frequency, email } = subscription;
+  const digest = await buildDigest(userId, frequency, now);
+
+  if (digest.events.length === 0) {
+    return { userId, status: "empty" };
+  }
+
+  const { data: delivery, error } = await supabase
+    .from("digest_deliveries")
+    .upsert(
+      {
+        user_id: userId,
+        frequency: frequency,
+        period_start: digest.period.start,
+        period_end: digest.period.end,
+        email: email,
+        event_ids: digest.events.map((event) => event.id),
+      },
+      { onConflict: "user_id,frequency,period_start", ignoreDuplicates: true }
+    )
+    .select("id")
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to record digest: ${error.message}`);
+  }
+
+  if (!delivery) {
+    return { userId, status: "already_sent" };
+  }
+
+  try {
+    const info = await getMailTransport().sendMail({
+      from: process.env.DIGEST_FROM || "Law Bandit <no-reply@law-bandit.app>",
+      to: email,
+      subject: digest.email.subject,
+      text: digest.email.text,
+      html: digest.email.html,
+    });
+
+    await supabase
+      .from("digest_deliveries")
+      .update({ message_id: info.messageId })
+      .eq("id", delivery.id);
+  } catch (sendError) {
+    await supabase.from("digest_deliveries").delete().eq("id", delivery.id);
+    throw sendError;
+  }
+
+  return { userId, status: "sent", eventCount: digest.events.length };
+}
+
+/**
+ * Send the digest to every enabled subscriber of a frequency (run by cron)
+ * @param {string} frequency - daily or weekly
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Object>} Counts and failures
+ */
+async function sendDueDigests(frequency, now = new Date()) {
+  const { data: subscriptions, error } = await supabase
+    .from("digest_subscriptions")
+    .select("*")
+    .eq("frequency", frequency)
+    .eq("enabled", true);
+
+  if (error) {
+    throw new Error(`Failed to load digest subscriptions: ${error.message}`);
+  }
+
+  let sentCount = 0;
+  const failures = [];
+  for (const subscription of subscriptions) {
+    try {
+      const result = await sendDigest(subscription, now);
+      if (result.status === "sent") {
+        sentCount++;
+      }
+    } catch (sendError) {
+      console.error(
+        `Error sending ${frequency} digest to ${subscription.user_id}:`,
+        sendError
+      );
+      failures.push({ userId: subscription.user_id, error: sendError.message });
+    }
+  }
+
+  return { sentCount, failures };
+}
+
+module.exports = {
+  DIGEST_FREQUENCIES,
+  getDigestPeriod,
+  groupDigestEvents,
+  renderDigest,
+  buildDigest,
+  listDigestSubscriptions,
+  setDigestSubscription,
+  sendDigest,
+  sendDueDigests,
+};
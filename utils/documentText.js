@@ -0,0 +1,180 @@
+// The package entry point runs a debug script when it has no parent module
+const pdfParse = require("pdf-parse/lib/pdf-parse.js");
+const JSZip = require("jszip");
+
+const PDF_MIME_TYPE = "application/pdf";
+const DOCX_MIME_TYPE =
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+
+/**
+ * Get the supported document type of an upload
+ * @param {Object} file - Multer file
+ * @returns {string|null} "pdf", "docx" or null
+ */
+function getDocumentType(file) {
+  const name = (file.originalname || "").toLowerCase();
+
+  if (file.mimetype === PDF_MIME_TYPE || name.endsWith(".pdf")) {
+    return "pdf";
+  }
+  if (file.mimetype === DOCX_MIME_TYPE || name.endsWith(".docx")) {
+    return "docx";
+  }
+  return null;
+}
+
+/**
+ * Extract the text of each page of a PDF
+ * @param {Buffer} buffer - PDF contents
+ * @returns {Promise<Object[]>} Pages with pageNumber and text
+ */
+async function extractPdfPages(buffer) {
+  const pages = [];
+
+  await pdfParse(buffer, {
+    pagerender: async (pageData) => {
+      const textContent = await pageData.getTextContent();
+      let lastY;
+      let text = "";
+
+      // Start a new line whenever the baseline moves
+      for (const item of textContent.items) {
+        if (lastY !== undefined && lastY !== item.transform[5]) {
+          text += "\n";
+        }
+        text += item.str;
+        lastY = item.transform[5];
+      }
+
+      pages.push({ pageNumber: pageData.pageIndex + 1, text: text });
+      return text;
+    },
+  });
+
+  return pages.sort((a, b) => a.pageNumber - b.pageNumber);
+}
+
+/**
+ * Decode the XML entities Word uses in text runs
+ * @param {string} text - XML text
+ * @returns {string} Decoded text
+ */
+function decodeXmlEntities(text) {
+  const named = { lt: "<", gt: ">", quot: '"', apos: "'", amp: "&" };
+
+  // One pass, so "&amp;lt;" stays "&lt;"
+  return text.replace(
+    /&(?:#x([0-9a-f]+)|#(\d+)|(lt|gt|quot|apos|amp));/gi,
+    (match, hex, decimal, name) => {
+      if (name) {
+        return named[name.toLowerCase()];
+      }
+      const codePoint = hex ? parseInt(hex, 16) : Number(decimal);
+      return codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : match;
+    }
+  );
+}
+
+/**
+ * Extract the text of each page of a DOCX. Word only stores page breaks it
+ * has rendered or that were inserted by hand, so pages follow those markers.
+ * @param {Buffer} buffer - DOCX contents
+ * @returns {Promise<Object[]>} Pages with pageNumber and text
+ */
+async function extractDocxPages(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const documentFile = zip.file("word/document.xml");
+
+  if (!documentFile) {
+    throw new Error("DOCX file has no document body");
+  }
+
+  const xml = await documentFile.async("string");
+  const pageMarker = "\u000c";
+
+  const text = decodeXmlEntities(
+    xml
+      .replace(/<w:br\b[^>]*w:type="page"[^>]*\/>/g, pageMarker)
+      .replace(/<w:lastRenderedPageBreak\/>/g, pageMarker)
+      .replace(/<w:tab\/>/g, "\t")
+      .replace(/<w:br\b[^>]*\/>/g, "\n")
+      .replace(/<\/w:p>/g, "\n")
+      .replace(/<[^>]+>/g, "")
+  );
+
+  // A manual break is usually followed by Word's rendered break marker
+  return text
+    .replace(/\u000c\s*(?=\u000c)/g, "")
+    .split(pageMarker)
+    .map((pageText, index) => ({
+      pageNumber: index + 1,
+      text: pageText.trim(),
+    }))
+    .filter((page, index, pages) => page.text || index < pages.length - 1);
+}
+
+/**
+ * Extract page-separated text from an uploaded syllabus
+ * @param {Object} file - Multer file
+ * @returns {Promise<Object[]>} Pages with pageNumber and text
+ */
+async function extractDocumentPages(file) {
+  const type = getDocumentType(file);
+
+  if (type === "pdf") {
+    return extractPdfPages(file.buffer);
+  }
+  if (type === "docx") {
+    return extractDocxPages(file.buffer);
+  }
+  throw new Error("Unsupported file type; upload a PDF or DOCX file");
+}
+
+/**
+ * Join pages into a single text with page markers the model can cite
+ * @param {Object[]} pages - Pages with pageNumber and text
+ * @returns {string} Document text
+ */
+function formatPagesForPrompt(pages) {
+  return pages
+    .map((page) => `[Page ${page.pageNumber}]\n${page.text}`)
+    .join("\n\n");
+}
+
+/**
+ * Normalize text for fuzzy source matching
+ * @param {string} text - Text
+ * @returns {string} Lowercased text with collapsed whitespace
+ */
+function normalizeForMatch(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Find the page a quoted source text appears on
+ * @param {Object[]} pages - Pages with pageNumber and text
+ * @param {string} sourceText - Quoted source text
+ * @returns {number|null} Page number
+ */
+function findSourcePage(pages, sourceText) {
+  const needle = normalizeForMatch(sourceText);
+
+  if (!needle) {
+    return null;
+  }
+
+  const page = pages.find((candidate) =>
+    normalizeForMatch(candidate.text).includes(needle)
+  );
+  return page ? page.pageNumber : null;
+}
+
+module.exports = {
+  getDocumentType,
+  extractDocumentPages,
+  formatPagesForPrompt,
+  findSourcePage,
+};
@@ -0,0 +1,304 @@
+const { createClient } = require("@supabase/supabase-js");
+const { validateEventFields } = require("./eventSchema");
+const { saveCalendarEvents } = require("./calendarEvents");
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Fields a reviewer may change before approving a draft
+const EDITABLE_DRAFT_FIELDS = [
+  "title",
+  "description",
+  "event_type",
+  "due_date",
+  "due_time",
+  "end_time",
+  "location",
+];
+
+/**
+ * Pick the editable draft fields out of a request body
+ * @param {Object} body - Request body
+ * @returns {Object} Edits
+ */
+function pickDraftEdits(body) {
+  const edits = {};
+  EDITABLE_DRAFT_FIELDS.forEach((field) => {
+    if (body && body[field] !== undefined) {
+      edits[field] = body[field];
+    }
+  });
+  return edits;
+}
+
+/**
+ * Get the reasons a draft can't be approved yet
+ * @param {Object} draft - event_drafts row
+ * @returns {string[]} Errors
+ */
+function getApprovalErrors(draft) {
+  const errors = validateEventFields(draft);
+  if (!draft.due_date) {
+    errors.push(
+      `due_date: set a date before approving${
+        draft.date_text ? ` (syllabus says "${draft.date_text}")` : ""
+      }`
+    );
+  }
+  return errors;
+}
+
+/**
+ * Store extracted events as pending drafts
+ * @param {string} userId - User ID
+ * @param {Object[]} events - Extracted events
+ * @param {string} [classId] - Class the events belong to
+ * @returns {Promise<Object[]>} Inserted drafts
+ */
+async function createEventDrafts(userId, events, classId) {
+  const draftsToInsert = events.map((event) => ({
+    user_id: userId,
+    class_id: classId || null,
+    title: event.title,
+    description: event.description || null,
+    event_type: event.event_type,
+    due_date: event.due_date || null,
+    date_text: event.date_text || null,
+    date_status: event.date_status || null,
+    due_time: event.due_time || null,
+    end_time: event.end_time || null,
+    location: event.location || null,
+    recurrence_rule: event.recurrence_rule || null,
+    recurrence_exceptions: event.recurrence_exceptions || null,
+    confidence_score: event.confidence_score,
+    source_text: event.source_text || null,
+    source_page: event.source_page || null,
+    status: "pending",
+  }));
+
+  const { data: drafts, error } = await supabase
+    .from("event_drafts")
+    .insert(draftsToInsert)
+    .select();
+
+  if (error) {
+    throw new Error(`Failed to save drafts: ${error.message}`);
+  }
+
+  return drafts;
+}
+
+/**
+ * List a user's drafts, least confident first
+ * @param {string} userId - User ID
+ * @param {Object} [options] - Filters
+ * @param {string} [options.status] - pending, approved or rejected
+ * @param {string} [options.classId] - Limit to one class
+ * @returns {Promise<Object[]>} Drafts
+ */
+async function listEventDrafts(userId, { status = "pending", classId } = {}) {
+  let query = supabase
+    .from("event_drafts")
+    .select("*")
+    .eq("user_id", userId)
+    .eq("status", status)
+    .order("confidence_score", { ascending: true, nullsFirst: true })
+    .order("due_date", { ascending: true });
+
+  if (classId) {
+    query = query.eq("class_id", classId);
+  }
+
+  const { data: drafts, error } = await query;
+
+  if (error) {
+    throw new Error(`Failed to load drafts: ${error.message}`);
+  }
+
+  return drafts;
+}
+
+/**
+ * Edit a pending draft
+ * @param {string} userId - User ID
+ * @param {string} draftId - Draft ID
+ * @param {Object} edits - Editable fields to change
+ * @returns {Promise<Object>} Whether the edits were valid, an error, and the
+ * updated draft (null when no pending draft matched)
+ */
+async function updateEventDraft(userId, draftId, edits) {
+  const errors = validateEventFields(edits);
+  if (errors.length > 0) {
+    return { valid: false, error: errors.join("; ") };
+  }
+
+  const { data: draft, error } = await supabase
+    .from("event_drafts")
+    .update({ ...edits, updated_at: new Date().toISOString() })
+    .eq("id", draftId)
+    .eq("user_id", userId)
+    .eq("status", "pending")
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to update draft: ${error.message}`);
+  }
+
+  return { valid: true, draft: draft };
+}
+
+/**
+ * Approve pending drafts, copying each into calendar_events. Drafts are
+ * claimed before they are copied so approving twice can't save twice.
+ * @param {string} userId - User ID
+ * @param {string[]} draftIds - Draft IDs
+ * @returns {Promise<Object[]>} Per-draft results
+ */
+async function approveEventDrafts(userId, draftIds) {
+  const { data: drafts, error } = await supabase
+    .from("event_drafts")
+    .select("*")
+    .eq("user_id", userId)
+    .eq("status", "pending")
+    .in("id", draftIds);
+
+  if (error) {
+    throw new Error(`Failed to load drafts: ${error.message}`);
+  }
+
+  const results = new Map(
+    draftIds.map((id) => [
+      id,
+      { draftId: id, status: "not_found", error: "Pending draft not found" },
+    ])
+  );
+
+  const approvable = [];
+  drafts.forEach((draft) => {
+    const errors = getApprovalErrors(draft);
+    if (errors.length > 0) {
+      results.set(draft.id, {
+        draftId: draft.id,
+        status: "failed",
+        error: errors.join("; "),
+      });
+    } else {
+      approvable.push(draft);
+    }
+  });
+
+  if (approvable.length > 0) {
+    const { data: claimed, error: claimError } = await supabase
+      .from("event_drafts")
+      .update({
+        status: "approved",
+        reviewed_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+      })
+      .eq("user_id", userId)
+      .eq("status", "pending")
+      .in(
+        "id",
+        approvable.map((draft) => draft.id)
+      )
+      .select("id");
+
+    if (claimError) {
+      throw new Error(`Failed to approve drafts: ${claimError.message}`);
+    }
+
+    const claimedIds = new Set(claimed.map((draft) => draft.id));
+    const byClass = new Map();
+    approvable
+      .filter((draft) => claimedIds.has(draft.id))
+      .forEach((draft) => {
+        const group = byClass.get(draft.class_id) || [];
+        group.push(draft);
+        byClass.set(draft.class_id, group);
+      });
+
+    for (const [classId, group] of byClass) {
+      let savedEvents;
+      try {
+        ({ events: savedEvents } = await saveCalendarEvents(
+          userId,
+          group,
+          classId
+        ));
+      } catch (saveError) {
+        // Put the drafts back in the queue so they can be approved again
+        await supabase
+          .from("event_drafts")
+          .update({ status: "pending", reviewed_at: null })
+          .eq("user_id", userId)
+          .in(
+            "id",
+            group.map((draft) => draft.id)
+          );
+        group.forEach((draft) =>
+          results.set(draft.id, {
+            draftId: draft.id,
+            status: "failed",
+            error: saveError.message,
+          })
+        );
+        continue;
+      }
+
+      for (let i = 0; i < group.length; i++) {
+        await supabase
+          .from("event_drafts")
+          .update({ calendar_event_id: savedEvents[i].id })
+          .eq("id", group[i].id);
+        results.set(group[i].id, {
+          draftId: group[i].id,
+          status: "approved",
+          event: savedEvents[i],
+        });
+      }
+    }
+  }
+
+  return draftIds.map((id) => results.get(id));
+}
+
+/**
+ * Reject pending drafts so they leave the review queue
+ * @param {string} userId - User ID
+ * @param {string[]} draftIds - Draft IDs
+ * @returns {Promise<string[]>} IDs of the drafts that were rejected
+ */
+async function rejectEventDrafts(userId, draftIds) {
+  const { data, error } = await supabase
+    .from("event_drafts")
+    .update({
+      status: "rejected",
+      reviewed_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+    })
+    .eq("user_id", userId)
+    .eq("status", "pending")
+    .in("id", draftIds)
+    .select("id");
+
+  if (error) {
+    throw new Error(`Failed to reject drafts: ${error.message}`);
+  }
+
+  return data.map((draft) => draft.id);
+}
+
+module.exports = {
+  EDITABLE_DRAFT_FIELDS,
+  pickDraftEdits,
+  getApprovalErrors,
+  createEventDrafts,
+  listEventDrafts,
+  updateEventDraft,
+  approveEventDrafts,
+  rejectEventDrafts,
+};
@@ -0,0 +1,202 @@
+// Event types the extractor may produce
+const EXTRACTED_EVENT_TYPES = ["assignment", "exam", "reading", "other"];
+
+// Event types a user may give a saved event or draft
+const EDITABLE_EVENT_TYPES = [...EXTRACTED_EVENT_TYPES, "class"];
+
+/**
+ * Check whether a value is a real calendar date in YYYY-MM-DD format
+ * @param {string} value - Date
+ * @returns {boolean} Whether the date is valid
+ */
+function isValidDate(value) {
+  if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+  // Reject dates like 2025-02-30 that Date would roll over
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().startsWith(value);
+}
+
+/**
+ * Check whether a value is a 24-hour time in HH:MM format
+ * @param {string} value - Time
+ * @returns {boolean} Whether the time is valid
+ */
+function isValidTime(value) {
+  return typeof value === "string" && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+}
+
+/**
+ * Check whether a value is a UUID, such as a class ID
+ * @param {string} value - Value
+ * @returns {boolean} Whether the value is a UUID
+ */
+function isValidUuid(value) {
+  return (
+    typeof value === "string" &&
+    /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(
+      value
+    )
+  );
+}
+
+/**
+ * Normalize an event title for matching: case, punctuation and spacing are
+ * ignored, so "Midterm Exam!" and "midterm  exam" match. Used both to merge
+ * extracted duplicates and to fingerprint saved events, so the two agree.
+ * @param {string} title - Event title
+ * @returns {string} Normalized title
+ */
+function normalizeTitle(title) {
+  return String(title || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+/**
+ * Validate fields of a saved event or draft that a user is editing. Only the
+ * fields present are checked.
+ * @param {Object} fields - Event fields
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.requireDate] - Reject a null due_date
+ * @returns {string[]} Errors
+ */
+function validateEventFields(fields, { requireDate = false } = {}) {
+  const errors = [];
+
+  if (
+    fields.title !== undefined &&
+    (typeof fields.title !== "string" || !fields.title.trim())
+  ) {
+    errors.push("title: must be a non-empty string");
+  }
+  if (
+    fields.event_type !== undefined &&
+    !EDITABLE_EVENT_TYPES.includes(fields.event_type)
+  ) {
+    errors.push(
+      `event_type: must be one of ${EDITABLE_EVENT_TYPES.join(", ")}`
+    );
+  }
+  if (
+    (fields.due_date != null ||
+      (requireDate && fields.due_date !== undefined)) &&
+    !isValidDate(fields.due_date)
+  ) {
+    errors.push("due_date: must be a valid date in YYYY-MM-DD format");
+  }
+  // Saved rows come back from Postgres as HH:MM:SS
+  ["due_time", "end_time"].forEach((field) => {
+    if (
+      fields[field] != null &&
+      !(
+        typeof fields[field] === "string" &&
+        /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/.test(fields[field])
+      )
+    ) {
+      errors.push(
+        `${field}: must be null or a 24-hour time in HH:MM or HH:MM:SS format`
+      );
+    }
+  });
+  ["description", "location"].forEach((field) => {
+    if (fields[field] != null && typeof fields[field] !== "string") {
+      errors.push(`${field}: must be a string or null`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Validate an event produced by the extractor
+ * @param {Object} event - Extracted event
+ * @returns {Object} Whether the event is valid, its errors and the cleaned event
+ */
+function validateExtractedEvent(event) {
+  if (!event || typeof event !== "object" || Array.isArray(event)) {
+    return { valid: false, errors: ["must be an object"], event: null };
+  }
+
+  const errors = [];
+  const title = typeof event.title === "string" ? event.title.trim() : "";
+  const dueTime =
+    event.due_time === undefined || event.due_time === ""
+      ? null
+      : event.due_time;
+
+  if (!title) {
+    errors.push("title: must be a non-empty string");
+  }
+  if (!EXTRACTED_EVENT_TYPES.includes(event.event_type)) {
+    errors.push(
+      `event_type: must be one of ${EXTRACTED_EVENT_TYPES.join(", ")}`
+    );
+  }
+  if (event.date_text != null && typeof event.date_text !== "string") {
+    errors.push("date_text: must be a string or null");
+  }
+  // Relative dates are resolved later from date_text, so due_date may be null
+  if (event.due_date == null) {
+    if (!event.date_text || typeof event.date_text !== "string") {
+      errors.push(
+        "due_date: must be a valid date in YYYY-MM-DD format, or null with date_text set"
+      );
+    }
+  } else if (!isValidDate(event.due_date)) {
+    errors.push("due_date: must be a valid date in YYYY-MM-DD format");
+  }
+  if (dueTime !== null && !isValidTime(dueTime)) {
+    errors.push("due_time: must be null or a 24-hour time in HH:MM format");
+  }
+  if (
+    typeof event.confidence_score !== "number" ||
+    !(event.confidence_score >= 0 && event.confidence_score <= 1)
+  ) {
+    errors.push("confidence_score: must be a number between 0 and 1");
+  }
+  if (event.description != null && typeof event.description !== "string") {
+    errors.push("description: must be a string or null");
+  }
+  if (event.source_text != null && typeof event.source_text !== "string") {
+    errors.push("source_text: must be a string");
+  }
+  if (
+    event.source_page != null &&
+    !(Number.isInteger(event.source_page) && event.source_page > 0)
+  ) {
+    errors.push("source_page: must be a positive integer or null");
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors: errors,
+    event:
+      errors.length === 0
+        ? {
+            title: title,
+            description: event.description || null,
+            event_type: event.event_type,
+            due_date: event.due_date || null,
+            date_text: event.date_text || null,
+            due_time: dueTime,
+            confidence_score: event.confidence_score,
+            source_text: event.source_text || null,
+            source_page: event.source_page || null,
+          }
+        : null,
+  };
+}
+
+module.exports = {
+  EXTRACTED_EVENT_TYPES,
+  EDITABLE_EVENT_TYPES,
+  isValidDate,
+  isValidTime,
+  isValidUuid,
+  normalizeTitle,
+  validateEventFields,
+  validateExtractedEvent,
+};
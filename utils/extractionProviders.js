@@ -0,0 +1,282 @@
+const fs = require("fs");
+const { GoogleGenerativeAI } = require("@google/generative-ai");
+const { inferEventType } = require("./icsImport");
+
+const DEFAULT_MODELS = {
+  gemini: "gemini-1.5-flash",
+  openai: "gpt-4o-mini",
+  huggingface: "meta-llama/Llama-3.1-8B-Instruct",
+  fixture: "fixture",
+};
+
+const OPENAI_BASE_URL = "https://api.openai.com/v1";
+const HUGGINGFACE_BASE_URL = "https://router.huggingface.co/v1";
+
+/**
+ * Create a provider backed by Google Gemini
+ * @param {Object} options - Provider options
+ * @param {string} options.apiKey - Gemini API key
+ * @param {string} options.model - Model name
+ * @returns {Object} Extraction provider
+ */
+function createGeminiProvider({ apiKey, model }) {
+  const genAI = new GoogleGenerativeAI(apiKey);
+
+  return {
+    name: "gemini",
+    model: model,
+    generate: async (prompt) => {
+      const result = await genAI
+        .getGenerativeModel({ model: model })
+        .generateContent(prompt);
+      const response = await result.response;
+      return response.text();
+    },
+  };
+}
+
+/**
+ * Create a provider for any OpenAI-compatible chat completions API
+ * @param {Object} options - Provider options
+ * @param {string} [options.name] - Provider name reported to callers
+ * @param {string} options.apiKey - API key
+ * @param {string} options.baseUrl - API base URL, e.g. https://api.openai.com/v1
+ * @param {string} options.model - Model name
+ * @returns {Object} Extraction provider
+ */
+function createOpenAICompatibleProvider({
+  name = "openai",
+  apiKey,
+  baseUrl,
+  model,
+}) {
+  return {
+    name: name,
+    model: model,
+    generate: async (prompt) => {
+      const response = await fetch(
+        `${baseUrl.replace(/\/$/, "")}/chat/completions`,
+        {
+          method: "POST",
+          headers: {
+            Authorization: `Bearer ${apiKey}`,
+            "Content-Type": "application/json",
+          },
+          body: JSON.stringify({
+            model: model,
+            messages: [{ role: "user", content: prompt }],
+            temperature: 0,
+          }),
+        }
+      );
+
+      if (!response.ok) {
+        const details = await response.text();
+        throw new Error(
+          `${name} request failed with status ${response.status}: ${details}`
+        );
+      }
+
+      const data = await response.json();
+      const choice = data.choices && data.choices[0];
+      if (!choice || !choice.message) {
+        throw new Error(`${name} response did not include a message`);
+      }
+      return choice.message.content || "";
+    },
+  };
+}
+
+/**
+ * Create a provider backed by Hugging Face's OpenAI-compatible router
+ * @param {Object} options - Provider options
+ * @param {string} options.apiKey - Hugging Face access token
+ * @param {string} options.model - Model ID
+ * @returns {Object} Extraction provider
+ */
+function createHuggingFaceProvider({ apiKey, model }) {
+  return createOpenAICompatibleProvider({
+    name: "huggingface",
+    apiKey: apiKey,
+    baseUrl: HUGGINGFACE_BASE_URL,
+    model: model,
+  });
+}
+
+const MONTHS = [
+  "jan",
+  "feb",
+  "mar",
+  "apr",
+  "may",
+  "jun",
+  "jul",
+  "aug",
+  "sep",
+  "oct",
+  "nov",
+  "dec",
+];
+
+const DATE_PATTERNS = [
+  {
+    pattern: /\b(\d{4})-(\d{2})-(\d{2})\b/,
+    toDate: (match) => [match[1], match[2], match[3]],
+  },
+  {
+    pattern: /\b(\d{1,2})\/(\d{1,2})\/(\d{4})\b/,
+    toDate: (match) => [match[3], match[1], match[2]],
+  },
+  {
+    pattern:
+      /\b(jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})\b/i,
+    toDate: (match) => [
+      match[3],
+      MONTHS.indexOf(match[1].slice(0, 3).toLowerCase()) + 1,
+      match[2],
+    ],
+  },
+];
+
+const TIME_PATTERN =
+  /\b(\d{1,2})(?::(\d{2}))?\s*(am|pm)\b|\b(\d{1,2}):(\d{2})\b/i;
+
+/**
+ * Pull the syllabus content back out of an extraction or repair prompt
+ * @param {string} prompt - Prompt
+ * @returns {string} Syllabus content
+ */
+function getPromptContent(prompt) {
+  const match = /Syllabus Content:\n([\s\S]*?)\n\s*Please extract all/.exec(
+    prompt
+  );
+  return match ? match[1] : prompt;
+}
+
+/**
+ * Extract events from one line of syllabus text with fixed rules
+ * @param {string} line - Line of syllabus text
+ * @returns {Object|null} Extracted event
+ */
+function extractFixtureEvent(line) {
+  const text = line.trim();
+
+  for (const { pattern, toDate } of DATE_PATTERNS) {
+    const match = pattern.exec(text);
+    if (!match) {
+      continue;
+    }
+
+    const pad = (value) => String(value).padStart(2, "0");
+    const [year, month, day] = toDate(match);
+    const time = TIME_PATTERN.exec(text.replace(match[0], ""));
+    let dueTime = null;
+
+    if (time) {
+      let hour = Number(time[1] || time[4]);
+      const minute = Number(time[2] || time[5] || 0);
+      const meridiem = (time[3] || "").toLowerCase();
+      if (meridiem === "pm" && hour < 12) {
+        hour += 12;
+      } else if (meridiem === "am" && hour === 12) {
+        hour = 0;
+      }
+      dueTime = `${pad(hour)}:${pad(minute)}`;
+    }
+
+    // Drop the date and time along with connecting words like "at" or "on"
+    let title = text.replace(match[0], "\u0000");
+    if (time) {
+      title = title.replace(time[0], "\u0000");
+    }
+    title = title
+      .replace(/\s*(?:\b(?:at|on|by)\b|@)?\s*\u0000/gi, " ")
+      .replace(/^[\s\-–:,.|]+|[\s\-–:,.|]+$/g, "")
+      .replace(/\s{2,}/g, " ");
+
+    return {
+      title: title || "Untitled Event",
+      description: null,
+      event_type: inferEventType(title),
+      due_date: `${year}-${pad(month)}-${pad(day)}`,
+      date_text: match[0],
+      due_time: dueTime,
+      confidence_score: 0.9,
+      source_text: text,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Create a deterministic offline provider for development and tests. It
+ * replays a JSON fixture file when one is given, otherwise it extracts one
+ * event per line that contains a full date.
+ * @param {Object} [options] - Provider options
+ * @param {string} [options.fixtureFile] - JSON response to return verbatim
+ * @returns {Object} Extraction provider
+ */
+function createFixtureProvider({ fixtureFile } = {}) {
+  return {
+    name: "fixture",
+    model: fixtureFile || DEFAULT_MODELS.fixture,
+    generate: async (prompt) => {
+      if (fixtureFile) {
+        return fs.readFileSync(fixtureFile, "utf8");
+      }
+
+      const events = getPromptContent(prompt)
+        .split("\n")
+        .filter((line) => !/^\s*\[Page \d+\]\s*$/.test(line))
+        .map(extractFixtureEvent)
+        .filter(Boolean);
+
+      return JSON.stringify({ events });
+    },
+  };
+}
+
+/**
+ * Get the extraction provider selected by EXTRACTION_PROVIDER
+ * @returns {Object} Provider with name, model and generate(prompt)
+ */
+function getExtractionProvider() {
+  const name = (process.env.EXTRACTION_PROVIDER || "gemini").toLowerCase();
+  const model = process.env.EXTRACTION_MODEL || DEFAULT_MODELS[name];
+
+  switch (name) {
+    case "gemini":
+      return createGeminiProvider({
+        apiKey: process.env.GEMINI_API_KEY,
+        model: model,
+      });
+    case "openai":
+      return createOpenAICompatibleProvider({
+        apiKey: process.env.OPENAI_API_KEY,
+        baseUrl: process.env.OPENAI_BASE_URL || OPENAI_BASE_URL,
+        model: model,
+      });
+    case "huggingface":
+      return createHuggingFaceProvider({
+        apiKey:
+          process.env.HUGGINGFACE_API_KEY ||
+          process.env.NEXT_PUBLIC_HUGGINGFACE_API_KEY,
+        model: model,
+      });
+    case "fixture":
+      return createFixtureProvider({
+        fixtureFile: process.env.EXTRACTION_FIXTURE_FILE,
+      });
+    default:
+      throw new Error(`Unknown extraction provider: ${name}`);
+  }
+}
+
+module.exports = {
+  createGeminiProvider,
+  createOpenAICompatibleProvider,
+  createHuggingFaceProvider,
+  createFixtureProvider,
+  getExtractionProvider,
+};
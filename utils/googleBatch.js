@@ -0,0 +1,128 @@
+const crypto = require("crypto");
+
+const CALENDAR_BATCH_URL = "https://www.googleapis.com/batch/calendar/v3";
+const MAX_BATCH_SIZE = 50; // Calendar API limit per batch request
+
+/**
+ * Build a multipart/mixed batch request body
+ * @param {string} boundary - Multipart boundary
+ * @param {Object[]} requests - Requests with method, path and optional body
+ * @returns {string} Batch request body
+ */
+function buildBatchBody(boundary, requests) {
+  const parts = requests.map((request, index) => {
+    const lines = [
+      `--${boundary}`,
+      "Content-Type: application/http",
+      `Content-ID: <item-${index}>`,
+      "",
+      `${request.method} ${request.path} HTTP/1.1`,
+    ];
+
+    if (request.body !== undefined) {
+      const json = JSON.stringify(request.body);
+      lines.push("Content-Type: application/json; charset=UTF-8");
+      lines.push(`Content-Length: ${Buffer.byteLength(json)}`);
+      lines.push("", json);
+    } else {
+      lines.push("");
+    }
+
+    return lines.join("\r\n");
+  });
+
+  return `${parts.join("\r\n")}\r\n--${boundary}--\r\n`;
+}
+
+/**
+ * Parse a multipart/mixed batch response
+ * @param {string} contentType - Response Content-Type header
+ * @param {string} body - Response body
+ * @param {number} count - Number of requests in the batch
+ * @returns {Object[]} Responses with status and body, in request order
+ */
+function parseBatchResponse(contentType, body, count) {
+  const match = /boundary=("?)([^";]+)\1/i.exec(contentType || "");
+
+  if (!match) {
+    throw new Error("Batch response is missing a multipart boundary");
+  }
+
+  const results = new Array(count).fill(null);
+  const parts = body.replace(/\r\n/g, "\n").split(`--${match[2]}`);
+
+  for (const part of parts) {
+    const idMatch = /Content-ID:\s*<response-item-(\d+)>/i.exec(part);
+    const statusMatch = /HTTP\/[\d.]+\s+(\d{3})/.exec(part);
+
+    if (!idMatch || !statusMatch) {
+      continue;
+    }
+
+    // The embedded HTTP response body follows its headers' blank line
+    const httpResponse = part.slice(statusMatch.index);
+    const separator = httpResponse.indexOf("\n\n");
+    const rawBody =
+      separator === -1 ? "" : httpResponse.slice(separator + 2).trim();
+
+    let data = null;
+    try {
+      data = rawBody ? JSON.parse(rawBody) : null;
+    } catch (parseError) {
+      data = { raw: rawBody };
+    }
+
+    results[Number(idMatch[1])] = {
+      status: Number(statusMatch[1]),
+      data: data,
+    };
+  }
+
+  return results;
+}
+
+/**
+ * Execute Calendar API requests through the batch endpoint
+ * @param {Object} authClient - Authorized OAuth2 client
+ * @param {Object[]} requests - Requests with method, path and optional body
+ * @returns {Promise<Object[]>} Responses with status and body, in request order
+ */
+async function executeCalendarBatch(authClient, requests) {
+  const results = [];
+
+  for (let i = 0; i < requests.length; i += MAX_BATCH_SIZE) {
+    const chunk = requests.slice(i, i + MAX_BATCH_SIZE);
+    const boundary = `batch_${crypto.randomBytes(12).toString("hex")}`;
+
+    const response = await authClient.request({
+      url: CALENDAR_BATCH_URL,
+      method: "POST",
+      headers: { "Content-Type": `multipart/mixed; boundary=${boundary}` },
+      data: buildBatchBody(boundary, chunk),
+      responseType: "text",
+    });
+
+    // gaxios returns a Fetch API Headers object
+    const parsed = parseBatchResponse(
+      response.headers.get("content-type"),
+      response.data,
+      chunk.length
+    );
+
+    results.push(
+      ...parsed.map(
+        (result) =>
+          result || { status: 500, data: { error: "Missing batch response" } }
+      )
+    );
+  }
+
+  return results;
+}
+
+module.exports = {
+  buildBatchBody,
+  parseBatchResponse,
+  executeCalendarBatch,
+  MAX_BATCH_SIZE,
+};
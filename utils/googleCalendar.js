@@ -1,5 +1,23 @@
 const { google } = require("googleapis");
 const { createClient } = require("@supabase/supabase-js");
+const {
+  getUserTokensFromDatabase,
+  refreshUserTokensFromDatabase,
+  getAuthorizedClient,
+} = require("./tokenManager");
+const { executeCalendarBatch } = require("./googleBatch");
+const {
+  buildRecurrenceLines,
+  getEventEnd,
+  getZonedParts,
+  isValidTimeZone,
+} = require("./ics");
+const {
+  getDefaultTimeZone,
+  getUserPreferences,
+  getUserTimeZone,
+} = require("./userPreferences");
+const { getReminderOverrides } = require("./reminders");
 
 // Initialize Supabase client
 const supabase = createClient(
@@ -7,137 +25,657 @@ const supabase = createClient(
   process.env.SUPABASE_SERVICE_ROLE_KEY
 );
 
-// Initialize Google OAuth2 client
-const oauth2Client = new google.auth.OAuth2(
-  process.env.GOOGLE_CLIENT_ID,
-  process.env.GOOGLE_CLIENT_SECRET,
-  process.env.GOOGLE_REDIRECT_URI
-);
-
 /**
- * Get user's Google tokens from database
+ * Get authenticated Google Calendar client from database
  * @param {string} userId - User ID
- * @returns {Promise<Object>} User tokens
+ * @returns {Promise<Object>} Google Calendar client
  */
-async function getUserTokensFromDatabase(userId) {
-  if (!userId) {
-    throw new Error("User ID is required");
+async function getCalendarClientFromDatabase(userId) {
+  const auth = await getAuthorizedClient(userId);
+  return google.calendar({ version: "v3", auth: auth });
+}
+
+/**
+ * Build the Google Calendar event resource for a calendar_events row.
+ * Timed events keep their wall-clock time in the given zone, date-only
+ * events become all-day events, and rows with a recurrence_rule become a
+ * single recurring event.
+ * @param {Object} eventData - calendar_events row or event data
+ * @param {Object} [options] - Options
+ * @param {string} [options.timeZone] - IANA time zone of due_date/due_time
+ * @param {Object} [options.reminders] - User's reminder rules by event type
+ * @returns {Object} Google Calendar event resource
+ */
+function buildGoogleEventResource(eventData, options = {}) {
+  const timeZone = options.timeZone || getDefaultTimeZone();
+  let start;
+  let end;
+
+  if (eventData.due_time) {
+    const time = eventData.due_time.slice(0, 5);
+    const eventEnd = getEventEnd({ ...eventData, due_time: time });
+    start = { dateTime: `${eventData.due_date}T${time}:00`, timeZone };
+    end = { dateTime: `${eventEnd.date}T${eventEnd.time}:00`, timeZone };
+  } else {
+    // Google's all-day end date is exclusive
+    const nextDay = new Date(`${eventData.due_date}T00:00:00Z`);
+    nextDay.setUTCDate(nextDay.getUTCDate() + 1);
+    start = { date: eventData.due_date };
+    end = { date: nextDay.toISOString().split("T")[0] };
   }
 
-  // Get tokens from database
-  const { data: tokenData, error: tokenError } = await supabase
-    .from("google_calendar_tokens")
-    .select("*")
-    .eq("user_id", userId)
-    .single();
+  const resource = {
+    summary: eventData.title,
+    description: eventData.description || "",
+    location: eventData.location || "",
+    start: start,
+    end: end,
+    reminders: {
+      useDefault: false,
+      overrides: getReminderOverrides(eventData, options.reminders),
+    },
+  };
 
-  if (tokenError || !tokenData) {
-    throw new Error("No Google tokens found in database");
+  const recurrence = buildRecurrenceLines(eventData, timeZone);
+  if (recurrence.length > 0) {
+    resource.recurrence = recurrence;
   }
 
-  // Check if token is expired
-  if (tokenData.expiry_date && new Date() > new Date(tokenData.expiry_date)) {
-    if (!tokenData.refresh_token) {
-      throw new Error("Token expired and no refresh token available");
-    }
-    return await refreshUserTokensFromDatabase(userId, tokenData.refresh_token);
+  return resource;
+}
+
+/**
+ * Get the user's wall-clock date and time for a Google event's start
+ * @param {Object} start - Google event start
+ * @param {string} [timeZone] - IANA time zone of the user
+ * @returns {Object} due_date and due_time
+ */
+function getGoogleEventStart(start, timeZone) {
+  if (!start.dateTime) {
+    return { due_date: start.date, due_time: null };
   }
 
+  const zone = [timeZone, start.timeZone].find(isValidTimeZone) || "UTC";
+  const parts = getZonedParts(new Date(start.dateTime), zone);
+  const pad = (value) => String(value).padStart(2, "0");
   return {
-    access_token: tokenData.access_token,
-    refresh_token: tokenData.refresh_token,
-    expiry_date: tokenData.expiry_date,
-    user_id: tokenData.user_id,
+    due_date: `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`,
+    due_time: `${pad(parts.hour)}:${pad(parts.minute)}`,
   };
 }
 
 /**
- * Refresh user's access token from database
+ * Map a Google Calendar event to a calendar_events row
+ * @param {Object} event - Google Calendar event
  * @param {string} userId - User ID
- * @param {string} refreshToken - Refresh token
- * @returns {Promise<Object>} New tokens
+ * @param {string} calendarId - Calendar ID
+ * @param {string} [timeZone] - IANA time zone of the user
+ * @returns {Object} calendar_events row
  */
-async function refreshUserTokensFromDatabase(userId, refreshToken) {
-  oauth2Client.setCredentials({
-    refresh_token: refreshToken,
-  });
+function mapGoogleEventToCalendarEvent(event, userId, calendarId, timeZone) {
+  return {
+    user_id: userId,
+    class_id: null, // Google Calendar events don't have a specific class
+    title: event.summary || "Untitled Event",
+    description: event.description || "",
+    event_type: "google_calendar", // Mark as Google Calendar event
+    ...getGoogleEventStart(event.start, timeZone),
+    confidence_score: 1.0, // High confidence for Google Calendar events
+    source_text: `Google Calendar Event: ${event.summary}`,
+    ...getLinkFields(event, calendarId),
+  };
+}
 
-  const { credentials } = await oauth2Client.refreshAccessToken();
-
-  // Update tokens in database
-  const { error: updateError } = await supabase
-    .from("google_calendar_tokens")
-    .update({
-      access_token: credentials.access_token,
-      expiry_date: credentials.expiry_date
-        ? new Date(credentials.expiry_date).toISOString()
-        : null,
-    })
+/**
+ * Get the calendar_events fields that are edited on the Google side
+ * @param {Object} event - Google Calendar event
+ * @param {string} [timeZone] - IANA time zone of the user
+ * @returns {Object} Partial calendar_events row
+ */
+function getGoogleOwnedFields(event, timeZone) {
+  const { title, description, due_date, due_time } =
+    mapGoogleEventToCalendarEvent(event, null, null, timeZone);
+  return { title, description, due_date, due_time };
+}
+
+/**
+ * Get the fields recording that a row matches a Google event
+ * @param {Object} event - Google Calendar event
+ * @param {string} calendarId - Calendar ID
+ * @returns {Object} Partial calendar_events row
+ */
+function getLinkFields(event, calendarId) {
+  const now = new Date().toISOString();
+  return {
+    google_event_id: event.id,
+    google_calendar_id: calendarId,
+    google_updated_at: event.updated || now,
+    google_synced_at: now,
+    google_push_pending_at: null,
+    updated_at: now,
+  };
+}
+
+/**
+ * Check whether a linked row was edited locally since it last matched Google
+ * @param {Object} row - calendar_events row
+ * @returns {boolean} Whether the row has local changes
+ */
+function hasLocalChanges(row) {
+  if (!row.updated_at || !row.google_synced_at) {
+    return false;
+  }
+  return new Date(row.updated_at) > new Date(row.google_synced_at);
+}
+
+/**
+ * Check whether a Google event changed since it last matched its row
+ * @param {Object} row - calendar_events row
+ * @param {Object} event - Google Calendar event
+ * @returns {boolean} Whether the event has Google-side changes
+ */
+function hasGoogleChanges(row, event) {
+  if (!row.google_updated_at || !event.updated) {
+    return true;
+  }
+  return new Date(event.updated) > new Date(row.google_updated_at);
+}
+
+/**
+ * Create or update the Google event linked to a calendar_events row
+ * @param {string} userId - User ID
+ * @param {Object} row - calendar_events row
+ * @param {string} [calendarId] - Calendar for rows that aren't linked yet
+ * @returns {Promise<Object>} Google Calendar event
+ */
+async function pushEventToGoogle(userId, row, calendarId = "primary") {
+  const calendar = await getCalendarClientFromDatabase(userId);
+  const targetCalendarId = row.google_calendar_id || calendarId;
+  const { timeZone, reminders } = await getUserPreferences(userId);
+  const resource = buildGoogleEventResource(row, { timeZone, reminders });
+  let googleEvent = null;
+
+  if (row.google_event_id) {
+    try {
+      const response = await calendar.events.patch({
+        calendarId: targetCalendarId,
+        eventId: row.google_event_id,
+        resource: resource,
+        sendUpdates: "all",
+      });
+      googleEvent = response.data;
+    } catch (error) {
+      // The Google event was deleted; create it again below
+      if (![404, 410].includes(getErrorStatus(error))) {
+        throw error;
+      }
+    }
+  }
+
+  if (!googleEvent) {
+    const response = await calendar.events.insert({
+      calendarId: targetCalendarId,
+      resource: resource,
+      sendUpdates: "all",
+    });
+    googleEvent = response.data;
+  }
+
+  const { updated_at, ...linkFields } = getLinkFields(
+    googleEvent,
+    targetCalendarId
+  );
+  const { error: linkError } = await supabase
+    .from("calendar_events")
+    .update(linkFields)
+    .eq("id", row.id)
     .eq("user_id", userId);
 
-  if (updateError) {
-    throw new Error(
-      `Failed to update tokens in database: ${updateError.message}`
+  if (linkError) {
+    throw new Error(`Failed to link event: ${linkError.message}`);
+  }
+
+  return googleEvent;
+}
+
+/**
+ * Push many calendar_events rows to Google Calendar in batch requests.
+ * Rows that are already linked to a Google event are skipped.
+ * @param {string} userId - User ID
+ * @param {Object[]} rows - calendar_events rows
+ * @param {string} calendarId - Calendar ID
+ * @returns {Promise<Object[]>} Per-event results
+ */
+async function bulkPushEventsToGoogle(userId, rows, calendarId = "primary") {
+  const results = rows
+    .filter((row) => row.google_event_id)
+    .map((row) => ({
+      eventId: row.id,
+      status: "skipped",
+      googleEventId: row.google_event_id,
+    }));
+  const pending = rows.filter((row) => !row.google_event_id);
+
+  if (pending.length === 0) {
+    return results;
+  }
+
+  const authClient = await getAuthorizedClient(userId);
+  const { timeZone, reminders } = await getUserPreferences(userId);
+  const path = `/calendar/v3/calendars/${encodeURIComponent(
+    calendarId
+  )}/events?sendUpdates=all`;
+
+  const responses = await executeCalendarBatch(
+    authClient,
+    pending.map((row) => ({
+      method: "POST",
+      path: path,
+      body: buildGoogleEventResource(row, { timeZone, reminders }),
+    }))
+  );
+
+  for (let i = 0; i < pending.length; i++) {
+    const row = pending[i];
+    const response = responses[i];
+
+    if (response.status < 200 || response.status >= 300) {
+      const googleError = response.data && response.data.error;
+      results.push({
+        eventId: row.id,
+        status: "failed",
+        error:
+          (googleError && googleError.message) ||
+          `Google Calendar returned ${response.status}`,
+      });
+      continue;
+    }
+
+    const { updated_at, ...linkFields } = getLinkFields(
+      response.data,
+      calendarId
     );
+    const { error: linkError } = await supabase
+      .from("calendar_events")
+      .update(linkFields)
+      .eq("id", row.id)
+      .eq("user_id", userId);
+
+    results.push({
+      eventId: row.id,
+      status: "created",
+      googleEventId: response.data.id,
+      eventUrl: response.data.htmlLink,
+      ...(linkError && { error: `Failed to link event: ${linkError.message}` }),
+    });
   }
 
-  return credentials;
+  return results;
 }
 
 /**
- * Get authenticated Google Calendar client from database
+ * Delete the Google events linked to calendar_events rows that are being
+ * deleted. Events already gone from Google count as deleted.
  * @param {string} userId - User ID
- * @returns {Promise<Object>} Google Calendar client
+ * @param {Object[]} rows - calendar_events rows
+ * @returns {Promise<Object[]>} Per-event results for the linked rows
  */
-async function getCalendarClientFromDatabase(userId) {
-  const tokens = await getUserTokensFromDatabase(userId);
-  oauth2Client.setCredentials(tokens);
-  return google.calendar({ version: "v3", auth: oauth2Client });
+async function deleteEventsFromGoogle(userId, rows) {
+  const linked = rows.filter((row) => row.google_event_id);
+
+  if (linked.length === 0) {
+    return [];
+  }
+
+  const authClient = await getAuthorizedClient(userId);
+  const responses = await executeCalendarBatch(
+    authClient,
+    linked.map((row) => ({
+      method: "DELETE",
+      path: `/calendar/v3/calendars/${encodeURIComponent(
+        row.google_calendar_id || "primary"
+      )}/events/${encodeURIComponent(row.google_event_id)}?sendUpdates=all`,
+    }))
+  );
+
+  return linked.map((row, i) => {
+    const response = responses[i];
+    if (
+      (response.status >= 200 && response.status < 300) ||
+      [404, 410].includes(response.status)
+    ) {
+      return { eventId: row.id, status: "deleted" };
+    }
+
+    const googleError = response.data && response.data.error;
+    return {
+      eventId: row.id,
+      status: "failed",
+      error:
+        (googleError && googleError.message) ||
+        `Google Calendar returned ${response.status}`,
+    };
+  });
+}
+
+/**
+ * Load the calendar_events rows linked to Google events
+ * @param {string} userId - User ID
+ * @param {string} calendarId - Calendar ID
+ * @param {string[]} googleEventIds - Google event IDs
+ * @returns {Promise<Map<string, Object>>} Rows by Google event ID
+ */
+async function getLinkedRows(userId, calendarId, googleEventIds) {
+  const rows = new Map();
+
+  for (let i = 0; i < googleEventIds.length; i += 100) {
+    const { data, error } = await supabase
+      .from("calendar_events")
+      .select("*")
+      .eq("user_id", userId)
+      .eq("google_calendar_id", calendarId)
+      .in("google_event_id", googleEventIds.slice(i, i + 100));
+
+    if (error) {
+      throw new Error(`Failed to load linked events: ${error.message}`);
+    }
+    data.forEach((row) => rows.set(row.google_event_id, row));
+  }
+
+  return rows;
 }
 
 /**
- * Format event data for Google Calendar
- * @param {Object} eventData - Event data
- * @returns {Object} Formatted event for Google Calendar
+ * Apply changed Google events to calendar_events. Rows edited on both sides
+ * since they last matched are resolved last-writer-wins and reported.
+ * @param {string} userId - User ID
+ * @param {string} calendarId - Calendar ID
+ * @param {Object[]} events - Changed Google events (not cancelled)
+ * @param {string} timeZone - IANA time zone of the user
+ * @returns {Promise<Object>} Counts and conflict report
  */
-function formatEventForGoogleCalendar(eventData) {
-  const dueDate = new Date(eventData.due_date);
-  const startTime = eventData.due_time
-    ? new Date(`${eventData.due_date}T${eventData.due_time}`)
-    : dueDate;
+async function applyGoogleChanges(userId, calendarId, events, timeZone) {
+  const linkedRows = await getLinkedRows(userId, calendarId, [
+    ...new Set(
+      events.flatMap((event) =>
+        event.recurringEventId ? [event.id, event.recurringEventId] : [event.id]
+      )
+    ),
+  ]);
+  const newRows = [];
+  const conflicts = [];
+  let updatedCount = 0;
+  let pushedCount = 0;
 
-  const endTime = eventData.due_time
-    ? new Date(startTime.getTime() + 60 * 60 * 1000) // 1 hour duration
-    : new Date(dueDate.getTime() + 24 * 60 * 60 * 1000); // 1 day duration
+  for (const event of events) {
+    // Occurrences of a series pushed from here belong to the series row
+    if (event.recurringEventId && linkedRows.has(event.recurringEventId)) {
+      continue;
+    }
+
+    const row = linkedRows.get(event.id);
+
+    if (!row) {
+      newRows.push(
+        mapGoogleEventToCalendarEvent(event, userId, calendarId, timeZone)
+      );
+      continue;
+    }
+
+    const localChanged = hasLocalChanges(row);
+    const googleChanged = hasGoogleChanges(row, event);
+    let localWins = localChanged && !googleChanged;
+
+    if (localChanged && googleChanged) {
+      localWins = new Date(row.updated_at) > new Date(event.updated);
+      conflicts.push({
+        eventId: row.id,
+        googleEventId: event.id,
+        title: row.title,
+        localUpdatedAt: row.updated_at,
+        googleUpdatedAt: event.updated,
+        resolution: localWins ? "local" : "google",
+      });
+    }
+
+    if (localWins) {
+      await pushEventToGoogle(userId, row, calendarId);
+      pushedCount++;
+    } else if (googleChanged) {
+      const { error: updateError } = await supabase
+        .from("calendar_events")
+        .update({
+          ...getGoogleOwnedFields(event, timeZone),
+          ...getLinkFields(event, calendarId),
+        })
+        .eq("id", row.id);
+
+      if (updateError) {
+        throw new Error(
+          `Failed to sync events to database: ${updateError.message}`
+        );
+      }
+      updatedCount++;
+    }
+  }
+
+  if (newRows.length > 0) {
+    const { error: upsertError } = await supabase
+      .from("calendar_events")
+      .upsert(newRows, {
+        onConflict: "user_id,google_calendar_id,google_event_id",
+      });
+
+    if (upsertError) {
+      throw new Error(
+        `Failed to sync events to database: ${upsertError.message}`
+      );
+    }
+  }
 
   return {
-    summary: eventData.title,
-    description: eventData.description || "",
-    location: eventData.location || "",
-    start: {
-      dateTime: startTime.toISOString(),
-      timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
-    },
-    end: {
-      dateTime: endTime.toISOString(),
-      timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
-    },
-    reminders: {
-      useDefault: false,
-      overrides: [
-        { method: "email", minutes: 24 * 60 }, // 1 day before
-        { method: "popup", minutes: 30 }, // 30 minutes before
-      ],
+    insertedCount: newRows.length,
+    updatedCount: updatedCount,
+    pushedCount: pushedCount,
+    conflicts: conflicts,
+  };
+}
+
+/**
+ * Remove rows for Google events that no longer exist. Rows imported from
+ * Google are deleted; rows created locally only lose their link.
+ * @param {string} userId - User ID
+ * @param {string} calendarId - Calendar ID
+ * @param {string[]} googleEventIds - Google event IDs that were removed
+ * @returns {Promise<number>} Number of rows deleted
+ */
+async function removeGoogleEvents(userId, calendarId, googleEventIds) {
+  let deletedCount = 0;
+
+  for (let i = 0; i < googleEventIds.length; i += 100) {
+    const ids = googleEventIds.slice(i, i + 100);
+
+    const { data: deletedRows, error: deleteError } = await supabase
+      .from("calendar_events")
+      .delete()
+      .eq("user_id", userId)
+      .eq("google_calendar_id", calendarId)
+      .eq("event_type", "google_calendar")
+      .in("google_event_id", ids)
+      .select("id");
+
+    if (deleteError) {
+      throw new Error(
+        `Failed to remove deleted events: ${deleteError.message}`
+      );
+    }
+    deletedCount += deletedRows.length;
+
+    const { error: unlinkError } = await supabase
+      .from("calendar_events")
+      .update({
+        google_event_id: null,
+        google_calendar_id: null,
+        google_updated_at: null,
+        google_synced_at: null,
+        google_push_pending_at: null,
+      })
+      .eq("user_id", userId)
+      .eq("google_calendar_id", calendarId)
+      .in("google_event_id", ids);
+
+    if (unlinkError) {
+      throw new Error(`Failed to unlink events: ${unlinkError.message}`);
+    }
+  }
+
+  return deletedCount;
+}
+
+/**
+ * Push linked rows whose last local edit failed to reach Google. Rows that
+ * fail again stay pending for the next sync.
+ * @param {string} userId - User ID
+ * @param {string} calendarId - Calendar ID
+ * @returns {Promise<number>} Number of rows pushed
+ */
+async function pushPendingEvents(userId, calendarId) {
+  const { data: pendingRows, error } = await supabase
+    .from("calendar_events")
+    .select("*")
+    .eq("user_id", userId)
+    .eq("google_calendar_id", calendarId)
+    .not("google_push_pending_at", "is", null);
+
+  if (error) {
+    throw new Error(`Failed to load pending events: ${error.message}`);
+  }
+
+  let pushedCount = 0;
+  for (const row of pendingRows) {
+    try {
+      await pushEventToGoogle(userId, row, calendarId);
+      pushedCount++;
+    } catch (pushError) {
+      console.error("Error pushing pending event to Google:", pushError);
+    }
+  }
+
+  return pushedCount;
+}
+
+/**
+ * Get the stored sync token for a user's calendar
+ * @param {string} userId - User ID
+ * @param {string} calendarId - Calendar ID
+ * @returns {Promise<string|null>} Sync token
+ */
+async function getSyncToken(userId, calendarId) {
+  const { data, error } = await supabase
+    .from("google_calendar_sync_state")
+    .select("sync_token")
+    .eq("user_id", userId)
+    .eq("calendar_id", calendarId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load sync state: ${error.message}`);
+  }
+
+  return data ? data.sync_token : null;
+}
+
+/**
+ * Store the sync token for a user's calendar
+ * @param {string} userId - User ID
+ * @param {string} calendarId - Calendar ID
+ * @param {string|null} syncToken - Sync token
+ * @returns {Promise<void>}
+ */
+async function saveSyncToken(userId, calendarId, syncToken) {
+  const { error } = await supabase.from("google_calendar_sync_state").upsert(
+    {
+      user_id: userId,
+      calendar_id: calendarId,
+      sync_token: syncToken,
+      last_synced_at: new Date().toISOString(),
     },
+    { onConflict: "user_id,calendar_id" }
+  );
+
+  if (error) {
+    throw new Error(`Failed to save sync state: ${error.message}`);
+  }
+}
+
+/**
+ * Get the HTTP status of an error thrown by the Google API client
+ * @param {Error} error - Google API error
+ * @returns {number|undefined} HTTP status
+ */
+function getErrorStatus(error) {
+  return (error.response && error.response.status) || error.code;
+}
+
+/**
+ * Iterate over every page of a Google API list operation
+ * @param {Function} list - List method, e.g. params => calendar.events.list(params)
+ * @param {Object} params - List parameters
+ * @returns {AsyncGenerator<Object>} Response data for each page
+ */
+async function* iterateGooglePages(list, params) {
+  let pageToken = params.pageToken;
+
+  do {
+    const response = await list({ ...params, pageToken: pageToken });
+    yield response.data;
+    pageToken = response.data.nextPageToken;
+  } while (pageToken);
+}
+
+/**
+ * Collect the items of every page of a Google API list operation
+ * @param {Function} list - List method
+ * @param {Object} params - List parameters
+ * @returns {Promise<Object>} Items and the sync token from the last page
+ */
+async function listAllGoogleItems(list, params) {
+  const items = [];
+  let nextSyncToken = null;
+
+  for await (const page of iterateGooglePages(list, params)) {
+    items.push(...(page.items || []));
+    nextSyncToken = page.nextSyncToken || nextSyncToken;
+  }
+
+  return { items, nextSyncToken };
+}
+
+/**
+ * Read cursor pagination parameters from a request query
+ * @param {Object} query - Request query
+ * @param {number} defaultPageSize - Page size when none is given
+ * @param {number} maxPageSize - Largest page size Google accepts
+ * @returns {Object} pageToken and maxResults for a list call
+ */
+function getPageParams(query, defaultPageSize, maxPageSize) {
+  const pageSize = parseInt(query.maxResults, 10) || defaultPageSize;
+
+  return {
+    pageToken: query.pageToken || undefined,
+    maxResults: Math.min(Math.max(pageSize, 1), maxPageSize),
   };
 }
 
 /**
- * Sync events from Google Calendar to local database using database
+ * Sync events from Google Calendar to local database using database.
+ * Uses the stored sync token when there is one and falls back to a full
+ * sync of the date window when Google has invalidated it. Local edits
+ * that failed to reach Google are pushed again.
  * @param {string} userId - User ID
  * @param {string} calendarId - Calendar ID
- * @param {string} startDate - Start date
- * @param {string} endDate - End date
+ * @param {string} startDate - Start date for a full sync
+ * @param {string} endDate - End date for a full sync
  * @returns {Promise<Object>} Sync result
  */
 async function syncEventsToDatabaseFromDatabase(
@@ -147,60 +685,102 @@ async function syncEventsToDatabaseFromDatabase(
   endDate
 ) {
   const calendar = await getCalendarClientFromDatabase(userId);
+  const listEvents = (params) => calendar.events.list(params);
+  const syncToken = await getSyncToken(userId, calendarId);
 
-  const timeMin = startDate
-    ? new Date(startDate).toISOString()
-    : new Date().toISOString();
-  const timeMax = endDate
-    ? new Date(endDate).toISOString()
-    : new Date(Date.now() + 365 * 24 * 60 * 60 * 1000).toISOString();
-
-  const response = await calendar.events.list({
-    calendarId: calendarId,
-    timeMin: timeMin,
-    timeMax: timeMax,
-    maxResults: 2500,
-    singleEvents: true,
-    orderBy: "startTime",
-  });
+  let changes;
+  let fullSync = !syncToken;
+  let timeMin;
+  let timeMax;
 
-  const events = response.data.items;
+  if (syncToken) {
+    try {
+      changes = await listAllGoogleItems(listEvents, {
+        calendarId: calendarId,
+        syncToken: syncToken,
+        maxResults: 2500,
+        singleEvents: true,
+        showDeleted: true,
+      });
+    } catch (error) {
+      // 410 Gone: the sync token is no longer valid
+      if (getErrorStatus(error) !== 410) {
+        throw error;
+      }
+      fullSync = true;
+    }
+  }
 
-  // Store events in local database
-  const eventsToInsert = events.map((event) => ({
-    user_id: userId,
-    class_id: null, // Google Calendar events don't have a specific class
-    title: event.summary || "Untitled Event",
-    description: event.description || "",
-    event_type: "google_calendar", // Mark as Google Calendar event
-    due_date: event.start.dateTime
-      ? new Date(event.start.dateTime).toISOString().split("T")[0]
-      : event.start.date,
-    due_time: event.start.dateTime
-      ? new Date(event.start.dateTime)
-          .toISOString()
-          .split("T")[1]
-          .substring(0, 5)
-      : null,
-    confidence_score: 1.0, // High confidence for Google Calendar events
-    source_text: `Google Calendar Event: ${event.summary}`,
-    created_at: new Date().toISOString(),
-  }));
+  if (fullSync) {
+    timeMin = startDate
+      ? new Date(startDate).toISOString()
+      : new Date().toISOString();
+    timeMax = endDate
+      ? new Date(endDate).toISOString()
+      : new Date(Date.now() + 365 * 24 * 60 * 60 * 1000).toISOString();
 
-  // Insert events to calendar_events table
-  const { error: insertError } = await supabase
-    .from("calendar_events")
-    .insert(eventsToInsert);
+    changes = await listAllGoogleItems(listEvents, {
+      calendarId: calendarId,
+      timeMin: timeMin,
+      timeMax: timeMax,
+      maxResults: 2500,
+      singleEvents: true,
+    });
+  }
+
+  const cancelledIds = changes.items
+    .filter((event) => event.status === "cancelled")
+    .map((event) => event.id);
+  const activeEvents = changes.items.filter(
+    (event) => event.status !== "cancelled"
+  );
 
-  if (insertError) {
-    throw new Error(
-      `Failed to sync events to database: ${insertError.message}`
+  const timeZone = await getUserTimeZone(userId);
+  const applied = await applyGoogleChanges(
+    userId,
+    calendarId,
+    activeEvents,
+    timeZone
+  );
+
+  // On a full sync, events in the window that Google no longer returns
+  // were deleted while the sync token was invalid
+  let removedIds = cancelledIds;
+  if (fullSync) {
+    const { data: windowRows, error: windowError } = await supabase
+      .from("calendar_events")
+      .select("google_event_id")
+      .eq("user_id", userId)
+      .eq("google_calendar_id", calendarId)
+      .gte("due_date", timeMin.split("T")[0])
+      .lte("due_date", timeMax.split("T")[0]);
+
+    if (windowError) {
+      throw new Error(`Failed to load synced events: ${windowError.message}`);
+    }
+
+    const activeIds = new Set(
+      activeEvents.flatMap((event) => [event.id, event.recurringEventId])
     );
+    removedIds = windowRows
+      .map((row) => row.google_event_id)
+      .filter((id) => !activeIds.has(id));
   }
 
+  const deletedCount = await removeGoogleEvents(userId, calendarId, removedIds);
+  const retriedCount = await pushPendingEvents(userId, calendarId);
+
+  await saveSyncToken(userId, calendarId, changes.nextSyncToken);
+
   return {
-    syncedCount: events.length,
-    events: events,
+    syncedCount: activeEvents.length,
+    insertedCount: applied.insertedCount,
+    updatedCount: applied.updatedCount,
+    pushedCount: applied.pushedCount + retriedCount,
+    deletedCount: deletedCount,
+    conflicts: applied.conflicts,
+    fullSync: fullSync,
+    events: activeEvents,
   };
 }
 
@@ -243,9 +823,16 @@ module.exports = {
   getUserTokensFromDatabase,
   refreshUserTokensFromDatabase,
   getCalendarClientFromDatabase,
-  formatEventForGoogleCalendar,
+  buildGoogleEventResource,
+  mapGoogleEventToCalendarEvent,
+  pushEventToGoogle,
+  bulkPushEventsToGoogle,
+  deleteEventsFromGoogle,
+  iterateGooglePages,
+  listAllGoogleItems,
+  getPageParams,
+  applyGoogleChanges,
   syncEventsToDatabaseFromDatabase,
   getUserConnectionStatusFromDatabase,
   supabase,
-  oauth2Client,
 };
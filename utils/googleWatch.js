@@ -0,0 +1,233 @@
+const crypto = require("crypto");
+const { createClient } = require("@supabase/supabase-js");
+const {
+  getCalendarClientFromDatabase,
+  syncEventsToDatabaseFromDatabase,
+} = require("./googleCalendar");
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const CHANNEL_TTL_SECONDS = 7 * 24 * 60 * 60; // Google's maximum for events
+const RENEWAL_WINDOW_MS = 24 * 60 * 60 * 1000; // 1 day
+
+/**
+ * Get the public HTTPS address Google should deliver notifications to
+ * @returns {string} Webhook URL
+ */
+function getWebhookUrl() {
+  const url = process.env.GOOGLE_WEBHOOK_URL;
+
+  if (!url) {
+    throw new Error("GOOGLE_WEBHOOK_URL is not configured");
+  }
+
+  return url;
+}
+
+/**
+ * Register a push notification channel for a user's calendar
+ * @param {string} userId - User ID
+ * @param {string} calendarId - Calendar ID
+ * @returns {Promise<Object>} Stored channel
+ */
+async function watchCalendar(userId, calendarId) {
+  const calendar = await getCalendarClientFromDatabase(userId);
+  const channelId = crypto.randomUUID();
+  const channelToken = crypto.randomBytes(32).toString("hex");
+
+  const response = await calendar.events.watch({
+    calendarId: calendarId,
+    requestBody: {
+      id: channelId,
+      type: "web_hook",
+      address: getWebhookUrl(),
+      token: channelToken,
+      params: { ttl: String(CHANNEL_TTL_SECONDS) },
+    },
+  });
+
+  const channel = {
+    id: channelId,
+    user_id: userId,
+    calendar_id: calendarId,
+    resource_id: response.data.resourceId,
+    token: channelToken,
+    expiration: response.data.expiration
+      ? new Date(Number(response.data.expiration)).toISOString()
+      : null,
+    created_at: new Date().toISOString(),
+  };
+
+  const { error: insertError } = await supabase
+    .from("google_calendar_channels")
+    .insert(channel);
+
+  if (insertError) {
+    throw new Error(`Failed to save channel: ${insertError.message}`);
+  }
+
+  return channel;
+}
+
+/**
+ * Stop a push notification channel and forget it
+ * @param {Object} channel - Stored channel
+ * @returns {Promise<void>}
+ */
+async function stopChannel(channel) {
+  try {
+    const calendar = await getCalendarClientFromDatabase(channel.user_id);
+    await calendar.channels.stop({
+      requestBody: {
+        id: channel.id,
+        resourceId: channel.resource_id,
+      },
+    });
+  } catch (error) {
+    // The channel may already have expired or the user may have disconnected
+    console.error(`Error stopping channel ${channel.id}:`, error.message);
+  }
+
+  const { error: deleteError } = await supabase
+    .from("google_calendar_channels")
+    .delete()
+    .eq("id", channel.id);
+
+  if (deleteError) {
+    throw new Error(`Failed to delete channel: ${deleteError.message}`);
+  }
+}
+
+/**
+ * Stop a user's channels, optionally only those for one calendar
+ * @param {string} userId - User ID
+ * @param {string} [calendarId] - Calendar ID
+ * @returns {Promise<number>} Number of channels stopped
+ */
+async function stopUserChannels(userId, calendarId) {
+  let query = supabase
+    .from("google_calendar_channels")
+    .select("*")
+    .eq("user_id", userId);
+
+  if (calendarId) {
+    query = query.eq("calendar_id", calendarId);
+  }
+
+  const { data: channels, error } = await query;
+
+  if (error) {
+    throw new Error(`Failed to load channels: ${error.message}`);
+  }
+
+  for (const channel of channels) {
+    await stopChannel(channel);
+  }
+
+  return channels.length;
+}
+
+/**
+ * Replace channels that expire within the renewal window
+ * @returns {Promise<Object>} Renewal result
+ */
+async function renewExpiringChannels() {
+  const { data: channels, error } = await supabase
+    .from("google_calendar_channels")
+    .select("*")
+    .lt("expiration", new Date(Date.now() + RENEWAL_WINDOW_MS).toISOString());
+
+  if (error) {
+    throw new Error(`Failed to load channels: ${error.message}`);
+  }
+
+  const failures = [];
+  for (const channel of channels) {
+    try {
+      await watchCalendar(channel.user_id, channel.calendar_id);
+      await stopChannel(channel);
+    } catch (renewError) {
+      console.error(`Error renewing channel ${channel.id}:`, renewError);
+      failures.push({ channelId: channel.id, error: renewError.message });
+    }
+  }
+
+  return {
+    renewedCount: channels.length - failures.length,
+    failures: failures,
+  };
+}
+
+/**
+ * Compare two secrets in constant time
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} Whether the values match
+ */
+function secretsMatch(a, b) {
+  const bufferA = Buffer.from(String(a || ""));
+  const bufferB = Buffer.from(String(b || ""));
+  return (
+    bufferA.length === bufferB.length &&
+    crypto.timingSafeEqual(bufferA, bufferB)
+  );
+}
+
+/**
+ * Validate a Google push notification and sync the affected calendar
+ * @param {Object} headers - Request headers
+ * @returns {Promise<Object>} Handling result
+ */
+async function handleNotification(headers) {
+  const channelId = headers["x-goog-channel-id"];
+  const channelToken = headers["x-goog-channel-token"];
+  const resourceId = headers["x-goog-resource-id"];
+  const resourceState = headers["x-goog-resource-state"];
+
+  if (!channelId || !resourceId) {
+    return { valid: false, status: 400, error: "Missing channel headers" };
+  }
+
+  const { data: channel, error } = await supabase
+    .from("google_calendar_channels")
+    .select("*")
+    .eq("id", channelId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load channel: ${error.message}`);
+  }
+
+  if (
+    !channel ||
+    channel.resource_id !== resourceId ||
+    !secretsMatch(channel.token, channelToken)
+  ) {
+    return { valid: false, status: 404, error: "Unknown channel" };
+  }
+
+  // Google sends a "sync" message when the channel is created
+  if (resourceState === "sync") {
+    return { valid: true, synced: false };
+  }
+
+  const result = await syncEventsToDatabaseFromDatabase(
+    channel.user_id,
+    channel.calendar_id
+  );
+
+  return { valid: true, synced: true, syncedCount: result.syncedCount };
+}
+
+module.exports = {
+  watchCalendar,
+  stopChannel,
+  stopUserChannels,
+  renewExpiringChannels,
+  handleNotification,
+  secretsMatch,
+};
@@ -0,0 +1,478 @@
+const PRODUCT_ID = "-//Law Bandit//Calendar Feed//EN";
+const UID_DOMAIN = "law-bandit";
+const DEFAULT_EVENT_MINUTES = 60;
+// Years around now that a feed's VTIMEZONE covers at most
+const TIMEZONE_YEAR_SPAN = 5;
+
+// Categories shown in calendar apps for each event_type
+const EVENT_TYPE_CATEGORIES = {
+  assignment: "Assignment",
+  exam: "Exam",
+  reading: "Reading",
+  class: "Class",
+  other: "Other",
+  google_calendar: "Google Calendar",
+};
+
+/**
+ * Escape a value for an iCalendar TEXT property
+ * @param {string} value - Text value
+ * @returns {string} Escaped text
+ */
+function escapeText(value) {
+  return String(value || "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Fold a content line to 75 octets as required by RFC 5545
+ * @param {string} line - Content line
+ * @returns {string} Folded line
+ */
+function foldLine(line) {
+  const chunks = [];
+  let current = "";
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts toward the limit
+    const limit = chunks.length === 0 ? 75 : 74;
+
+    if (currentBytes + charBytes > limit) {
+      chunks.push(current);
+      current = "";
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  chunks.push(current);
+
+  return chunks.join("\r\n ");
+}
+
+/**
+ * Format a Date as a UTC iCalendar DATE-TIME
+ * @param {Date} date - Date
+ * @returns {string} e.g. 20250101T120000Z
+ */
+function formatUtcDateTime(date) {
+  return date
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+}
+
+/**
+ * Format a YYYY-MM-DD date as an iCalendar DATE
+ * @param {string} date - Date
+ * @returns {string} e.g. 20250101
+ */
+function formatDate(date) {
+  return String(date).replace(/-/g, "");
+}
+
+/**
+ * Add days to a YYYY-MM-DD date
+ * @param {string} date - Date
+ * @param {number} days - Days to add
+ * @returns {string} YYYY-MM-DD date
+ */
+function addDays(date, days) {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().split("T")[0];
+}
+
+/**
+ * Format local wall-clock fields as an iCalendar local DATE-TIME
+ * @param {Object} parts - year, month, day, hour, minute, second
+ * @returns {string} e.g. 20250101T090000
+ */
+function formatLocalDateTime(parts) {
+  const pad = (value) => String(value).padStart(2, "0");
+  return (
+    `${parts.year}${pad(parts.month)}${pad(parts.day)}` +
+    `T${pad(parts.hour)}${pad(parts.minute)}${pad(parts.second || 0)}`
+  );
+}
+
+/**
+ * Get the wall-clock fields of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} year, month, day, hour, minute, second
+ */
+function getZonedParts(date, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat("en-US", {
+    timeZone: timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  })
+    .formatToParts(date)
+    .forEach((part) => {
+      if (part.type !== "literal") {
+        parts[part.type] = Number(part.value);
+      }
+    });
+  return parts;
+}
+
+/**
+ * Get a time zone's UTC offset at an instant
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Offset in minutes east of UTC
+ */
+function getOffsetMinutes(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  const wallClock = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+  return Math.round(
+    (wallClock - Math.floor(date.getTime() / 1000) * 1000) / 60000
+  );
+}
+
+/**
+ * Format an offset as an iCalendar UTC-OFFSET
+ * @param {number} minutes - Offset in minutes east of UTC
+ * @returns {string} e.g. -0500
+ */
+function formatOffset(minutes) {
+  const sign = minutes < 0 ? "-" : "+";
+  const absolute = Math.abs(minutes);
+  return (
+    sign +
+    String(Math.floor(absolute / 60)).padStart(2, "0") +
+    String(absolute % 60).padStart(2, "0")
+  );
+}
+
+/**
+ * Find the instants a time zone's offset changes between two years
+ * @param {string} timeZone - IANA time zone
+ * @param {number} fromYear - First year
+ * @param {number} toYear - Last year
+ * @returns {Object[]} Transitions with instant and offsets
+ */
+function findOffsetTransitions(timeZone, fromYear, toYear) {
+  const transitions = [];
+  const step = 7 * 24 * 60 * 60 * 1000;
+  const end = Date.UTC(toYear + 1, 0, 1);
+  const start = Date.UTC(fromYear, 0, 1);
+  let previousOffset = getOffsetMinutes(new Date(start), timeZone);
+
+  for (let time = start + step; time <= end; time += step) {
+    const offset = getOffsetMinutes(new Date(time), timeZone);
+
+    if (offset !== previousOffset) {
+      // Narrow the change down to the first minute with the new offset
+      let low = (time - step) / 60000;
+      let high = time / 60000;
+      while (high - low > 1) {
+        const middle = Math.floor((low + high) / 2);
+        if (getOffsetMinutes(new Date(middle * 60000), timeZone) === offset) {
+          high = middle;
+        } else {
+          low = middle;
+        }
+      }
+      transitions.push({
+        at: new Date(high * 60000),
+        offsetFrom: previousOffset,
+        offsetTo: offset,
+      });
+      previousOffset = offset;
+    }
+  }
+
+  return transitions;
+}
+
+/**
+ * Build a VTIMEZONE component covering the given years
+ * @param {string} timeZone - IANA time zone
+ * @param {number} fromYear - First year
+ * @param {number} toYear - Last year
+ * @returns {string[]} Content lines
+ */
+function buildTimezone(timeZone, fromYear, toYear) {
+  const lines = ["BEGIN:VTIMEZONE", `TZID:${timeZone}`];
+  const transitions = findOffsetTransitions(timeZone, fromYear, toYear);
+
+  if (transitions.length === 0) {
+    const offset = formatOffset(
+      getOffsetMinutes(new Date(Date.UTC(fromYear, 0, 1)), timeZone)
+    );
+    lines.push(
+      "BEGIN:STANDARD",
+      "DTSTART:19700101T000000",
+      `TZOFFSETFROM:${offset}`,
+      `TZOFFSETTO:${offset}`,
+      "END:STANDARD"
+    );
+  }
+
+  for (const transition of transitions) {
+    // DTSTART is the local time of the change, in the offset before it
+    const local = new Date(
+      transition.at.getTime() + transition.offsetFrom * 60000
+    );
+    const component =
+      transition.offsetTo > transition.offsetFrom ? "DAYLIGHT" : "STANDARD";
+
+    lines.push(
+      `BEGIN:${component}`,
+      `DTSTART:${formatLocalDateTime(getZonedParts(local, "UTC"))}`,
+      `TZOFFSETFROM:${formatOffset(transition.offsetFrom)}`,
+      `TZOFFSETTO:${formatOffset(transition.offsetTo)}`,
+      `END:${component}`
+    );
+  }
+
+  lines.push("END:VTIMEZONE");
+  return lines;
+}
+
+/**
+ * Get the UTC instant of a wall-clock time in a time zone
+ * @param {Object} parts - year, month, day, hour, minute, second
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} Instant
+ */
+function zonedTimeToUtc(parts, timeZone) {
+  const floating = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second || 0
+  );
+  // Correct the offset guess once so times near DST changes land right
+  let instant =
+    floating - getOffsetMinutes(new Date(floating), timeZone) * 60000;
+  instant = floating - getOffsetMinutes(new Date(instant), timeZone) * 60000;
+  return new Date(instant);
+}
+
+/**
+ * Build the RRULE and EXDATE lines of a recurring calendar_events row. A
+ * date-only UNTIL is stored for readability; with a TZID start, RFC 5545
+ * needs it as a UTC time, so it becomes the end of that day in the zone.
+ * @param {Object} event - calendar_events row with recurrence_rule
+ * @param {string} timeZone - IANA time zone of the series
+ * @returns {string[]} Content lines, e.g. ["RRULE:...", "EXDATE;TZID=...:..."]
+ */
+function buildRecurrenceLines(event, timeZone) {
+  if (!event.recurrence_rule) {
+    return [];
+  }
+
+  const rule = event.recurrence_rule.replace(
+    /UNTIL=(\d{4})(\d{2})(\d{2})(?=;|$)/,
+    (match, year, month, day) => {
+      if (!event.due_time) {
+        return match;
+      }
+      const until = zonedTimeToUtc(
+        {
+          year: Number(year),
+          month: Number(month),
+          day: Number(day),
+          hour: 23,
+          minute: 59,
+          second: 59,
+        },
+        timeZone
+      );
+      return `UNTIL=${formatUtcDateTime(until)}`;
+    }
+  );
+  const lines = [`RRULE:${rule}`];
+
+  const exceptions = event.recurrence_exceptions || [];
+  if (exceptions.length > 0) {
+    if (event.due_time) {
+      const [hour, minute] = event.due_time.split(":").map(Number);
+      const values = exceptions.map((date) => {
+        const [year, month, day] = date.split("-").map(Number);
+        return formatLocalDateTime({ year, month, day, hour, minute });
+      });
+      lines.push(`EXDATE;TZID=${timeZone}:${values.join(",")}`);
+    } else {
+      lines.push(`EXDATE;VALUE=DATE:${exceptions.map(formatDate).join(",")}`);
+    }
+  }
+
+  return lines;
+}
+
+/**
+ * Get the end of a timed calendar_events row as a date and HH:MM time
+ * @param {Object} event - calendar_events row with due_time
+ * @returns {Object} End date and time
+ */
+function getEventEnd(event) {
+  const [hour, minute] = event.due_time.split(":").map(Number);
+  let endMinutes = hour * 60 + minute + DEFAULT_EVENT_MINUTES;
+
+  if (event.end_time) {
+    const [endHour, endMinute] = event.end_time.split(":").map(Number);
+    const minutes = endHour * 60 + endMinute;
+    if (minutes > hour * 60 + minute) {
+      endMinutes = minutes;
+    }
+  }
+
+  const pad = (value) => String(value).padStart(2, "0");
+  return {
+    date: endMinutes >= 24 * 60 ? addDays(event.due_date, 1) : event.due_date,
+    time: `${pad(Math.floor(endMinutes / 60) % 24)}:${pad(endMinutes % 60)}`,
+  };
+}
+
+/**
+ * Build a VEVENT component for a calendar_events row
+ * @param {Object} event - calendar_events row
+ * @param {string} timeZone - IANA time zone for timed events
+ * @returns {string[]} Content lines
+ */
+function buildEvent(event, timeZone) {
+  const stamp = new Date(event.updated_at || event.created_at || Date.now());
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${event.id}@${UID_DOMAIN}`,
+    `DTSTAMP:${formatUtcDateTime(stamp)}`,
+    `LAST-MODIFIED:${formatUtcDateTime(stamp)}`,
+  ];
+
+  if (event.due_time) {
+    const [hour, minute] = event.due_time.split(":").map(Number);
+    const [year, month, day] = event.due_date.split("-").map(Number);
+    const start = { year, month, day, hour, minute };
+    const end = getEventEnd(event);
+    const [endYear, endMonth, endDay] = end.date.split("-").map(Number);
+    const [endHour, endMinute] = end.time.split(":").map(Number);
+
+    lines.push(
+      `DTSTART;TZID=${timeZone}:${formatLocalDateTime(start)}`,
+      `DTEND;TZID=${timeZone}:${formatLocalDateTime({
+        year: endYear,
+        month: endMonth,
+        day: endDay,
+        hour: endHour,
+        minute: endMinute,
+      })}`
+    );
+  } else {
+    lines.push(
+      `DTSTART;VALUE=DATE:${formatDate(event.due_date)}`,
+      `DTEND;VALUE=DATE:${formatDate(addDays(event.due_date, 1))}`
+    );
+  }
+
+  lines.push(...buildRecurrenceLines(event, timeZone));
+  lines.push(`SUMMARY:${escapeText(event.title)}`);
+
+  if (event.location) {
+    lines.push(`LOCATION:${escapeText(event.location)}`);
+  }
+
+  if (event.description) {
+    lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  }
+
+  const category = EVENT_TYPE_CATEGORIES[event.event_type];
+  if (category) {
+    lines.push(`CATEGORIES:${escapeText(category)}`);
+  }
+
+  lines.push("END:VEVENT");
+  return lines;
+}
+
+/**
+ * Generate an iCalendar feed from calendar_events rows
+ * @param {Object} options - Feed options
+ * @param {string} options.name - Calendar name
+ * @param {string} options.timeZone - IANA time zone for timed events
+ * @param {Object[]} options.events - calendar_events rows
+ * @returns {string} iCalendar document
+ */
+function generateCalendarFeed({ name, timeZone, events }) {
+  const years = events
+    .map((event) => Number(String(event.due_date).slice(0, 4)))
+    .filter(Boolean);
+  // Offset changes are found a week at a time, so years are clamped
+  const currentYear = new Date().getUTCFullYear();
+  const fromYear = Math.max(
+    currentYear - TIMEZONE_YEAR_SPAN,
+    Math.min(currentYear, ...years)
+  );
+  const toYear = Math.min(
+    currentYear + TIMEZONE_YEAR_SPAN,
+    Math.max(currentYear, ...years)
+  );
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${timeZone}`,
+    ...buildTimezone(timeZone, fromYear, toYear),
+  ];
+
+  events
+    .filter((event) => event.due_date)
+    .forEach((event) => lines.push(...buildEvent(event, timeZone)));
+
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+/**
+ * Check whether a string is a valid IANA time zone
+ * @param {string} timeZone - Time zone
+ * @returns {boolean} Whether the time zone is valid
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timeZone });
+    return !!timeZone;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  generateCalendarFeed,
+  buildRecurrenceLines,
+  getEventEnd,
+  zonedTimeToUtc,
+  escapeText,
+  foldLine,
+  getOffsetMinutes,
+  getZonedParts,
+  isValidTimeZone,
+  EVENT_TYPE_CATEGORIES,
+};
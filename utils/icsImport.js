@@ -0,0 +1,462 @@
+const { RRule } = require("rrule");
+const { getOffsetMinutes, getZonedParts, isValidTimeZone } = require("./ics");
+
+const MAX_OCCURRENCES_PER_EVENT = 500;
+// Occurrences generated per rule, including those before the range, so a
+// fine-grained rule with an old DTSTART stays cheap to expand
+const MAX_RECURRENCE_STEPS = 10000;
+const DEFAULT_RECURRENCE_YEARS = 2;
+
+// IANA zones for the Windows zone names used by Outlook and Exchange exports
+const WINDOWS_TIME_ZONES = {
+  "Dateline Standard Time": "Etc/GMT+12",
+  "Hawaiian Standard Time": "Pacific/Honolulu",
+  "Alaskan Standard Time": "America/Anchorage",
+  "Pacific Standard Time": "America/Los_Angeles",
+  "US Mountain Standard Time": "America/Phoenix",
+  "Mountain Standard Time": "America/Denver",
+  "Central Standard Time": "America/Chicago",
+  "Central America Standard Time": "America/Guatemala",
+  "Canada Central Standard Time": "America/Regina",
+  "Mexico Standard Time": "America/Mexico_City",
+  "Eastern Standard Time": "America/New_York",
+  "US Eastern Standard Time": "America/Indiana/Indianapolis",
+  "Atlantic Standard Time": "America/Halifax",
+  "Newfoundland Standard Time": "America/St_Johns",
+  "E. South America Standard Time": "America/Sao_Paulo",
+  "Argentina Standard Time": "America/Buenos_Aires",
+  "Coordinated Universal Time": "UTC",
+  "GMT Standard Time": "Europe/London",
+  "Greenwich Standard Time": "Atlantic/Reykjavik",
+  "W. Europe Standard Time": "Europe/Berlin",
+  "Romance Standard Time": "Europe/Paris",
+  "Central Europe Standard Time": "Europe/Budapest",
+  "Central European Standard Time": "Europe/Warsaw",
+  "E. Europe Standard Time": "Europe/Chisinau",
+  "FLE Standard Time": "Europe/Kiev",
+  "GTB Standard Time": "Europe/Bucharest",
+  "Israel Standard Time": "Asia/Jerusalem",
+  "South Africa Standard Time": "Africa/Johannesburg",
+  "Russian Standard Time": "Europe/Moscow",
+  "Arabian Standard Time": "Asia/Dubai",
+  "India Standard Time": "Asia/Kolkata",
+  "China Standard Time": "Asia/Shanghai",
+  "Singapore Standard Time": "Asia/Singapore",
+  "Tokyo Standard Time": "Asia/Tokyo",
+  "Korea Standard Time": "Asia/Seoul",
+  "AUS Eastern Standard Time": "Australia/Sydney",
+  "E. Australia Standard Time": "Australia/Brisbane",
+  "Cen. Australia Standard Time": "Australia/Adelaide",
+  "W. Australia Standard Time": "Australia/Perth",
+  "New Zealand Standard Time": "Pacific/Auckland",
+};
+
+/**
+ * Unescape an iCalendar TEXT value
+ * @param {string} value - Escaped text
+ * @returns {string} Text
+ */
+function unescapeText(value) {
+  return String(value || "").replace(/\\([\\;,nN])/g, (match, char) =>
+    char === "n" || char === "N" ? "\n" : char
+  );
+}
+
+/**
+ * Parse a content line into name, parameters and value
+ * @param {string} line - Unfolded content line
+ * @returns {Object|null} Parsed property
+ */
+function parseContentLine(line) {
+  // The value starts at the first colon outside a quoted parameter value
+  let inQuotes = false;
+  let separator = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') {
+      inQuotes = !inQuotes;
+    } else if (line[i] === ":" && !inQuotes) {
+      separator = i;
+      break;
+    }
+  }
+
+  if (separator === -1) {
+    return null;
+  }
+
+  const [name, ...rawParams] = line.slice(0, separator).split(";");
+  const params = {};
+  rawParams.forEach((param) => {
+    const [key, ...rest] = param.split("=");
+    params[key.toUpperCase()] = rest.join("=").replace(/^"|"$/g, "");
+  });
+
+  return {
+    name: name.toUpperCase(),
+    params: params,
+    value: line.slice(separator + 1),
+  };
+}
+
+/**
+ * Parse the VEVENT components of an iCalendar document
+ * @param {string} text - iCalendar document
+ * @returns {Object[]} VEVENTs as maps of property name to property list
+ */
+function parseIcs(text) {
+  const lines = String(text)
+    .replace(/\r\n|\r/g, "\n")
+    .replace(/\n[ \t]/g, "") // unfold continuation lines
+    .split("\n");
+
+  if (!lines.some((line) => line.trim().toUpperCase() === "BEGIN:VCALENDAR")) {
+    throw new Error("File is not an iCalendar document");
+  }
+
+  const events = [];
+  const stack = [];
+  let current = null;
+
+  for (const line of lines) {
+    const property = parseContentLine(line.trim());
+    if (!property) {
+      continue;
+    }
+
+    if (property.name === "BEGIN") {
+      stack.push(property.value.toUpperCase());
+      if (property.value.toUpperCase() === "VEVENT") {
+        current = {};
+      }
+    } else if (property.name === "END") {
+      if (stack.pop() === "VEVENT" && current) {
+        events.push(current);
+        current = null;
+      }
+    } else if (current && stack[stack.length - 1] === "VEVENT") {
+      current[property.name] = current[property.name] || [];
+      current[property.name].push(property);
+    }
+  }
+
+  return events;
+}
+
+/**
+ * Resolve a TZID to an IANA time zone. Windows zone names are mapped; zones
+ * that still aren't recognized fall back to the default.
+ * @param {string} [tzid] - TZID parameter
+ * @param {string} defaultZone - Zone for missing or unknown TZIDs
+ * @returns {string} IANA time zone
+ */
+function resolveTimeZone(tzid, defaultZone) {
+  if (!tzid) {
+    return defaultZone;
+  }
+  const zone = WINDOWS_TIME_ZONES[tzid] || tzid;
+  return isValidTimeZone(zone) ? zone : defaultZone;
+}
+
+/**
+ * Parse an iCalendar DATE or DATE-TIME value
+ * @param {Object} property - Parsed property
+ * @param {string} defaultZone - Zone for floating times
+ * @returns {Object} Wall-clock fields, zone and whether it is date-only
+ */
+function parseDateValue(property, defaultZone) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(
+    property.value.trim()
+  );
+
+  if (!match) {
+    throw new Error(`Invalid date value: ${property.value}`);
+  }
+
+  const [, year, month, day, hour, minute, second, utc] = match;
+  const dateOnly = property.params.VALUE === "DATE" || hour === undefined;
+
+  return {
+    year: Number(year),
+    month: Number(month),
+    day: Number(day),
+    hour: dateOnly ? 0 : Number(hour),
+    minute: dateOnly ? 0 : Number(minute),
+    second: dateOnly ? 0 : Number(second || 0),
+    dateOnly: dateOnly,
+    zone: utc ? "UTC" : resolveTimeZone(property.params.TZID, defaultZone),
+  };
+}
+
+/**
+ * Represent wall-clock fields as a Date whose UTC fields match them
+ * @param {Object} parts - Wall-clock fields
+ * @returns {Date} Floating date
+ */
+function toFloatingDate(parts) {
+  return new Date(
+    Date.UTC(
+      parts.year,
+      parts.month - 1,
+      parts.day,
+      parts.hour,
+      parts.minute,
+      parts.second || 0
+    )
+  );
+}
+
+/**
+ * Read wall-clock fields back from a floating date
+ * @param {Date} date - Floating date
+ * @returns {Object} Wall-clock fields
+ */
+function fromFloatingDate(date) {
+  return getZonedParts(date, "UTC");
+}
+
+/**
+ * Convert wall-clock fields from one time zone to another
+ * @param {Object} parts - Wall-clock fields
+ * @param {string} fromZone - Zone the fields are in
+ * @param {string} toZone - Zone to convert to
+ * @returns {Object} Wall-clock fields in toZone
+ */
+function convertWallClock(parts, fromZone, toZone) {
+  if (fromZone === toZone) {
+    return parts;
+  }
+
+  // Resolve the instant, correcting the offset guess once for DST edges
+  const floating = toFloatingDate(parts).getTime();
+  let instant =
+    floating - getOffsetMinutes(new Date(floating), fromZone) * 60000;
+  instant = floating - getOffsetMinutes(new Date(instant), fromZone) * 60000;
+
+  return getZonedParts(new Date(instant), toZone);
+}
+
+/**
+ * Key an occurrence by its wall-clock start for EXDATE/RECURRENCE-ID matching
+ * @param {Object} parts - Wall-clock fields
+ * @returns {string} Occurrence key
+ */
+function occurrenceKey(parts) {
+  return toFloatingDate(parts).toISOString();
+}
+
+/**
+ * Guess the calendar_events event_type for an imported event
+ * @param {string} summary - Event summary
+ * @param {string} categories - CATEGORIES value
+ * @returns {string} Event type
+ */
+function inferEventType(summary, categories) {
+  const text = `${categories || ""} ${summary || ""}`.toLowerCase();
+
+  if (/\b(exam|midterm|final|quiz|test)\b/.test(text)) {
+    return "exam";
+  }
+  if (/\b(read|reading|chapter|pp\.|pages)\b/.test(text)) {
+    return "reading";
+  }
+  if (
+    /\b(assignment|due|paper|memo|brief|essay|problem set|submit)\b/.test(text)
+  ) {
+    return "assignment";
+  }
+  return "other";
+}
+
+/**
+ * Expand a VEVENT's recurrence into occurrence start times
+ * @param {Object} vevent - Parsed VEVENT
+ * @param {Object} start - Parsed DTSTART
+ * @param {Object} range - Expansion range as floating dates
+ * @returns {Object[]} Wall-clock starts in the event's zone
+ */
+function expandRecurrence(vevent, start, range) {
+  if (!vevent.RRULE) {
+    const date = toFloatingDate(start);
+    return date >= range.start && date <= range.end ? [start] : [];
+  }
+
+  const ruleText = vevent.RRULE[0].value;
+  const options = RRule.parseString(ruleText);
+
+  // A UTC UNTIL is an instant; express it in the event's wall clock
+  if (options.until && /UNTIL=\d{8}T\d{6}Z/i.test(ruleText)) {
+    options.until = toFloatingDate(getZonedParts(options.until, start.zone));
+  }
+
+  const until = options.until
+    ? new Date(Math.min(options.until.getTime(), range.end.getTime()))
+    : range.end;
+  const rule = new RRule({
+    ...options,
+    dtstart: toFloatingDate(start),
+    until: until,
+  });
+
+  const occurrences = [];
+  rule.all((date, i) => {
+    if (
+      i >= MAX_RECURRENCE_STEPS ||
+      occurrences.length >= MAX_OCCURRENCES_PER_EVENT
+    ) {
+      return false;
+    }
+    if (date >= range.start) {
+      occurrences.push({ ...fromFloatingDate(date), zone: start.zone });
+    }
+    return true;
+  });
+
+  // RDATEs add extra occurrences within the range
+  for (const property of vevent.RDATE || []) {
+    for (const value of property.value.split(",")) {
+      if (occurrences.length >= MAX_OCCURRENCES_PER_EVENT) {
+        break;
+      }
+      const extra = parseDateValue({ ...property, value }, start.zone);
+      const parts = convertWallClock(extra, extra.zone, start.zone);
+      const date = toFloatingDate(parts);
+      if (date >= range.start && date <= range.end) {
+        occurrences.push(parts);
+      }
+    }
+  }
+
+  return occurrences.map((occurrence) => ({ ...occurrence, zone: start.zone }));
+}
+
+/**
+ * Turn parsed VEVENTs into calendar_events rows, expanding recurrences and
+ * removing EXDATEs, with overridden instances replacing their occurrence
+ * @param {Object[]} vevents - Parsed VEVENTs
+ * @param {Object} options - Import options
+ * @param {string} options.timeZone - Zone for the resulting due_date/due_time
+ * @param {string} [options.classId] - Class for every imported event
+ * @param {string} [options.rangeStart] - Skip occurrences before this date
+ * @param {string} [options.rangeEnd] - Skip occurrences after this date
+ * @returns {Object[]} calendar_events rows
+ */
+function mapIcsEvents(vevents, { timeZone, classId, rangeStart, rangeEnd }) {
+  const overridesByUid = new Map();
+  const masters = [];
+
+  vevents.forEach((vevent) => {
+    if (!vevent.DTSTART) {
+      return;
+    }
+    if (vevent["RECURRENCE-ID"]) {
+      const uid = vevent.UID ? vevent.UID[0].value : "";
+      const overrides = overridesByUid.get(uid) || [];
+      overrides.push(vevent);
+      overridesByUid.set(uid, overrides);
+    } else {
+      masters.push(vevent);
+    }
+  });
+
+  const rows = [];
+
+  const addRow = (vevent, parts) => {
+    const status = vevent.STATUS ? vevent.STATUS[0].value.toUpperCase() : "";
+    if (status === "CANCELLED") {
+      return;
+    }
+
+    const local = parts.dateOnly
+      ? parts
+      : convertWallClock(parts, parts.zone, timeZone);
+    const pad = (value) => String(value).padStart(2, "0");
+    const summary = unescapeText(vevent.SUMMARY && vevent.SUMMARY[0].value);
+    const categories = vevent.CATEGORIES && vevent.CATEGORIES[0].value;
+
+    rows.push({
+      title: summary || "Untitled Event",
+      description: unescapeText(
+        vevent.DESCRIPTION && vevent.DESCRIPTION[0].value
+      ),
+      event_type: inferEventType(summary, categories),
+      due_date: `${local.year}-${pad(local.month)}-${pad(local.day)}`,
+      due_time: parts.dateOnly
+        ? null
+        : `${pad(local.hour)}:${pad(local.minute)}`,
+      confidence_score: 1.0, // Imported events are exact
+      source_text: `iCalendar Event: ${summary}`,
+      class_id: classId || null,
+    });
+  };
+
+  masters.forEach((vevent) => {
+    const uid = vevent.UID ? vevent.UID[0].value : "";
+    const start = parseDateValue(vevent.DTSTART[0], timeZone);
+    const range = {
+      start: rangeStart ? new Date(`${rangeStart}T00:00:00Z`) : new Date(0),
+      end: rangeEnd
+        ? new Date(`${rangeEnd}T23:59:59Z`)
+        : new Date(
+            Date.UTC(
+              start.year + DEFAULT_RECURRENCE_YEARS,
+              start.month - 1,
+              start.day
+            )
+          ),
+    };
+
+    // Wall-clock keys in the event's zone; date-only EXDATEs remove the day
+    const toEventZone = (parsed) =>
+      parsed.dateOnly
+        ? parsed
+        : convertWallClock(parsed, parsed.zone, start.zone);
+    const excludedTimes = new Set();
+    const excludedDays = new Set();
+    (vevent.EXDATE || []).forEach((property) => {
+      property.value.split(",").forEach((value) => {
+        const exdate = parseDateValue({ ...property, value }, start.zone);
+        const key = occurrenceKey(toEventZone(exdate));
+        (exdate.dateOnly ? excludedDays : excludedTimes).add(key);
+      });
+    });
+
+    const overrides = new Map();
+    (overridesByUid.get(uid) || []).forEach((override) => {
+      const recurrenceId = parseDateValue(
+        override["RECURRENCE-ID"][0],
+        start.zone
+      );
+      overrides.set(occurrenceKey(toEventZone(recurrenceId)), override);
+    });
+
+    expandRecurrence(vevent, start, range).forEach((occurrence) => {
+      const parts = { ...occurrence, dateOnly: start.dateOnly };
+      const key = occurrenceKey(parts);
+      const dayKey = occurrenceKey({ ...parts, hour: 0, minute: 0, second: 0 });
+
+      if (excludedTimes.has(key) || excludedDays.has(dayKey)) {
+        return;
+      }
+
+      const override = overrides.get(key);
+      if (override) {
+        addRow(override, parseDateValue(override.DTSTART[0], start.zone));
+      } else {
+        addRow(vevent, parts);
+      }
+    });
+  });
+
+  return rows.sort((a, b) =>
+    `${a.due_date} ${a.due_time || ""}`.localeCompare(
+      `${b.due_date} ${b.due_time || ""}`
+    )
+  );
+}
+
+module.exports = {
+  parseIcs,
+  mapIcsEvents,
+  inferEventType,
+  unescapeText,
+};
@@ -0,0 +1,145 @@
+const crypto = require("crypto");
+const { createClient } = require("@supabase/supabase-js");
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const STATE_TTL_MS = 10 * 60 * 1000; // 10 minutes
+
+/**
+ * Get the secret used to sign OAuth state values
+ * @returns {string} Signing secret
+ */
+function getStateSecret() {
+  const secret = process.env.OAUTH_STATE_SECRET;
+
+  if (!secret) {
+    throw new Error("OAUTH_STATE_SECRET is not configured");
+  }
+
+  return secret;
+}
+
+/**
+ * Compute a base64url HMAC of a value
+ * @param {string} value - Value to sign
+ * @returns {string} Signature
+ */
+function sign(value) {
+  return crypto
+    .createHmac("sha256", getStateSecret())
+    .update(value)
+    .digest("base64url");
+}
+
+/**
+ * Derive the PKCE code verifier for a state nonce. The verifier never leaves
+ * the server, so it can be recomputed at callback time instead of stored.
+ * @param {string} nonce - State nonce
+ * @returns {string} PKCE code verifier
+ */
+function deriveCodeVerifier(nonce) {
+  return sign(`pkce:${nonce}`);
+}
+
+/**
+ * Create a signed, expiring OAuth state bound to a user
+ * @param {string} userId - User ID
+ * @returns {Object} State value and PKCE code challenge
+ */
+function createOAuthState(userId) {
+  const nonce = crypto.randomBytes(16).toString("base64url");
+  const payload = Buffer.from(
+    JSON.stringify({
+      uid: userId,
+      nonce: nonce,
+      exp: Date.now() + STATE_TTL_MS,
+    })
+  ).toString("base64url");
+
+  const codeChallenge = crypto
+    .createHash("sha256")
+    .update(deriveCodeVerifier(nonce))
+    .digest("base64url");
+
+  return {
+    state: `${payload}.${sign(payload)}`,
+    codeChallenge: codeChallenge,
+  };
+}
+
+/**
+ * Verify an OAuth state value and mark it as used
+ * @param {string} state - State value from the callback
+ * @param {string} userId - Authenticated user ID
+ * @returns {Promise<Object>} Verification result
+ */
+async function consumeOAuthState(state, userId) {
+  if (!state) {
+    return { valid: false, status: 400, error: "OAuth state is required" };
+  }
+
+  const [payload, signature] = String(state).split(".");
+  const expected = payload ? sign(payload) : "";
+
+  if (
+    !signature ||
+    signature.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+  ) {
+    return { valid: false, status: 400, error: "Invalid OAuth state" };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  } catch (parseError) {
+    return { valid: false, status: 400, error: "Invalid OAuth state" };
+  }
+
+  if (!data.exp || Date.now() > data.exp) {
+    return { valid: false, status: 400, error: "OAuth state has expired" };
+  }
+
+  if (data.uid !== userId) {
+    return {
+      valid: false,
+      status: 403,
+      error: "OAuth state does not match authenticated user",
+    };
+  }
+
+  // Record the nonce; the primary key rejects a second use
+  const { error: insertError } = await supabase
+    .from("google_oauth_states")
+    .insert({
+      nonce: data.nonce,
+      user_id: userId,
+      expires_at: new Date(data.exp).toISOString(),
+    });
+
+  if (insertError) {
+    if (insertError.code === "23505") {
+      return {
+        valid: false,
+        status: 409,
+        error: "OAuth state has already been used",
+      };
+    }
+    throw new Error(`Failed to record OAuth state: ${insertError.message}`);
+  }
+
+  return {
+    valid: true,
+    codeVerifier: deriveCodeVerifier(data.nonce),
+  };
+}
+
+module.exports = {
+  createOAuthState,
+  consumeOAuthState,
+  STATE_TTL_MS,
+};
@@ -0,0 +1,131 @@
+const { EDITABLE_EVENT_TYPES, isValidTime } = require("./eventSchema");
+
+// Google Calendar limits
+const MAX_REMINDERS = 5;
+const MAX_REMINDER_MINUTES = 40320; // 4 weeks
+
+const REMINDER_METHODS = ["email", "popup"];
+
+// Keys a user may set rules for; "default" covers every other event type
+const REMINDER_KEYS = ["default", ...EDITABLE_EVENT_TYPES, "google_calendar"];
+
+// Used for event types the user hasn't configured
+const DEFAULT_REMINDER_RULES = {
+  default: [
+    { method: "email", days: 1 }, // 1 day before
+    { method: "popup", minutes: 30 }, // 30 minutes before
+  ],
+};
+
+/**
+ * Validate reminder rules keyed by event type. Each rule is either
+ * { method, minutes } before the event, or { method, days, at } for a time
+ * of day some days before it, e.g. the evening before a reading is
+ * { method: "popup", days: 1, at: "19:00" }. Without `at`, days count back
+ * from the event's start.
+ * @param {Object} rules - Rules by event type
+ * @returns {string[]} Errors
+ */
+function validateReminderRules(rules) {
+  if (!rules || typeof rules !== "object" || Array.isArray(rules)) {
+    return ["reminders: must be an object keyed by event type"];
+  }
+
+  const errors = [];
+  Object.entries(rules).forEach(([key, list]) => {
+    if (!REMINDER_KEYS.includes(key)) {
+      errors.push(`reminders: keys must be one of ${REMINDER_KEYS.join(", ")}`);
+      return;
+    }
+    if (!Array.isArray(list) || list.length > MAX_REMINDERS) {
+      errors.push(
+        `reminders.${key}: must be a list of at most ${MAX_REMINDERS} reminders`
+      );
+      return;
+    }
+
+    list.forEach((rule, index) => {
+      const path = `reminders.${key}[${index}]`;
+      if (!rule || typeof rule !== "object") {
+        errors.push(`${path}: must be an object`);
+        return;
+      }
+      if (!REMINDER_METHODS.includes(rule.method)) {
+        errors.push(`${path}.method: must be one of email, popup`);
+      }
+      if (rule.minutes !== undefined) {
+        if (
+          !Number.isInteger(rule.minutes) ||
+          rule.minutes < 0 ||
+          rule.minutes > MAX_REMINDER_MINUTES
+        ) {
+          errors.push(
+            `${path}.minutes: must be a whole number from 0 to ${MAX_REMINDER_MINUTES}`
+          );
+        }
+        if (rule.days !== undefined || rule.at !== undefined) {
+          errors.push(`${path}: use either minutes or days, not both`);
+        }
+      } else if (
+        !Number.isInteger(rule.days) ||
+        rule.days < 0 ||
+        rule.days > 28
+      ) {
+        errors.push(`${path}.days: must be a whole number from 0 to 28`);
+      }
+      if (rule.at !== undefined && !isValidTime(rule.at)) {
+        errors.push(`${path}.at: must be a 24-hour time in HH:MM format`);
+      }
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * Get the Google reminder overrides for an event
+ * @param {Object} eventData - calendar_events row or event data
+ * @param {Object} [rules] - User's rules by event type
+ * @returns {Object[]} Overrides with method and minutes before the start
+ */
+function getReminderOverrides(eventData, rules) {
+  const merged = { ...DEFAULT_REMINDER_RULES, ...(rules || {}) };
+  const list = merged[eventData.event_type] || merged.default || [];
+
+  // All-day events start at midnight
+  const toMinutes = (time) => {
+    const [hour, minute] = time.split(":").map(Number);
+    return hour * 60 + minute;
+  };
+  const startMinutes = eventData.due_time ? toMinutes(eventData.due_time) : 0;
+
+  const overrides = [];
+  list.forEach((rule) => {
+    let minutes = rule.minutes;
+    if (minutes === undefined) {
+      minutes = rule.days * 24 * 60;
+      if (rule.at) {
+        minutes += startMinutes - toMinutes(rule.at);
+      }
+    }
+
+    // Skip times that fall after the start or beyond what Google allows
+    if (
+      minutes >= 0 &&
+      minutes <= MAX_REMINDER_MINUTES &&
+      !overrides.some(
+        (item) => item.method === rule.method && item.minutes === minutes
+      )
+    ) {
+      overrides.push({ method: rule.method, minutes: minutes });
+    }
+  });
+
+  return overrides.slice(0, MAX_REMINDERS);
+}
+
+module.exports = {
+  DEFAULT_REMINDER_RULES,
+  validateReminderRules,
+  getReminderOverrides,
+};
@@ -0,0 +1,632 @@
+const { formatPagesForPrompt, findSourcePage } = require("./documentText");
+const { validateExtractedEvent, normalizeTitle } = require("./eventSchema");
+const { resolveEventDates } = require("./termCalendar");
+const {
+  validateExtractedMeeting,
+  buildMeetingSeries,
+} = require("./classMeetings");
+
+const MAX_CHUNK_CHARS = 12000;
+const CHUNK_OVERLAP_CHARS = 1500;
+const MAX_REPAIR_ATTEMPTS = 2;
+
+// Lines that start a new section: week/class headings, numbered parts,
+// markdown headings and short all-caps titles
+const SECTION_HEADING_PATTERNS = [
+  /^(week|class|session|unit|module|part|chapter|lecture|topic)\s+[0-9ivx]+\b/i,
+  /^#{1,6}\s+\S/,
+  /^[A-Z][A-Z0-9 &:,'()-]{3,60}$/,
+];
+
+/**
+ * Check whether a line looks like a section heading
+ * @param {string} line - Line of syllabus text
+ * @returns {boolean} Whether the line starts a section
+ */
+function isSectionHeading(line) {
+  const trimmed = line.trim();
+  return (
+    trimmed.length > 0 &&
+    SECTION_HEADING_PATTERNS.some((pattern) => pattern.test(trimmed))
+  );
+}
+
+/**
+ * Split pages into sections at headings, keeping each line's page
+ * @param {Object[]} pages - Pages with pageNumber and text
+ * @returns {Object[][]} Sections as lists of { pageNumber, text } lines
+ */
+function splitIntoSections(pages) {
+  const sections = [];
+  let current = [];
+
+  pages.forEach((page) => {
+    page.text.split("\n").forEach((text) => {
+      if (isSectionHeading(text) && current.length > 0) {
+        sections.push(current);
+        current = [];
+      }
+      current.push({ pageNumber: page.pageNumber, text: text });
+    });
+  });
+
+  if (current.length > 0) {
+    sections.push(current);
+  }
+
+  return sections;
+}
+
+/**
+ * Count the characters in a list of lines
+ * @param {Object[]} lines - Lines
+ * @returns {number} Character count including newlines
+ */
+function countChars(lines) {
+  return lines.reduce((total, line) => total + line.text.length + 1, 0);
+}
+
+/**
+ * Regroup lines into pages so chunk prompts keep their page markers
+ * @param {Object[]} lines - Lines with pageNumber
+ * @returns {Object[]} Pages with pageNumber and text
+ */
+function linesToPages(lines) {
+  const pages = [];
+
+  lines.forEach((line) => {
+    const last = pages[pages.length - 1];
+    if (last && last.pageNumber === line.pageNumber) {
+      last.lines.push(line.text);
+    } else {
+      pages.push({ pageNumber: line.pageNumber, lines: [line.text] });
+    }
+  });
+
+  return pages.map((page) => ({
+    pageNumber: page.pageNumber,
+    text: page.lines.join("\n"),
+  }));
+}
+
+/**
+ * Split a document into overlapping chunks along section boundaries. Each
+ * chunk repeats the end of the previous one so events spanning a boundary
+ * are seen whole at least once.
+ * @param {Object[]} pages - Pages with pageNumber and text
+ * @param {Object} [options] - Chunking options
+ * @param {number} [options.maxChars] - Target maximum characters per chunk
+ * @param {number} [options.overlapChars] - Characters repeated between chunks
+ * @returns {Object[][]} Chunks as lists of pages
+ */
+function chunkPages(
+  pages,
+  { maxChars = MAX_CHUNK_CHARS, overlapChars = CHUNK_OVERLAP_CHARS } = {}
+) {
+  // Sections longer than a chunk are split into chunk-sized runs of lines
+  const pieces = [];
+  splitIntoSections(pages).forEach((section) => {
+    let piece = [];
+    section.forEach((line) => {
+      if (
+        piece.length > 0 &&
+        countChars(piece) + line.text.length >= maxChars
+      ) {
+        pieces.push(piece);
+        piece = [];
+      }
+      piece.push(line);
+    });
+    pieces.push(piece);
+  });
+
+  const chunks = [];
+  let current = [];
+  let currentHasNewText = false;
+
+  pieces.forEach((piece) => {
+    if (
+      currentHasNewText &&
+      countChars(current) + countChars(piece) > maxChars
+    ) {
+      chunks.push(current);
+
+      // Carry the tail of the finished chunk into the next one
+      const overlap = [];
+      for (let i = current.length - 1; i >= 0; i--) {
+        if (countChars(overlap) + current[i].text.length >= overlapChars) {
+          break;
+        }
+        overlap.unshift(current[i]);
+      }
+      current = overlap;
+      currentHasNewText = false;
+    }
+
+    current = current.concat(piece);
+    currentHasNewText = true;
+  });
+
+  if (currentHasNewText) {
+    chunks.push(current);
+  }
+
+  return chunks.map(linesToPages);
+}
+
+/**
+ * Describe the term calendar for the prompt
+ * @param {Object} term - Term from parseTerm
+ * @returns {string} Term description
+ */
+function describeTerm(term) {
+  const weekdays = [
+    "Sunday",
+    "Monday",
+    "Tuesday",
+    "Wednesday",
+    "Thursday",
+    "Friday",
+    "Saturday",
+  ];
+  const lines = [`The term runs from ${term.startDate} to ${term.endDate}.`];
+
+  if (term.meetingDays.length > 0) {
+    lines.push(
+      `Classes meet on ${term.meetingDays.map((day) => weekdays[day]).join(", ")}.`
+    );
+  }
+  term.breaks.forEach((item) => {
+    lines.push(`${item.name}: ${item.startDate} to ${item.endDate}.`);
+  });
+
+  return lines.join("\n    ");
+}
+
+/**
+ * Build the event extraction prompt for a chunk of syllabus pages
+ * @param {Object[]} pages - Pages with pageNumber and text
+ * @param {Object} [part] - Position of the chunk in the document
+ * @param {number} part.index - Zero-based chunk index
+ * @param {number} part.count - Number of chunks
+ * @param {Object} [term] - Term from parseTerm
+ * @returns {string} Prompt
+ */
+function buildExtractionPrompt(pages, part, term) {
+  const partNote =
+    part && part.count > 1
+      ? `This is part ${part.index + 1} of ${part.count} of a longer syllabus; ` +
+        "parts overlap slightly, so only extract events that appear in this part."
+      : "";
+  const termNote = term
+    ? `\n    Term calendar:\n    ${describeTerm(term)}\n`
+    : "";
+
+  return `
+    You are an expert at analyzing academic syllabi and extracting calendar events.
+    Given the following syllabus content, extract all calendar events (assignments, exams, readings, etc.)
+    and return them in a structured JSON format.
+
+    Each page of the syllabus starts with a [Page N] marker. ${partNote}
+    ${termNote}
+    Syllabus Content:
+    ${formatPagesForPrompt(pages)}
+
+    Please extract all calendar events and return them in the following JSON format:
+    {
+      "events": [
+        {
+          "title": "Event title",
+          "description": "Event description or details",
+          "event_type": "assignment|exam|reading|other",
+          "due_date": "YYYY-MM-DD" (null if the date cannot be determined),
+          "date_text": "the date exactly as written, e.g. Oct. 15 or Week 4, Class 2",
+          "due_time": "HH:MM" (optional, null if not specified),
+          "confidence_score": 0.95 (confidence in extraction, 0-1),
+          "source_text": "exact text from syllabus that led to this extraction",
+          "source_page": 1 (page number from the [Page N] marker)
+        }
+      ],
+      "meetings": [
+        {
+          "title": "Course name, e.g. Torts",
+          "days": ["MO", "WE", "FR"],
+          "start_time": "HH:MM",
+          "end_time": "HH:MM" (null if not specified),
+          "location": "Room or building" (null if not specified),
+          "start_date": "YYYY-MM-DD" (null to use the term start),
+          "end_date": "YYYY-MM-DD" (null to use the term end),
+          "confidence_score": 0.95,
+          "source_text": "exact text describing the meeting pattern",
+          "source_page": 1
+        }
+      ]
+    }
+
+    Rules:
+    1. Only extract actual calendar events (assignments, exams, readings, etc.)
+    2. Convert all dates to YYYY-MM-DD format; if a date is relative (e.g. "Week 4, Class 2",
+       "the Tuesday after Spring Break") and you cannot work it out, set due_date to null
+    3. If time is mentioned, include it in due_time (HH:MM format)
+    4. Set confidence_score based on how clear the event information is
+    5. Include the exact text from the syllabus that led to each extraction,
+       without the page marker, and the page it appears on
+    6. If no clear events are found, return an empty events array
+    7. Be conservative - only extract events you're confident about
+    8. Put regular class sessions (e.g. "Torts meets MWF 9:00-10:15 in Room 204") in meetings
+       as one pattern, not as separate events; return an empty meetings array if there are none
+
+    Return only the JSON object, no additional text.
+    `;
+}
+
+/**
+ * Parse the events and class meetings out of a model response
+ * @param {string} text - Raw model response
+ * @returns {Object} Extracted events and meetings
+ */
+function parseExtractionResponse(text) {
+  // Models sometimes wrap the JSON in a code fence or add a sentence around it
+  const cleaned = String(text || "")
+    .replace(/```(?:json)?/gi, "")
+    .trim();
+
+  let extractedData;
+  try {
+    extractedData = JSON.parse(cleaned);
+  } catch (error) {
+    const jsonMatch = cleaned.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) {
+      throw new Error("No JSON found in AI response");
+    }
+    extractedData = JSON.parse(jsonMatch[0]);
+  }
+
+  if (!extractedData.events || !Array.isArray(extractedData.events)) {
+    throw new Error("Expected events array not found");
+  }
+  if (
+    extractedData.meetings !== undefined &&
+    !Array.isArray(extractedData.meetings)
+  ) {
+    throw new Error("Expected meetings to be an array");
+  }
+
+  return {
+    events: extractedData.events,
+    meetings: extractedData.meetings || [],
+  };
+}
+
+/**
+ * Parse and validate a model response
+ * @param {string} text - Raw model response
+ * @returns {Object} Valid events and meetings, invalid items with their
+ * errors, and whether the response could be parsed at all
+ */
+function checkExtractionResponse(text) {
+  let extracted;
+  try {
+    extracted = parseExtractionResponse(text);
+  } catch (parseError) {
+    return {
+      parsed: false,
+      events: [],
+      meetings: [],
+      invalid: [],
+      errors: [`response: ${parseError.message}`],
+    };
+  }
+
+  const events = [];
+  const meetings = [];
+  const invalid = [];
+  const addInvalid = (list, item, index, errors) => {
+    invalid.push({
+      list: list,
+      index: index,
+      title: item && typeof item.title === "string" ? item.title : null,
+      errors: errors,
+    });
+  };
+
+  extracted.events.forEach((event, index) => {
+    const result = validateExtractedEvent(event);
+    if (result.valid) {
+      events.push(result.event);
+    } else {
+      addInvalid("events", event, index, result.errors);
+    }
+  });
+  extracted.meetings.forEach((meeting, index) => {
+    const result = validateExtractedMeeting(meeting);
+    if (result.valid) {
+      meetings.push(meeting);
+    } else {
+      addInvalid("meetings", meeting, index, result.errors);
+    }
+  });
+
+  return {
+    parsed: true,
+    events: events,
+    meetings: meetings,
+    invalid: invalid,
+    errors: invalid.flatMap((item) =>
+      item.errors.map((error) => `${item.list}[${item.index}].${error}`)
+    ),
+  };
+}
+
+/**
+ * Build a prompt asking the model to fix its previous response
+ * @param {string} prompt - Original extraction prompt
+ * @param {string} response - Previous model response
+ * @param {string[]} errors - Validation errors in the response
+ * @returns {string} Repair prompt
+ */
+function buildRepairPrompt(prompt, response, errors) {
+  return `${prompt}
+
+    Your previous response did not match the required format:
+    ${response}
+
+    Validation errors:
+    ${errors.map((error) => `- ${error}`).join("\n    ")}
+
+    Return the complete corrected JSON object in the same format, fixing the
+    listed problems. Use a null due_date with date_text for dates you cannot determine.
+    Return only the JSON object, no additional text.
+    `;
+}
+
+/**
+ * Extract events from one chunk, asking the model to repair invalid output
+ * @param {string} prompt - Extraction prompt for the chunk
+ * @param {Function} generate - Sends a prompt to the model, resolving to text
+ * @returns {Promise<Object>} Result of the last checkExtractionResponse
+ */
+async function extractChunk(prompt, generate) {
+  let response = await generate(prompt);
+  let result = checkExtractionResponse(response);
+
+  for (
+    let attempt = 1;
+    attempt <= MAX_REPAIR_ATTEMPTS && result.errors.length > 0;
+    attempt++
+  ) {
+    console.log(
+      `Repairing AI response (attempt ${attempt}): ${result.errors.length} errors`
+    );
+    const repairedResponse = await generate(
+      buildRepairPrompt(prompt, response, result.errors)
+    );
+    const repaired = checkExtractionResponse(repairedResponse);
+
+    // Keep the earlier answer if the repair lost valid items
+    const validCount = (check) => check.events.length + check.meetings.length;
+    if (
+      !result.parsed ||
+      (repaired.parsed && validCount(repaired) >= validCount(result))
+    ) {
+      result = repaired;
+      response = repairedResponse;
+    }
+  }
+
+  if (!result.parsed) {
+    console.error("Raw AI response:", response);
+  }
+
+  return result;
+}
+
+/**
+ * Check whether two titles name the same event. Overlapping chunks often
+ * phrase a title slightly differently, so one title's words may be a subset
+ * of the other's ("Midterm" and "Torts Midterm Exam"), but numbers must agree
+ * so "Read Chapter 1" and "Read Chapter 10" stay apart.
+ * @param {string} a - Event title
+ * @param {string} b - Event title
+ * @returns {boolean} Whether the titles match
+ */
+function isSameTitle(a, b) {
+  const titleA = normalizeTitle(a);
+  const titleB = normalizeTitle(b);
+  if (titleA === titleB) {
+    return true;
+  }
+  if (!titleA || !titleB) {
+    return false;
+  }
+
+  const wordsA = titleA.split(" ");
+  const wordsB = titleB.split(" ");
+  const numbers = (words) =>
+    words
+      .filter((word) => /^\p{N}+$/u.test(word))
+      .sort()
+      .join(" ");
+  if (numbers(wordsA) !== numbers(wordsB)) {
+    return false;
+  }
+
+  const [shorter, longer] =
+    wordsA.length <= wordsB.length ? [wordsA, wordsB] : [wordsB, wordsA];
+  return shorter.every((word) => longer.includes(word));
+}
+
+/**
+ * Check whether two extracted events describe the same calendar event
+ * @param {Object} a - Extracted event
+ * @param {Object} b - Extracted event
+ * @returns {boolean} Whether the events are duplicates
+ */
+function isSameEvent(a, b) {
+  if (a.due_date !== b.due_date || a.event_type !== b.event_type) {
+    return false;
+  }
+  if (a.due_time && b.due_time && a.due_time !== b.due_time) {
+    return false;
+  }
+  return isSameTitle(a.title, b.title);
+}
+
+/**
+ * Merge events extracted from overlapping chunks, keeping the
+ * highest-confidence version of each duplicate
+ * @param {Object[]} events - Extracted events in document order
+ * @returns {Object[]} De-duplicated events
+ */
+function mergeExtractedEvents(events) {
+  const merged = [];
+
+  events.forEach((event) => {
+    const index = merged.findIndex((existing) => isSameEvent(existing, event));
+
+    if (index === -1) {
+      merged.push(event);
+      return;
+    }
+
+    const existing = merged[index];
+    if ((event.confidence_score || 0) > (existing.confidence_score || 0)) {
+      merged[index] = {
+        ...event,
+        due_time: event.due_time || existing.due_time,
+        description: event.description || existing.description,
+      };
+    } else if (!existing.due_time && event.due_time) {
+      merged[index] = { ...existing, due_time: event.due_time };
+    }
+  });
+
+  return merged;
+}
+
+/**
+ * Merge class meetings seen in overlapping chunks, keeping the
+ * highest-confidence version of each pattern
+ * @param {Object[]} meetings - Extracted meetings in document order
+ * @returns {Object[]} De-duplicated meetings
+ */
+function mergeExtractedMeetings(meetings) {
+  const merged = new Map();
+
+  meetings.forEach((meeting) => {
+    const key = [
+      normalizeTitle(meeting.title),
+      meeting.days
+        .map((day) => String(day).toUpperCase())
+        .sort()
+        .join(","),
+      meeting.start_time,
+    ].join("|");
+    const existing = merged.get(key);
+
+    if (
+      !existing ||
+      (meeting.confidence_score || 0) > (existing.confidence_score || 0)
+    ) {
+      merged.set(key, meeting);
+    }
+  });
+
+  return Array.from(merged.values());
+}
+
+/**
+ * Extract calendar events from syllabus pages, one model call per chunk.
+ * Events that stay invalid after repair are dropped and reported as
+ * warnings so the rest of the syllabus is still returned. Class meeting
+ * patterns come back as one recurring "class" event each.
+ * @param {Object[]} pages - Pages with pageNumber and text
+ * @param {Function} generate - Sends a prompt to the model, resolving to text
+ * @param {Object} [options] - Chunking options passed to chunkPages
+ * @param {Object} [options.term] - Term from parseTerm to resolve dates with
+ * @returns {Promise<Object>} Merged events, warnings and the number of chunks
+ */
+async function extractEventsFromPages(pages, generate, options = {}) {
+  const chunks = chunkPages(pages, options);
+  const extracted = [];
+  const meetings = [];
+  const warnings = [];
+  let failedChunks = 0;
+
+  // Chunks run one at a time to stay within model rate limits
+  for (let index = 0; index < chunks.length; index++) {
+    const prompt = buildExtractionPrompt(
+      chunks[index],
+      { index, count: chunks.length },
+      options.term
+    );
+    const result = await extractChunk(prompt, generate);
+
+    if (!result.parsed) {
+      failedChunks++;
+      warnings.push({ part: index + 1, errors: result.errors });
+      continue;
+    }
+
+    extracted.push(...result.events);
+    meetings.push(...result.meetings);
+    result.invalid.forEach((item) => {
+      warnings.push({
+        part: index + 1,
+        list: item.list,
+        index: item.index,
+        title: item.title,
+        errors: item.errors,
+      });
+    });
+  }
+
+  if (failedChunks === chunks.length) {
+    throw new Error(
+      `Failed to parse AI response: ${warnings[0].errors.join("; ")}`
+    );
+  }
+
+  // Prefer the page the quoted text is actually found on over the model's
+  const merged = mergeExtractedEvents(extracted).map((event) => ({
+    ...event,
+    source_page: findSourcePage(pages, event.source_text) || event.source_page,
+  }));
+
+  const resolved = resolveEventDates(merged, options.term);
+  warnings.push(...resolved.warnings);
+
+  const series = [];
+  mergeExtractedMeetings(meetings).forEach((meeting) => {
+    const result = buildMeetingSeries(meeting, options.term);
+    if (!result.valid) {
+      warnings.push({
+        list: "meetings",
+        title: meeting.title,
+        errors: [result.error],
+      });
+      return;
+    }
+    series.push({
+      ...result.row,
+      source_page:
+        findSourcePage(pages, meeting.source_text) || result.row.source_page,
+      date_status: "resolved",
+    });
+  });
+
+  return {
+    events: [...series, ...resolved.events],
+    warnings,
+    chunkCount: chunks.length,
+  };
+}
+
+module.exports = {
+  chunkPages,
+  buildExtractionPrompt,
+  parseExtractionResponse,
+  checkExtractionResponse,
+  mergeExtractedEvents,
+  extractEventsFromPages,
+};
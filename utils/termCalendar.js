@@ -0,0 +1,454 @@
+const { isValidDate } = require("./eventSchema");
+
+const WEEKDAYS = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+
+// Longest term accepted; schedules are built one day at a time
+const MAX_TERM_DAYS = 366;
+
+const MONTHS = [
+  "jan",
+  "feb",
+  "mar",
+  "apr",
+  "may",
+  "jun",
+  "jul",
+  "aug",
+  "sep",
+  "oct",
+  "nov",
+  "dec",
+];
+
+const WEEKDAY_PATTERN =
+  "(sun|mon|tue|tues|wed|thu|thur|thurs|fri|sat)[a-z]*\\.?";
+const MONTH_PATTERN =
+  "(jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?";
+
+/**
+ * Add days to a YYYY-MM-DD date
+ * @param {string} date - Date
+ * @param {number} days - Days to add
+ * @returns {string} YYYY-MM-DD date
+ */
+function addDays(date, days) {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().split("T")[0];
+}
+
+/**
+ * Get the day of the week of a YYYY-MM-DD date
+ * @param {string} date - Date
+ * @returns {number} 0 for Sunday through 6 for Saturday
+ */
+function getWeekday(date) {
+  return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+/**
+ * Turn a weekday name or abbreviation into its index
+ * @param {string} name - e.g. "Tuesday", "tues", "Th"
+ * @returns {number} 0 for Sunday through 6 for Saturday, or -1
+ */
+function parseWeekday(name) {
+  const key = String(name || "")
+    .toLowerCase()
+    .replace(/[^a-z]/g, "");
+  if (key.length < 2) {
+    return -1;
+  }
+  return WEEKDAYS.findIndex((weekday) => weekday.startsWith(key.slice(0, 3)));
+}
+
+/**
+ * Normalize a break or holiday name for matching
+ * @param {string} name - Name
+ * @returns {string} Lowercased name without articles or punctuation
+ */
+function normalizeName(name) {
+  return String(name || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .replace(/\b(the|a)\b/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Validate term metadata sent with an extraction request
+ * @param {Object|string} input - Term as an object or JSON string
+ * @returns {Object} Whether the term is valid, an error, and the parsed term
+ */
+function parseTerm(input) {
+  let term = input;
+  if (typeof input === "string") {
+    try {
+      term = JSON.parse(input);
+    } catch (error) {
+      return { valid: false, error: "term must be valid JSON" };
+    }
+  }
+
+  if (!term || typeof term !== "object" || Array.isArray(term)) {
+    return { valid: false, error: "term must be an object" };
+  }
+  if (!isValidDate(term.startDate) || !isValidDate(term.endDate)) {
+    return {
+      valid: false,
+      error:
+        "term.startDate and term.endDate must be dates in YYYY-MM-DD format",
+    };
+  }
+  if (term.startDate > term.endDate) {
+    return {
+      valid: false,
+      error: "term.startDate must be before term.endDate",
+    };
+  }
+  const termDays =
+    (new Date(term.endDate) - new Date(term.startDate)) / 86400000 + 1;
+  if (termDays > MAX_TERM_DAYS) {
+    return {
+      valid: false,
+      error: `term must be at most ${MAX_TERM_DAYS} days long`,
+    };
+  }
+
+  const meetingDays = Array.isArray(term.meetingDays || [])
+    ? (term.meetingDays || []).map(parseWeekday)
+    : [-1];
+  if (meetingDays.includes(-1)) {
+    return {
+      valid: false,
+      error: "term.meetingDays must be a list of weekday names",
+    };
+  }
+  if (
+    !Array.isArray(term.breaks || []) ||
+    !Array.isArray(term.holidays || [])
+  ) {
+    return {
+      valid: false,
+      error: "term.breaks and term.holidays must be lists",
+    };
+  }
+
+  const breaks = [];
+  for (const item of term.breaks || []) {
+    if (
+      !item ||
+      !isValidDate(item.startDate) ||
+      !isValidDate(item.endDate || item.startDate)
+    ) {
+      return {
+        valid: false,
+        error: "Each of term.breaks needs a name, startDate and endDate",
+      };
+    }
+    breaks.push({
+      name: item.name || "Break",
+      startDate: item.startDate,
+      endDate: item.endDate || item.startDate,
+    });
+  }
+
+  // Holidays are one-day breaks
+  for (const item of term.holidays || []) {
+    const date = typeof item === "string" ? item : item && item.date;
+    if (!isValidDate(date)) {
+      return {
+        valid: false,
+        error: "Each of term.holidays needs a date in YYYY-MM-DD format",
+      };
+    }
+    breaks.push({
+      name: (item && item.name) || "Holiday",
+      startDate: date,
+      endDate: date,
+    });
+  }
+
+  return {
+    valid: true,
+    term: {
+      startDate: term.startDate,
+      endDate: term.endDate,
+      meetingDays: meetingDays,
+      breaks: breaks,
+    },
+  };
+}
+
+/**
+ * Check whether a date falls in one of the term's breaks or holidays
+ * @param {Object} term - Term from parseTerm
+ * @param {string} date - YYYY-MM-DD date
+ * @returns {boolean} Whether there are no classes that day
+ */
+function isOffDay(term, date) {
+  return term.breaks.some(
+    (item) => date >= item.startDate && date <= item.endDate
+  );
+}
+
+/**
+ * Lay out the term's class meetings. Weeks run Monday to Sunday, are
+ * numbered from the week the term starts in and skip weeks with no
+ * classes, so "Week 8" after a week-long break is the eighth week of
+ * teaching.
+ * @param {Object} term - Term from parseTerm
+ * @returns {Object} Meetings in order, and each week's Monday and meetings
+ */
+function buildSchedule(term) {
+  // Without meeting days, any weekday counts as a class day
+  const meetsOn = (weekday) =>
+    term.meetingDays.length > 0
+      ? term.meetingDays.includes(weekday)
+      : weekday >= 1 && weekday <= 5;
+
+  const meetings = [];
+  const weeks = [];
+  let week = null;
+
+  for (
+    let date = term.startDate;
+    date <= term.endDate;
+    date = addDays(date, 1)
+  ) {
+    const weekday = getWeekday(date);
+    if (isOffDay(term, date) || !meetsOn(weekday)) {
+      continue;
+    }
+
+    const monday = addDays(date, -((weekday + 6) % 7));
+    if (!week || week.monday !== monday) {
+      week = { monday: monday, meetings: [] };
+      weeks.push(week);
+    }
+    week.meetings.push(date);
+    meetings.push(date);
+  }
+
+  return { meetings, weeks };
+}
+
+/**
+ * Resolve a month and day without a year to the year that places it in
+ * the term, or the closest year if it falls outside
+ * @param {Object} term - Term from parseTerm
+ * @param {number} month - Month, 1-12
+ * @param {number} day - Day of month
+ * @returns {string|null} YYYY-MM-DD date
+ */
+function resolveMonthDay(term, month, day) {
+  const pad = (value) => String(value).padStart(2, "0");
+  const startYear = Number(term.startDate.slice(0, 4));
+  const endYear = Number(term.endDate.slice(0, 4));
+  const candidates = [];
+
+  for (let year = startYear - 1; year <= endYear + 1; year++) {
+    const date = `${year}-${pad(month)}-${pad(day)}`;
+    if (isValidDate(date)) {
+      candidates.push(date);
+    }
+  }
+
+  const distance = (date) => {
+    if (date < term.startDate) {
+      return new Date(term.startDate) - new Date(date);
+    }
+    if (date > term.endDate) {
+      return new Date(date) - new Date(term.endDate);
+    }
+    return 0;
+  };
+
+  candidates.sort((a, b) => distance(a) - distance(b));
+  return candidates[0] || null;
+}
+
+/**
+ * Find the break or holiday a phrase refers to
+ * @param {Object} term - Term from parseTerm
+ * @param {string} phrase - e.g. "Spring Break"
+ * @returns {Object|null} Matching break
+ */
+function findBreak(term, phrase) {
+  const name = normalizeName(phrase);
+  if (!name) {
+    return null;
+  }
+  return (
+    term.breaks.find((item) => normalizeName(item.name) === name) ||
+    term.breaks.find((item) => {
+      const breakName = normalizeName(item.name);
+      return breakName.includes(name) || name.includes(breakName);
+    }) ||
+    null
+  );
+}
+
+/**
+ * Resolve a date as written in a syllabus against the term calendar
+ * @param {string} text - e.g. "Week 4, Class 2", "Oct. 15", "the Tuesday
+ * after Spring Break"
+ * @param {Object} term - Term from parseTerm
+ * @param {Object} [schedule] - Schedule from buildSchedule
+ * @returns {string|null} YYYY-MM-DD date, or null if it can't be resolved
+ */
+function resolveDateText(text, term, schedule = buildSchedule(term)) {
+  const value = String(text || "").trim();
+  const lower = value.toLowerCase();
+  let match;
+
+  // Fully specified dates need no term context
+  if ((match = /\b(\d{4})-(\d{2})-(\d{2})\b/.exec(value))) {
+    return isValidDate(match[0]) ? match[0] : null;
+  }
+  if ((match = /\b(\d{1,2})\/(\d{1,2})(?:\/(\d{2}|\d{4}))?\b/.exec(value))) {
+    const pad = (part) => String(part).padStart(2, "0");
+    if (match[3]) {
+      const year = match[3].length === 2 ? `20${match[3]}` : match[3];
+      const date = `${year}-${pad(match[1])}-${pad(match[2])}`;
+      return isValidDate(date) ? date : null;
+    }
+    return resolveMonthDay(term, Number(match[1]), Number(match[2]));
+  }
+  match = new RegExp(
+    `\\b${MONTH_PATTERN}\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?\\b`,
+    "i"
+  ).exec(value);
+  if (match) {
+    const month = MONTHS.indexOf(match[1].slice(0, 3).toLowerCase()) + 1;
+    const day = Number(match[2]);
+    if (match[3]) {
+      const date = `${match[3]}-${String(month).padStart(2, "0")}-${String(
+        day
+      ).padStart(2, "0")}`;
+      return isValidDate(date) ? date : null;
+    }
+    return resolveMonthDay(term, month, day);
+  }
+
+  // "the Tuesday after Spring Break", "Friday before Thanksgiving"
+  match = new RegExp(
+    `\\b${WEEKDAY_PATTERN}\\s+(after|before)\\s+(.+)$`,
+    "i"
+  ).exec(value);
+  if (match) {
+    const weekday = parseWeekday(match[1]);
+    const anchor = findBreak(term, match[3]);
+    if (!anchor) {
+      return null;
+    }
+    let date =
+      match[2].toLowerCase() === "after"
+        ? addDays(anchor.endDate, 1)
+        : addDays(anchor.startDate, -1);
+    const step = match[2].toLowerCase() === "after" ? 1 : -1;
+    while (getWeekday(date) !== weekday) {
+      date = addDays(date, step);
+    }
+    return date;
+  }
+
+  // "first day of class", "last class"
+  if (/\bfirst\s+(day\s+of\s+)?class(es)?\b/.test(lower)) {
+    return schedule.meetings[0] || null;
+  }
+  if (/\blast\s+(day\s+of\s+)?class(es)?\b/.test(lower)) {
+    return schedule.meetings[schedule.meetings.length - 1] || null;
+  }
+
+  // "Week 4, Class 2", "Tuesday of Week 4", "Week 4"
+  match = /\bweek\s+(\d+)\b/i.exec(value);
+  if (match) {
+    const week = schedule.weeks[Number(match[1]) - 1];
+    if (!week) {
+      return null;
+    }
+
+    const classMatch = /\b(?:class|session|meeting|day)\s+(\d+)\b/i.exec(value);
+    if (classMatch) {
+      return week.meetings[Number(classMatch[1]) - 1] || null;
+    }
+
+    const weekdayMatch = new RegExp(`\\b${WEEKDAY_PATTERN}\\b`, "i").exec(
+      value
+    );
+    if (weekdayMatch) {
+      const weekday = parseWeekday(weekdayMatch[1]);
+      const date = addDays(week.monday, (weekday + 6) % 7);
+      return isOffDay(term, date) ? null : date;
+    }
+    return week.meetings[0];
+  }
+
+  // "Class 14" counts meetings from the start of the term
+  match = /\b(?:class|session)\s+(\d+)\b/i.exec(value);
+  if (match) {
+    return schedule.meetings[Number(match[1]) - 1] || null;
+  }
+
+  return null;
+}
+
+/**
+ * Give extracted events concrete dates using the term calendar. Dates the
+ * rules can't resolve fall back to the model's date when it lies within
+ * the term; anything else is flagged as unresolved.
+ * @param {Object[]} events - Extracted events with date_text
+ * @param {Object} [term] - Term from parseTerm
+ * @returns {Object} Events with date_status set, and warnings
+ */
+function resolveEventDates(events, term) {
+  const schedule = term ? buildSchedule(term) : null;
+  const warnings = [];
+
+  const resolved = events.map((event) => {
+    const resolvedDate = term
+      ? resolveDateText(event.date_text, term, schedule)
+      : null;
+
+    if (resolvedDate) {
+      return { ...event, due_date: resolvedDate, date_status: "resolved" };
+    }
+
+    const inTerm =
+      event.due_date &&
+      (!term ||
+        (event.due_date >= term.startDate && event.due_date <= term.endDate));
+    if (inTerm) {
+      return { ...event, date_status: "explicit" };
+    }
+
+    warnings.push({
+      title: event.title,
+      date_text: event.date_text || null,
+      errors: [
+        term
+          ? "due_date: could not be resolved against the term calendar"
+          : "due_date: could not be determined; send term dates to resolve it",
+      ],
+    });
+    return { ...event, date_status: "unresolved" };
+  });
+
+  return { events: resolved, warnings };
+}
+
+module.exports = {
+  parseTerm,
+  buildSchedule,
+  resolveDateText,
+  resolveEventDates,
+};
@@ -0,0 +1,163 @@
+const crypto = require("crypto");
+
+const PREFIX = "enc";
+const ALGORITHM = "aes-256-gcm";
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+/**
+ * Parse the key ring from TOKEN_ENCRYPTION_KEYS ("v1:<base64>,v2:<base64>")
+ * @returns {Map<string, Buffer>} Key encryption keys by version
+ */
+function getKeyRing() {
+  const keyRing = new Map();
+  const entries = (process.env.TOKEN_ENCRYPTION_KEYS || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+
+  for (const entry of entries) {
+    const separator = entry.indexOf(":");
+    const version = entry.slice(0, separator);
+    const key = Buffer.from(entry.slice(separator + 1), "base64");
+
+    if (separator <= 0 || key.length !== 32) {
+      throw new Error(
+        "TOKEN_ENCRYPTION_KEYS entries must be <version>:<base64 32-byte key>"
+      );
+    }
+    keyRing.set(version, key);
+  }
+
+  return keyRing;
+}
+
+/**
+ * Get the key version new values are encrypted with
+ * @returns {string} Key version
+ */
+function getCurrentKeyVersion() {
+  const keyRing = getKeyRing();
+  const version =
+    process.env.TOKEN_ENCRYPTION_KEY_VERSION ||
+    Array.from(keyRing.keys()).pop();
+
+  if (!version || !keyRing.has(version)) {
+    throw new Error("Token encryption key is not configured");
+  }
+
+  return version;
+}
+
+/**
+ * Encrypt a buffer with AES-256-GCM
+ * @param {Buffer} key - 32-byte key
+ * @param {Buffer} plaintext - Data to encrypt
+ * @returns {Buffer} IV, auth tag and ciphertext
+ */
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+}
+
+/**
+ * Decrypt a buffer produced by seal
+ * @param {Buffer} key - 32-byte key
+ * @param {Buffer} sealed - IV, auth tag and ciphertext
+ * @returns {Buffer} Plaintext
+ */
+function open(key, sealed) {
+  const iv = sealed.subarray(0, IV_LENGTH);
+  const tag = sealed.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH);
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([
+    decipher.update(sealed.subarray(IV_LENGTH + TAG_LENGTH)),
+    decipher.final(),
+  ]);
+}
+
+/**
+ * Check whether a stored value is encrypted
+ * @param {string} value - Stored value
+ * @returns {boolean} Whether the value is encrypted
+ */
+function isEncrypted(value) {
+  return typeof value === "string" && value.startsWith(`${PREFIX}:`);
+}
+
+/**
+ * Get the key version a stored value was encrypted with
+ * @param {string} value - Stored value
+ * @returns {string|null} Key version, or null for plaintext
+ */
+function getKeyVersion(value) {
+  return isEncrypted(value) ? value.split(":")[1] : null;
+}
+
+/**
+ * Encrypt a token with a fresh data key wrapped by the current key
+ * @param {string} value - Plaintext token
+ * @returns {string|null} Encrypted token
+ */
+function encryptToken(value) {
+  if (value === null || value === undefined) {
+    return value;
+  }
+
+  const version = getCurrentKeyVersion();
+  const dataKey = crypto.randomBytes(32);
+  const wrappedKey = seal(getKeyRing().get(version), dataKey);
+  const sealed = seal(dataKey, Buffer.from(String(value), "utf8"));
+
+  return [
+    PREFIX,
+    version,
+    wrappedKey.toString("base64url"),
+    sealed.toString("base64url"),
+  ].join(":");
+}
+
+/**
+ * Decrypt a stored token; plaintext values from before encryption pass through
+ * @param {string} value - Stored token
+ * @returns {string|null} Plaintext token
+ */
+function decryptToken(value) {
+  if (!isEncrypted(value)) {
+    return value;
+  }
+
+  const [, version, wrappedKey, sealed] = value.split(":");
+  const key = getKeyRing().get(version);
+
+  if (!key) {
+    throw new Error(`Token encryption key ${version} is not configured`);
+  }
+
+  const dataKey = open(key, Buffer.from(wrappedKey, "base64url"));
+  return open(dataKey, Buffer.from(sealed, "base64url")).toString("utf8");
+}
+
+/**
+ * Check whether a stored token should be re-encrypted with the current key
+ * @param {string} value - Stored token
+ * @returns {boolean} Whether the token needs re-encryption
+ */
+function needsReencryption(value) {
+  if (value === null || value === undefined) {
+    return false;
+  }
+  return getKeyVersion(value) !== getCurrentKeyVersion();
+}
+
+module.exports = {
+  encryptToken,
+  decryptToken,
+  isEncrypted,
+  getKeyVersion,
+  getCurrentKeyVersion,
+  needsReencryption,
+};
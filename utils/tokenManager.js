@@ -0,0 +1,311 @@
+const { google } = require("googleapis");
+const { createClient } = require("@supabase/supabase-js");
+const {
+  encryptToken,
+  decryptToken,
+  getCurrentKeyVersion,
+  needsReencryption,
+} = require("./tokenCrypto");
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Refresh tokens this long before Google reports them as expired
+const REFRESH_MARGIN_MS = 5 * 60 * 1000; // 5 minutes
+
+// In-flight refreshes keyed by user ID
+const pendingRefreshes = new Map();
+
+/**
+ * Get the OAuth redirect URI for the current environment
+ * @returns {string} Redirect URI
+ */
+function getRedirectUri() {
+  if (process.env.NODE_ENV === "production") {
+    return "https://law-bandit-front.vercel.app/auth/google/callback";
+  }
+  return (
+    process.env.GOOGLE_REDIRECT_URI ||
+    "http://localhost:3000/auth/google/callback"
+  );
+}
+
+/**
+ * Create a new, unshared Google OAuth2 client
+ * @returns {Object} OAuth2 client
+ */
+function createOAuthClient() {
+  return new google.auth.OAuth2(
+    process.env.GOOGLE_CLIENT_ID,
+    process.env.GOOGLE_CLIENT_SECRET,
+    getRedirectUri()
+  );
+}
+
+/**
+ * Check whether a token expiry is within the refresh margin
+ * @param {string|number} expiryDate - Token expiry date
+ * @returns {boolean} Whether the token should be refreshed
+ */
+function isTokenExpiring(expiryDate) {
+  if (!expiryDate) {
+    return false;
+  }
+  return new Date(expiryDate).getTime() - REFRESH_MARGIN_MS <= Date.now();
+}
+
+/**
+ * Load a user's token row from the database with tokens decrypted
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} Token row, or null if none is stored
+ */
+async function loadUserTokenRow(userId) {
+  const { data: tokenData, error: tokenError } = await supabase
+    .from("google_calendar_tokens")
+    .select("*")
+    .eq("user_id", userId)
+    .single();
+
+  if (tokenError || !tokenData) {
+    return null;
+  }
+
+  return {
+    ...tokenData,
+    access_token: decryptToken(tokenData.access_token),
+    refresh_token: decryptToken(tokenData.refresh_token),
+  };
+}
+
+/**
+ * Store the tokens from a completed OAuth flow for a user
+ * @param {string} userId - User ID
+ * @param {string} email - User email
+ * @param {Object} tokens - Tokens returned by Google
+ * @returns {Promise<void>}
+ */
+async function storeUserTokens(userId, email, tokens) {
+  const { error: upsertError } = await supabase
+    .from("google_calendar_tokens")
+    .upsert(
+      {
+        user_id: userId,
+        email: email,
+        access_token: encryptToken(tokens.access_token),
+        refresh_token: encryptToken(tokens.refresh_token),
+        key_version: getCurrentKeyVersion(),
+        expiry_date: tokens.expiry_date
+          ? new Date(tokens.expiry_date).toISOString()
+          : null,
+      },
+      {
+        onConflict: "user_id",
+      }
+    );
+
+  if (upsertError) {
+    throw new Error(`Failed to save tokens: ${upsertError.message}`);
+  }
+}
+
+/**
+ * Persist tokens issued by Google for a user
+ * @param {string} userId - User ID
+ * @param {Object} credentials - Credentials returned by Google
+ * @returns {Promise<void>}
+ */
+async function saveUserTokens(userId, credentials) {
+  const update = {
+    access_token: encryptToken(credentials.access_token),
+    key_version: getCurrentKeyVersion(),
+    expiry_date: credentials.expiry_date
+      ? new Date(credentials.expiry_date).toISOString()
+      : null,
+  };
+
+  // Google only returns a refresh token when it has been rotated
+  if (credentials.refresh_token) {
+    update.refresh_token = encryptToken(credentials.refresh_token);
+  }
+
+  const { error: updateError } = await supabase
+    .from("google_calendar_tokens")
+    .update(update)
+    .eq("user_id", userId);
+
+  if (updateError) {
+    throw new Error(
+      `Failed to update tokens in database: ${updateError.message}`
+    );
+  }
+}
+
+/**
+ * Refresh user's access token, sharing one refresh between concurrent callers
+ * @param {string} userId - User ID
+ * @param {string} refreshToken - Refresh token
+ * @returns {Promise<Object>} New tokens
+ */
+function refreshUserTokensFromDatabase(userId, refreshToken) {
+  if (pendingRefreshes.has(userId)) {
+    return pendingRefreshes.get(userId);
+  }
+
+  const refresh = (async () => {
+    const client = createOAuthClient();
+    client.setCredentials({ refresh_token: refreshToken });
+
+    const { credentials } = await client.refreshAccessToken();
+    await saveUserTokens(userId, credentials);
+
+    return {
+      ...credentials,
+      refresh_token: credentials.refresh_token || refreshToken,
+      user_id: userId,
+    };
+  })();
+
+  pendingRefreshes.set(userId, refresh);
+  refresh.then(
+    () => pendingRefreshes.delete(userId),
+    () => pendingRefreshes.delete(userId)
+  );
+
+  return refresh;
+}
+
+/**
+ * Get user's Google tokens from database, refreshing them if they expire soon
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} User tokens
+ */
+async function getUserTokensFromDatabase(userId) {
+  if (!userId) {
+    throw new Error("User ID is required");
+  }
+
+  // Get tokens from database
+  const tokenData = await loadUserTokenRow(userId);
+
+  if (!tokenData) {
+    throw new Error("No Google tokens found in database");
+  }
+
+  if (isTokenExpiring(tokenData.expiry_date)) {
+    if (!tokenData.refresh_token) {
+      throw new Error("Token expired and no refresh token available");
+    }
+    return await refreshUserTokensFromDatabase(userId, tokenData.refresh_token);
+  }
+
+  return {
+    access_token: tokenData.access_token,
+    refresh_token: tokenData.refresh_token,
+    expiry_date: tokenData.expiry_date,
+    user_id: tokenData.user_id,
+  };
+}
+
+/**
+ * Get an OAuth2 client authorized as the given user
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} OAuth2 client
+ */
+async function getAuthorizedClient(userId) {
+  const tokens = await getUserTokensFromDatabase(userId);
+  const client = createOAuthClient();
+
+  client.setCredentials({
+    access_token: tokens.access_token,
+    refresh_token: tokens.refresh_token,
+    expiry_date: tokens.expiry_date
+      ? new Date(tokens.expiry_date).getTime()
+      : null,
+  });
+
+  // Persist tokens if the client refreshes them on its own mid-request
+  client.on("tokens", (credentials) => {
+    saveUserTokens(userId, credentials).catch((error) => {
+      console.error("Error saving refreshed tokens:", error);
+    });
+  });
+
+  return client;
+}
+
+/**
+ * Re-encrypt stored tokens that are plaintext or use an old key version
+ * @param {number} batchSize - Rows to load per query
+ * @returns {Promise<Object>} Re-encryption result
+ */
+async function reencryptStoredTokens(batchSize = 100) {
+  const currentVersion = getCurrentKeyVersion();
+  let scannedCount = 0;
+  let updatedCount = 0;
+
+  for (let offset = 0; ; offset += batchSize) {
+    const { data: rows, error } = await supabase
+      .from("google_calendar_tokens")
+      .select("user_id, access_token, refresh_token")
+      .order("user_id", { ascending: true })
+      .range(offset, offset + batchSize - 1);
+
+    if (error) {
+      throw new Error(`Failed to load tokens: ${error.message}`);
+    }
+
+    for (const row of rows) {
+      scannedCount++;
+
+      if (
+        !needsReencryption(row.access_token) &&
+        !needsReencryption(row.refresh_token)
+      ) {
+        continue;
+      }
+
+      const { error: updateError } = await supabase
+        .from("google_calendar_tokens")
+        .update({
+          access_token: encryptToken(decryptToken(row.access_token)),
+          refresh_token: encryptToken(decryptToken(row.refresh_token)),
+          key_version: currentVersion,
+        })
+        .eq("user_id", row.user_id);
+
+      if (updateError) {
+        throw new Error(
+          `Failed to re-encrypt tokens for ${row.user_id}: ${updateError.message}`
+        );
+      }
+      updatedCount++;
+    }
+
+    if (rows.length < batchSize) {
+      break;
+    }
+  }
+
+  return {
+    keyVersion: currentVersion,
+    scannedCount: scannedCount,
+    updatedCount: updatedCount,
+  };
+}
+
+module.exports = {
+  getRedirectUri,
+  createOAuthClient,
+  isTokenExpiring,
+  loadUserTokenRow,
+  storeUserTokens,
+  saveUserTokens,
+  reencryptStoredTokens,
+  refreshUserTokensFromDatabase,
+  getUserTokensFromDatabase,
+  getAuthorizedClient,
+  REFRESH_MARGIN_MS,
+};
@@ -0,0 +1,109 @@
+const { createClient } = require("@supabase/supabase-js");
+const { isValidTimeZone } = require("./ics");
+const { validateReminderRules } = require("./reminders");
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+/**
+ * Get the time zone used when a user hasn't chosen one
+ * @returns {string} IANA time zone
+ */
+function getDefaultTimeZone() {
+  return process.env.DEFAULT_TIMEZONE || "UTC";
+}
+
+/**
+ * Get a user's preferences, filling in defaults for unset values
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Preferences
+ */
+async function getUserPreferences(userId) {
+  const { data, error } = await supabase
+    .from("user_preferences")
+    .select("timezone, reminders, updated_at")
+    .eq("user_id", userId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load preferences: ${error.message}`);
+  }
+
+  return {
+    timeZone: (data && data.timezone) || getDefaultTimeZone(),
+    reminders: (data && data.reminders) || null,
+    updatedAt: data ? data.updated_at : null,
+  };
+}
+
+/**
+ * Get the time zone a user's dates and times are in
+ * @param {string} userId - User ID
+ * @returns {Promise<string>} IANA time zone
+ */
+async function getUserTimeZone(userId) {
+  const preferences = await getUserPreferences(userId);
+  return preferences.timeZone;
+}
+
+/**
+ * Save a user's preferences. Preferences that aren't given keep their
+ * current values.
+ * @param {string} userId - User ID
+ * @param {Object} preferences - Preferences to change
+ * @param {string} [preferences.timeZone] - IANA time zone
+ * @param {Object|null} [preferences.reminders] - Reminder rules by event type,
+ * or null for the defaults
+ * @returns {Promise<Object>} Whether the preferences were valid, an error,
+ * and the saved preferences
+ */
+async function updateUserPreferences(userId, { timeZone, reminders }) {
+  if (timeZone !== undefined && !isValidTimeZone(timeZone)) {
+    return { valid: false, error: `Invalid time zone: ${timeZone}` };
+  }
+  if (reminders != null) {
+    const errors = validateReminderRules(reminders);
+    if (errors.length > 0) {
+      return { valid: false, error: errors.join("; ") };
+    }
+  }
+
+  const current = await getUserPreferences(userId);
+
+  const { data, error } = await supabase
+    .from("user_preferences")
+    .upsert(
+      {
+        user_id: userId,
+        timezone: timeZone !== undefined ? timeZone : current.timeZone,
+        reminders: reminders !== undefined ? reminders : current.reminders,
+        updated_at: new Date().toISOString(),
+      },
+      { onConflict: "user_id" }
+    )
+    .select("timezone, reminders, updated_at")
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to save preferences: ${error.message}`);
+  }
+
+  return {
+    valid: true,
+    preferences: {
+      timeZone: data.timezone,
+      reminders: data.reminders,
+      updatedAt: data.updated_at,
+    },
+  };
+}
+
+module.exports = {
+  getDefaultTimeZone,
+  getUserPreferences,
+  getUserTimeZone,
+  updateUserPreferences,
+};
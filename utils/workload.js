@@ -0,0 +1,194 @@
+// How much each event type adds to a day's load. Class meetings are
+// recurring and left out.
+const EVENT_WEIGHTS = {
+  exam: 5,
+  assignment: 3,
+  reading: 1,
+  other: 1,
+  google_calendar: 1,
+};
+
+// Exams and assignments are the items that make a crunch
+const MAJOR_WEIGHT = 3;
+
+// A crunch is any CRUNCH_WINDOW_DAYS-day stretch whose major items add up to
+// CRUNCH_SCORE, e.g. two exams or three assignments
+const CRUNCH_WINDOW_DAYS = 5;
+const CRUNCH_SCORE = 9;
+
+/**
+ * Add days to a YYYY-MM-DD date
+ * @param {string} date - Date
+ * @param {number} days - Days to add
+ * @returns {string} YYYY-MM-DD date
+ */
+function addDays(date, days) {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().split("T")[0];
+}
+
+/**
+ * Get the Monday of a date's week
+ * @param {string} date - YYYY-MM-DD date
+ * @returns {string} YYYY-MM-DD Monday
+ */
+function getWeekStart(date) {
+  const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+  return addDays(date, -((weekday + 6) % 7));
+}
+
+/**
+ * Create an empty load bucket
+ * @param {Object} fields - Fields identifying the bucket
+ * @returns {Object} Bucket
+ */
+function createBucket(fields) {
+  return { ...fields, count: 0, score: 0, byType: {} };
+}
+
+/**
+ * Add an event to a load bucket
+ * @param {Object} bucket - Bucket
+ * @param {Object} event - calendar_events row
+ */
+function addToBucket(bucket, event) {
+  bucket.count++;
+  bucket.score += EVENT_WEIGHTS[event.event_type] || 1;
+  bucket.byType[event.event_type] = (bucket.byType[event.event_type] || 0) + 1;
+}
+
+/**
+ * Find stretches where exams and major assignments cluster
+ * @param {Object[]} events - calendar_events rows
+ * @param {string} startDate - First date of the range
+ * @param {string} endDate - Last date of the range
+ * @returns {Object[]} Crunch periods
+ */
+function findCrunchPeriods(events, startDate, endDate) {
+  const major = events.filter(
+    (event) => (EVENT_WEIGHTS[event.event_type] || 1) >= MAJOR_WEIGHT
+  );
+  const periods = [];
+
+  for (
+    let windowStart = startDate;
+    windowStart <= endDate;
+    windowStart = addDays(windowStart, 1)
+  ) {
+    const windowEnd = addDays(windowStart, CRUNCH_WINDOW_DAYS - 1);
+    const inWindow = major.filter(
+      (event) => event.due_date >= windowStart && event.due_date <= windowEnd
+    );
+    const score = inWindow.reduce(
+      (sum, event) => sum + EVENT_WEIGHTS[event.event_type],
+      0
+    );
+    if (score < CRUNCH_SCORE) {
+      continue;
+    }
+
+    // Overlapping windows merge into one period
+    const last = periods[periods.length - 1];
+    if (last && windowStart <= last.windowEnd) {
+      last.windowEnd = windowEnd;
+      inWindow.forEach((event) => last.events.add(event));
+    } else {
+      periods.push({ windowEnd, events: new Set(inWindow) });
+    }
+  }
+
+  return periods.map((period) => {
+    const items = [...period.events].sort((a, b) =>
+      a.due_date.localeCompare(b.due_date)
+    );
+    return {
+      startDate: items[0].due_date,
+      endDate: items[items.length - 1].due_date,
+      count: items.length,
+      score: items.reduce(
+        (sum, event) => sum + EVENT_WEIGHTS[event.event_type],
+        0
+      ),
+      events: items.map((event) => ({
+        id: event.id,
+        title: event.title,
+        event_type: event.event_type,
+        due_date: event.due_date,
+        class_id: event.class_id,
+      })),
+    };
+  });
+}
+
+/**
+ * Summarize the load of saved events per day, per week and per class
+ * @param {Object[]} events - calendar_events rows in the range
+ * @param {Object} options - Options
+ * @param {string} options.startDate - First date of the range
+ * @param {string} options.endDate - Last date of the range
+ * @param {Object[]} [options.classes] - The user's classes, for names
+ * @returns {Object} Days, weeks, classes, crunch periods and totals
+ */
+function computeWorkload(events, { startDate, endDate, classes = [] }) {
+  const counted = events.filter(
+    (event) =>
+      event.event_type !== "class" &&
+      event.due_date >= startDate &&
+      event.due_date <= endDate
+  );
+
+  // Every day and week in the range is listed, including empty ones
+  const days = new Map();
+  const weeks = new Map();
+  for (let date = startDate; date <= endDate; date = addDays(date, 1)) {
+    days.set(date, createBucket({ date }));
+    const weekStart = getWeekStart(date);
+    if (!weeks.has(weekStart)) {
+      weeks.set(
+        weekStart,
+        createBucket({ weekStart, weekEnd: addDays(weekStart, 6) })
+      );
+    }
+  }
+
+  const classNames = new Map(classes.map((item) => [item.id, item.name]));
+  const byClass = new Map();
+  const totals = createBucket({});
+
+  counted.forEach((event) => {
+    addToBucket(days.get(event.due_date), event);
+    addToBucket(weeks.get(getWeekStart(event.due_date)), event);
+    addToBucket(totals, event);
+
+    const classId = event.class_id || null;
+    if (!byClass.has(classId)) {
+      byClass.set(
+        classId,
+        createBucket({
+          classId: classId,
+          className: classNames.get(classId) || null,
+        })
+      );
+    }
+    addToBucket(byClass.get(classId), event);
+  });
+
+  return {
+    startDate: startDate,
+    endDate: endDate,
+    weights: EVENT_WEIGHTS,
+    totals: { count: totals.count, score: totals.score, byType: totals.byType },
+    days: [...days.values()],
+    weeks: [...weeks.values()],
+    classes: [...byClass.values()].sort((a, b) => b.score - a.score),
+    crunchPeriods: findCrunchPeriods(counted, startDate, endDate),
+  };
+}
+
+module.exports = {
+  EVENT_WEIGHTS,
+  getWeekStart,
+  findCrunchPeriods,
+  computeWorkload,
+};